@@ -0,0 +1,169 @@
+import { PRICES } from './helpers/environment.js';
+import { startDatabase, stopDatabase, clearDatabase, testWithDatabase } from './helpers/database.js';
+import {
+  createPlayer, startEngine, startRound, balanceUnits, expectLedgerConsistent
+} from './helpers/game.js';
+import ledger from '../src/services/Ledger.js';
+import GameRound from '../src/models/GameRound.js';
+import Transaction from '../src/models/Transaction.js';
+import AutoBetPlan from '../src/models/AutoBetPlan.js';
+import { AutoBetRunner } from '../src/services/AutoBetRunner.js';
+import { withTransaction } from '../src/database/connection.js';
+import { multiplyUnits, toUnits, usdToUnits } from '../src/utils/money.js';
+
+/**
+ * Parallel requests from one player against one round: the conditional updates on the round
+ * and the wallet must let exactly one bet and one cashout through, whatever the interleaving.
+ */
+const PARALLEL = 10;
+const BET_USD = 10;
+
+let replSet;
+let engine;
+
+function succeeded(results) {
+  return results.filter(result => result.status === 'fulfilled');
+}
+
+beforeAll(async () => {
+  replSet = await startDatabase();
+}, 120000);
+
+afterAll(async () => {
+  await stopDatabase(replSet);
+});
+
+beforeEach(async () => {
+  await clearDatabase();
+  engine = await startEngine();
+});
+
+afterEach(async () => {
+  if (engine) await engine.stop();
+});
+
+describe('parallel bets', () => {
+  testWithDatabase('only one bet per player gets into a round and the stake is taken once', async () => {
+    const player = await createPlayer('bettor');
+    const before = await balanceUnits(player._id);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: PARALLEL }, () => engine.placeBet(player._id, BET_USD, 'BTC'))
+    );
+
+    expect(succeeded(results)).toHaveLength(1);
+    const round = await GameRound.findById(engine.currentRound._id);
+    expect(round.bets).toHaveLength(1);
+    expect(await Transaction.countDocuments({ player: player._id, type: 'bet' })).toBe(1);
+
+    const stake = usdToUnits(BET_USD, PRICES.BTC, 'BTC');
+    expect(await balanceUnits(player._id)).toBe(before - stake);
+    await expectLedgerConsistent();
+  });
+
+  testWithDatabase('parallel debits can never spend the same funds twice', async () => {
+    const player = await createPlayer('spender');
+    const balance = await balanceUnits(player._id);
+
+    // Each debit takes the whole balance, only one can find it there
+    const results = await Promise.allSettled(Array.from({ length: PARALLEL }, () =>
+      withTransaction(session => ledger.postBet(player._id, engine.currentRound._id, balance, 'BTC', undefined, session))
+    ));
+
+    expect(succeeded(results)).toHaveLength(1);
+    results.filter(result => result.status === 'rejected')
+      .forEach(result => expect(result.reason.message).toBe('Insufficient BTC balance'));
+    expect(await balanceUnits(player._id)).toBe(0n);
+    await expectLedgerConsistent();
+  });
+});
+
+describe('parallel cashouts', () => {
+  testWithDatabase('a bet is cashed out once through the engine', async () => {
+    const player = await createPlayer('casher');
+    const before = await balanceUnits(player._id);
+    await engine.placeBet(player._id, BET_USD, 'BTC');
+    await startRound(engine, 100);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: PARALLEL }, () => engine.cashOut(player._id))
+    );
+
+    const [cashout] = succeeded(results);
+    expect(succeeded(results)).toHaveLength(1);
+    const round = await GameRound.findById(engine.currentRound._id);
+    expect(round.cashouts).toHaveLength(1);
+    expect(await Transaction.countDocuments({ player: player._id, type: 'cashout' })).toBe(1);
+
+    const stake = usdToUnits(BET_USD, PRICES.BTC, 'BTC');
+    const payout = multiplyUnits(stake, cashout.value.multiplier);
+    expect(await balanceUnits(player._id)).toBe(before - stake + payout);
+    await expectLedgerConsistent();
+  });
+
+  testWithDatabase('the round only records one cashout when the in-memory guard is bypassed', async () => {
+    // Another instance, or a request racing the guard, settles the same bet
+    const player = await createPlayer('racer');
+    const before = await balanceUnits(player._id);
+    await engine.placeBet(player._id, BET_USD, 'BTC');
+    await startRound(engine, 100);
+
+    const round = engine.currentRound;
+    const bet = round.bets[0];
+    const results = await Promise.allSettled(
+      Array.from({ length: PARALLEL }, () => engine.settleCashout(round, bet, 1.5, false))
+    );
+
+    expect(succeeded(results)).toHaveLength(1);
+    const stored = await GameRound.findById(round._id);
+    expect(stored.cashouts).toHaveLength(1);
+    expect(await Transaction.countDocuments({ player: player._id, type: 'cashout' })).toBe(1);
+
+    const stake = toUnits(bet.cryptoAmt, 'BTC');
+    expect(await balanceUnits(player._id)).toBe(before - stake + multiplyUnits(stake, 1.5));
+    await expectLedgerConsistent();
+  });
+});
+
+describe('settlement', () => {
+  testWithDatabase('a cashout committed before the crash is settled as won even if memory missed it', async () => {
+    const player = await createPlayer('late');
+    const before = await balanceUnits(player._id);
+    await engine.placeBet(player._id, BET_USD, 'BTC');
+    await startRound(engine, 100);
+
+    const round = engine.currentRound;
+    const bet = round.bets[0];
+    await engine.settleCashout(round, bet, 1.5, false);
+    // The cashout's transaction committed but it hasn't reached the in-memory round yet
+    round.cashouts = [];
+    await engine.endRound();
+
+    const stored = await GameRound.findById(round._id);
+    expect(stored.bets[0].outcome).toBe('won');
+    const settlement = await Transaction.findOne({ player: player._id, type: 'settlement' });
+    expect(settlement.outcome).toBe('won');
+
+    const stake = toUnits(bet.cryptoAmt, 'BTC');
+    expect(await balanceUnits(player._id)).toBe(before - stake + multiplyUnits(stake, 1.5));
+    await expectLedgerConsistent();
+  });
+});
+
+describe('parallel auto-bet plans', () => {
+  testWithDatabase('a player only gets one active plan', async () => {
+    const player = await createPlayer('planner');
+    const runner = new AutoBetRunner(engine);
+    const config = { baseBet: BET_USD, currency: 'BTC', targetMultiplier: 2 };
+
+    const results = await Promise.allSettled(
+      Array.from({ length: PARALLEL }, () => runner.startPlan(player._id, config))
+    );
+
+    expect(succeeded(results)).toHaveLength(1);
+    for (const result of results.filter(result => result.status === 'rejected')) {
+      expect(result.reason.message).toBe('An auto-bet plan is already running');
+    }
+    expect(await AutoBetPlan.countDocuments({ player: player._id, status: 'active' })).toBe(1);
+  });
+});
@@ -0,0 +1,119 @@
+import { combineClientSeeds, deriveCrashPoint, sha256, verifyRound } from '../src/utils/crashPoint.js';
+
+/**
+ * Statistical checks of the crash point distribution on a fixed set of seeds, so a run is repeatable.
+ * P(crash >= t) should be (1 - edge) / t, which makes every cashout target return 1 - edge,
+ * and a share of rounds equal to the house edge should be instant busts.
+ * A million rounds per config, the default of npm run simulate, with the same tolerance of 4 standard
+ * errors. At that count a 2x target's return has to land within 0.4 percentage points of 1 - edge.
+ */
+const ROUNDS = 1000000;
+const MAX_DEVIATIONS = 4;
+const TARGETS = [1.01, 1.1, 1.5, 2, 3, 5, 10, 20, 50];
+
+function simulate(config) {
+  const serverSeed = sha256('crash point distribution test');
+  const clientSeed = sha256('client seed');
+  const crashPoints = [];
+  let instantBusts = 0;
+
+  for (let nonce = 1; nonce <= ROUNDS; nonce++) {
+    const derivation = deriveCrashPoint(serverSeed, clientSeed, nonce, config);
+    crashPoints.push(derivation.crashPoint);
+    if (derivation.instantBust) instantBusts++;
+  }
+  return { crashPoints, instantBusts };
+}
+
+// How many standard errors an observed share is from the expected probability
+function deviations(observed, expected) {
+  const stdError = Math.sqrt(expected * (1 - expected) / ROUNDS);
+  return Math.abs(observed - expected) / stdError;
+}
+
+describe.each([
+  { houseEdge: 0.01, minMultiplier: 1.0, maxMultiplier: 100 },
+  { houseEdge: 0.05, minMultiplier: 1.0, maxMultiplier: 1000 }
+])('crash point distribution with a $houseEdge house edge', (config) => {
+  const { crashPoints, instantBusts } = simulate(config);
+  const survival = (target) => crashPoints.filter(crashPoint => crashPoint >= target).length / ROUNDS;
+  // Every round reaches the minimum, busts included
+  const expectedSurvival = (target) => target <= config.minMultiplier ? 1 : (1 - config.houseEdge) / target;
+
+  test('stays within the configured multipliers', () => {
+    const outside = crashPoints.filter(crashPoint => crashPoint < config.minMultiplier || crashPoint > config.maxMultiplier);
+    expect(outside).toEqual([]);
+    // Whole hundredths
+    expect(crashPoints.every(crashPoint => Math.abs(crashPoint * 100 - Math.round(crashPoint * 100)) < 1e-6)).toBe(true);
+  });
+
+  test.each(TARGETS)('a %sx cashout target returns 1 - edge', (target) => {
+    const expected = (1 - config.houseEdge) / target;
+    const observed = survival(target);
+
+    expect(deviations(observed, expected)).toBeLessThanOrEqual(MAX_DEVIATIONS);
+    // The return's standard error is the share's scaled by the target
+    const returnTolerance = MAX_DEVIATIONS * target * Math.sqrt(expected * (1 - expected) / ROUNDS);
+    expect(Math.abs(observed * target - (1 - config.houseEdge))).toBeLessThanOrEqual(returnTolerance);
+  });
+
+  test('instant busts happen as often as the house edge', () => {
+    expect(deviations(instantBusts / ROUNDS, config.houseEdge)).toBeLessThanOrEqual(MAX_DEVIATIONS);
+  });
+
+  test('rounds reach the cap as often as the distribution says', () => {
+    const expected = (1 - config.houseEdge) / config.maxMultiplier;
+    expect(deviations(survival(config.maxMultiplier), expected)).toBeLessThanOrEqual(MAX_DEVIATIONS);
+  });
+
+  test('crash points between targets follow the distribution', () => {
+    // Share of rounds crashing in each bucket between consecutive targets against the expected share
+    const edges = [config.minMultiplier, ...TARGETS, config.maxMultiplier];
+    for (let i = 0; i < edges.length - 1; i++) {
+      const expected = expectedSurvival(edges[i]) - expectedSurvival(edges[i + 1]);
+      const observed = survival(edges[i]) - survival(edges[i + 1]);
+      expect(deviations(observed, expected)).toBeLessThanOrEqual(MAX_DEVIATIONS);
+    }
+  });
+});
+
+test('a round derives the same crash point every time', () => {
+  const config = { houseEdge: 0.01, minMultiplier: 1.0, maxMultiplier: 100 };
+  const first = deriveCrashPoint('server', 'client', 42, config);
+  expect(deriveCrashPoint('server', 'client', 42, config)).toEqual(first);
+  expect(deriveCrashPoint('server', 'client', 43, config).hash).not.toEqual(first.hash);
+});
+
+describe('round verification', () => {
+  const config = { houseEdge: 0.01, minMultiplier: 1.0, maxMultiplier: 100 };
+  const previousBets = [{ clientSeed: 'alice', nonce: 3 }, { clientSeed: 'bob', nonce: 7 }];
+  const seedInputs = { previousBets, chainClientSeed: sha256('chain client seed') };
+
+  // A round as the engine stores it, with the crash point derived from the given client seed
+  function storedRound(clientSeed) {
+    const seed = sha256('server seed');
+    return {
+      roundNumber: 12,
+      nonce: 12,
+      seed,
+      seedHash: sha256(seed),
+      clientSeed,
+      crashPoint: deriveCrashPoint(seed, clientSeed, 12, config).crashPoint,
+      ...config
+    };
+  }
+
+  test('passes a client seed combined from the previous round and the chain', () => {
+    const result = verifyRound(storedRound(combineClientSeeds(previousBets, seedInputs.chainClientSeed)), null, seedInputs);
+    expect(result.checks.clientSeed).toBe(true);
+    expect(result.clientSeedDerivation.contributions).toEqual(['alice:3', 'bob:7']);
+    expect(result.valid).toBe(true);
+  });
+
+  test('fails a client seed the committed inputs do not give, even with a matching crash point', () => {
+    const result = verifyRound(storedRound(sha256('picked by the server')), null, seedInputs);
+    expect(result.checks.crashPoint).toBe(true);
+    expect(result.checks.clientSeed).toBe(false);
+    expect(result.valid).toBe(false);
+  });
+});
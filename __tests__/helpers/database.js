@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+
+/**
+ * Reason the database tests can't run here, set by globalSetup.js when there is no mongod binary
+ */
+export const databaseUnavailable = process.env.TEST_DATABASE_UNAVAILABLE || null;
+
+// test for tests that use the database, skipped without a mongod binary
+export const testWithDatabase = databaseUnavailable ? test.skip : test;
+
+/**
+ * In-memory MongoDB for tests. It runs as a single node replica set because bets,
+ * cashouts and settlements use transactions.
+ */
+export async function startDatabase() {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+
+  // Collections can't be created inside a transaction, create them and their indexes up front
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+  return replSet;
+}
+
+export async function stopDatabase(replSet) {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+}
+
+export async function clearDatabase() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
@@ -0,0 +1,24 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Settings for tests that run the game engine. Import it before anything from src/,
+ * services read their configuration when they are constructed.
+ * Prices come from a fixed file so stakes and payouts are predictable, and betting stays open
+ * until a test starts the round itself.
+ */
+export const PRICES = { BTC: 50000, ETH: 2500 };
+
+const priceFile = path.join(os.tmpdir(), `crash-test-prices-${process.pid}.json`);
+fs.writeFileSync(priceFile, JSON.stringify(PRICES));
+
+process.env.PRICE_SOURCES = 'static';
+process.env.PRICE_STATIC_FILE = priceFile;
+process.env.BETTING_PHASE_MS = '600000';
+process.env.CRASHED_PHASE_MS = '600000';
+// 2x after ~0.7s, so cashouts pay more than the stake within a test
+process.env.MULTIPLIER_GROWTH_RATE = '0.001';
+// The mock gateway has to be chosen explicitly
+process.env.PAYMENT_GATEWAY = 'mock';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
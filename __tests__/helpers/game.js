@@ -0,0 +1,65 @@
+import { GameEngine } from '../../src/services/GameEngine.js';
+import ledger from '../../src/services/Ledger.js';
+import Player from '../../src/models/Player.js';
+
+/**
+ * Game engine helpers for tests that use the database, see helpers/database.js
+ */
+export function fakeIo() {
+  const io = { emit() {}, to: () => io };
+  return io;
+}
+
+/**
+ * Create a player funded from the house through the ledger
+ */
+export async function createPlayer(name, wallet = { BTC: '0.01' }) {
+  const player = await Player.create({ name });
+  await ledger.postOpening(player._id, wallet);
+  return player;
+}
+
+/**
+ * Start an engine and wait until its first round takes bets
+ */
+export async function startEngine(configure = () => {}) {
+  const engine = new GameEngine(fakeIo());
+  configure(engine);
+  const opened = new Promise(resolve => engine.once('betting_open', resolve));
+  await engine.start();
+  await opened;
+  return engine;
+}
+
+/**
+ * Close betting now instead of waiting for the betting phase to run out.
+ * A crash point overrides the committed one in memory only.
+ */
+export async function startRound(engine, crashPoint) {
+  clearTimeout(engine.gameTimer);
+  if (crashPoint) engine.currentRound.crashPoint = crashPoint;
+  await engine.startActivePhase();
+}
+
+/**
+ * Stop an engine the way a killed process stops: no timer fires again and nothing more is written
+ */
+export function killEngine(engine) {
+  engine.clearRoundTimers();
+  engine.isRunning = false;
+  engine.removeAllListeners();
+}
+
+export async function balanceUnits(playerId, currency = 'BTC') {
+  const player = await Player.findById(playerId);
+  return player.getBalanceUnits(currency);
+}
+
+/**
+ * Every cached wallet matches the ledger and every journal balances
+ */
+export async function expectLedgerConsistent() {
+  const report = await ledger.reconcile();
+  expect(report.drift).toEqual([]);
+  expect(report.unbalancedJournals).toEqual([]);
+}
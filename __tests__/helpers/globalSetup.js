@@ -0,0 +1,21 @@
+import { MongoBinary } from 'mongodb-memory-server';
+
+/**
+ * Get the mongod binary the database tests need once, before any suite starts. Without one,
+ * for example offline on a first run, those tests are skipped with the reason instead of failing,
+ * unless REQUIRE_TEST_DATABASE is set.
+ */
+export default async function globalSetup() {
+  try {
+    await MongoBinary.getPath();
+  } catch (error) {
+    if (process.env.REQUIRE_TEST_DATABASE) throw error;
+
+    // Test files run with this environment, helpers/database.js reads it
+    process.env.TEST_DATABASE_UNAVAILABLE = error.message.split('\n')[0];
+    console.warn(
+      `\nSkipping the database tests, no mongod binary: ${process.env.TEST_DATABASE_UNAVAILABLE}\n` +
+      'Set MONGOMS_SYSTEM_BINARY to a local mongod or MONGOMS_DOWNLOAD_URL to a reachable mirror to run them.\n'
+    );
+  }
+}
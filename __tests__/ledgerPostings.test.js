@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals';
+import fc from 'fast-check';
+import mongoose from 'mongoose';
+import ledger from '../src/services/Ledger.js';
+import LedgerEntry, { HOUSE_ACCOUNT } from '../src/models/LedgerEntry.js';
+import { fromUnits, multiplyUnits } from '../src/utils/money.js';
+import { getCurrencySymbols } from '../src/utils/currencies.js';
+
+/**
+ * Every journal the ledger posts sums to zero per currency, so money only moves between accounts.
+ * Journals are captured instead of written, these tests don't need a database.
+ */
+const currencies = fc.constantFrom(...getCurrencySymbols());
+const amounts = fc.bigInt({ min: 1n, max: 10n ** 24n });
+const fees = fc.bigInt({ min: 0n, max: 10n ** 20n });
+// A bet that loses (null) or is cashed out on the 2 decimal place curve
+const bets = fc.array(fc.record({
+  stake: amounts,
+  cashout: fc.option(fc.integer({ min: 100, max: 100000 }).map(hundredths => hundredths / 100))
+}), { minLength: 1, maxLength: 20 });
+
+let journals;
+
+function objectId() {
+  return new mongoose.Types.ObjectId();
+}
+
+// Balance of every account over the captured journals, in smallest units
+function balances() {
+  const totals = new Map();
+  for (const { lines } of journals) {
+    for (const line of lines) {
+      const key = `${line.account} ${line.currency}`;
+      totals.set(key, (totals.get(key) || 0n) + line.amount);
+    }
+  }
+  return totals;
+}
+
+function balanceOf(account, currency) {
+  return balances().get(`${account} ${currency}`) || 0n;
+}
+
+function expectJournalsBalanced() {
+  for (const { type, lines } of journals) {
+    const totals = {};
+    for (const line of lines) {
+      expect(typeof line.amount).toBe('bigint');
+      totals[line.currency] = (totals[line.currency] || 0n) + line.amount;
+    }
+    for (const total of Object.values(totals)) {
+      expect({ type, total }).toEqual({ type, total: 0n });
+    }
+  }
+}
+
+beforeEach(() => {
+  journals = [];
+  jest.spyOn(ledger, 'post').mockImplementation(async (type, lines) => {
+    journals.push({ type, lines });
+    return { journal: String(journals.length), players: new Map() };
+  });
+  // Round closing reads the pending balance back from the entries
+  jest.spyOn(LedgerEntry, 'getBalances').mockImplementation(async (account) => {
+    const result = {};
+    for (const [key, total] of balances()) {
+      const [entryAccount, currency] = key.split(' ');
+      if (entryAccount === account) result[currency] = fromUnits(total, currency);
+    }
+    return result;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('a round moves stakes and payouts between players and the house without creating value', async () => {
+  await fc.assert(fc.asyncProperty(bets, currencies, async (roundBets, currency) => {
+    journals = [];
+    const roundId = objectId();
+    const players = roundBets.map(() => objectId());
+
+    for (const [i, bet] of roundBets.entries()) {
+      await ledger.postBet(players[i], roundId, bet.stake, currency, objectId());
+    }
+    let expectedHouse = 0n;
+    for (const [i, bet] of roundBets.entries()) {
+      if (bet.cashout) {
+        const payout = multiplyUnits(bet.stake, bet.cashout);
+        await ledger.postCashout(players[i], roundId, bet.stake, payout, currency, objectId());
+        expectedHouse -= payout - bet.stake;
+      } else {
+        expectedHouse += bet.stake;
+      }
+    }
+    await ledger.closeRound(roundId);
+
+    expectJournalsBalanced();
+    expect(balanceOf(`pending:${roundId}`, currency)).toBe(0n);
+    expect(balanceOf(HOUSE_ACCOUNT, currency)).toBe(expectedHouse);
+    const playersTotal = players.reduce((total, id) => total + balanceOf(`player:${id}`, currency), 0n);
+    expect(playersTotal + balanceOf(HOUSE_ACCOUNT, currency)).toBe(0n);
+  }));
+});
+
+test('a voided round gives every stake back', async () => {
+  await fc.assert(fc.asyncProperty(bets, currencies, async (roundBets, currency) => {
+    journals = [];
+    const roundId = objectId();
+    const players = roundBets.map(() => objectId());
+
+    for (const [i, bet] of roundBets.entries()) {
+      await ledger.postBet(players[i], roundId, bet.stake, currency, objectId());
+    }
+    for (const [i, bet] of roundBets.entries()) {
+      await ledger.postRefund(players[i], roundId, bet.stake, currency, objectId());
+    }
+    await ledger.closeRound(roundId);
+
+    expectJournalsBalanced();
+    for (const id of players) {
+      expect(balanceOf(`player:${id}`, currency)).toBe(0n);
+    }
+    expect(balanceOf(`pending:${roundId}`, currency)).toBe(0n);
+    expect(balanceOf(HOUSE_ACCOUNT, currency)).toBe(0n);
+  }));
+});
+
+test('deposits and withdrawals only move money in and out through the gateway', async () => {
+  const withdrawals = fc.array(fc.record({ amount: amounts, fee: fees, sent: fc.boolean() }), { maxLength: 10 });
+
+  await fc.assert(fc.asyncProperty(amounts, withdrawals, currencies, async (deposit, requests, currency) => {
+    journals = [];
+    const playerId = objectId();
+
+    await ledger.postDeposit(playerId, deposit, currency, objectId());
+    let sent = 0n;
+    let feesKept = 0n;
+    for (const { amount, fee, sent: confirmed } of requests) {
+      await ledger.postWithdrawal(playerId, amount, fee, currency, objectId());
+      if (confirmed) {
+        await ledger.postWithdrawalSent(amount, fee, currency, objectId());
+        sent += amount;
+        feesKept += fee;
+      } else {
+        await ledger.postWithdrawalRelease(playerId, amount, fee, currency, objectId());
+      }
+    }
+
+    expectJournalsBalanced();
+    expect(balanceOf('withdrawal:pending', currency)).toBe(0n);
+    expect(balanceOf('external:gateway', currency)).toBe(sent - deposit);
+    expect(balanceOf(HOUSE_ACCOUNT, currency)).toBe(feesKept);
+    expect(balanceOf(`player:${playerId}`, currency)).toBe(deposit - sent - feesKept);
+  }));
+});
+
+test('opening balances come out of the house', async () => {
+  const wallets = fc.dictionary(currencies, fc.bigInt({ min: 0n, max: 10n ** 12n }).map(String));
+
+  await fc.assert(fc.asyncProperty(wallets, async (wallet) => {
+    journals = [];
+    await ledger.postOpening(objectId(), wallet);
+    expectJournalsBalanced();
+  }));
+});
+
+test('an unbalanced journal is refused before anything is written', async () => {
+  jest.restoreAllMocks();
+  const lines = fc.array(fc.record({ amount: fc.bigInt({ min: -(10n ** 20n), max: 10n ** 20n }) }), { minLength: 1, maxLength: 6 });
+
+  await fc.assert(fc.asyncProperty(lines, currencies, async (generated, currency) => {
+    const total = generated.reduce((sum, { amount }) => sum + amount, 0n);
+    fc.pre(total !== 0n);
+
+    const houseLines = generated.map(({ amount }) => ledger.houseLine(currency, amount));
+    await expect(ledger.post('adjustment', houseLines)).rejects.toThrow(`Unbalanced adjustment journal`);
+  }));
+});
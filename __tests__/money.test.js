@@ -0,0 +1,77 @@
+import fc from 'fast-check';
+import {
+  decimalToString, fromUnits, multiplyUnits, toDecimal128, toUnits, unitsToUsd, usdToUnits
+} from '../src/utils/money.js';
+import { getCurrency, getCurrencySymbols } from '../src/utils/currencies.js';
+
+/**
+ * Conversions between smallest units, decimal strings, USD and multipliers never create value:
+ * round trips are exact and every rounding goes the house's way by less than one unit.
+ */
+const currencies = fc.constantFrom(...getCurrencySymbols());
+const units = fc.bigInt({ min: -(10n ** 30n), max: 10n ** 30n });
+const positiveUnits = fc.bigInt({ min: 1n, max: 10n ** 27n });
+// Whole cents from $0.01 to $1,000,000
+const usdAmounts = fc.integer({ min: 1, max: 100000000 }).map(cents => cents / 100);
+// Whole cents from $0.01 to $10,000,000
+const prices = fc.integer({ min: 1, max: 1000000000 }).map(cents => cents / 100);
+// The 2 decimal place curve, 1x to 1000x
+const multipliers = fc.integer({ min: 100, max: 100000 }).map(hundredths => hundredths / 100);
+
+// Decimal string of a non-negative amount with every decimal of the currency, followed by extra digits
+function withExtraDigits(amount, currency, extra) {
+  const decimals = getCurrency(currency).decimals;
+  const scale = 10n ** BigInt(decimals);
+  const fraction = (amount % scale).toString().padStart(decimals, '0');
+  return `${amount / scale}.${fraction}${extra}`;
+}
+
+const cents = (usd) => Math.round(usd * 100);
+
+test('units survive a round trip through decimal strings', () => {
+  fc.assert(fc.property(units, currencies, (amount, currency) => {
+    expect(toUnits(fromUnits(amount, currency), currency)).toBe(amount);
+  }));
+});
+
+test('units survive a round trip through Decimal128', () => {
+  fc.assert(fc.property(units, currencies, (amount, currency) => {
+    expect(toUnits(decimalToString(toDecimal128(amount, currency)), currency)).toBe(amount);
+  }));
+});
+
+test('decimals past the smallest unit round by less than one unit', () => {
+  const extraDigits = fc.stringMatching(/^\d{1,12}$/);
+  fc.assert(fc.property(positiveUnits, currencies, extraDigits, (amount, currency, extra) => {
+    const value = withExtraDigits(amount, currency, extra);
+    expect(toUnits(value, currency, 'down')).toBe(amount);
+    expect(toUnits(value, currency, 'nearest')).toBe(extra[0] >= '5' ? amount + 1n : amount);
+  }));
+});
+
+test('a stake bought with USD is never worth more than the USD', () => {
+  fc.assert(fc.property(usdAmounts, prices, currencies, (usd, price, currency) => {
+    const stake = usdToUnits(usd, price, currency);
+    expect(stake >= 0n).toBe(true);
+    expect(cents(unitsToUsd(stake, price, currency))).toBeLessThanOrEqual(cents(usd));
+    // Rounded down by less than one unit: one more would be worth at least the USD
+    expect(cents(unitsToUsd(stake + 1n, price, currency))).toBeGreaterThanOrEqual(cents(usd));
+  }));
+});
+
+test('a payout is the stake times the multiplier rounded down by less than one unit', () => {
+  fc.assert(fc.property(positiveUnits, multipliers, (stake, multiplier) => {
+    const payout = multiplyUnits(stake, multiplier);
+    const exact = stake * BigInt(Math.round(multiplier * 100));
+    expect(payout * 100n <= exact).toBe(true);
+    expect((payout + 1n) * 100n > exact).toBe(true);
+  }));
+});
+
+test('payouts never shrink as the multiplier grows and 1x pays the stake back', () => {
+  fc.assert(fc.property(positiveUnits, multipliers, multipliers, (stake, a, b) => {
+    const [low, high] = a <= b ? [a, b] : [b, a];
+    expect(multiplyUnits(stake, low) <= multiplyUnits(stake, high)).toBe(true);
+    expect(multiplyUnits(stake, 1)).toBe(stake);
+  }));
+});
@@ -0,0 +1,124 @@
+import './helpers/environment.js';
+import { startDatabase, stopDatabase, clearDatabase, testWithDatabase } from './helpers/database.js';
+import { createPlayer, balanceUnits, expectLedgerConsistent } from './helpers/game.js';
+import payments from '../src/services/Payments.js';
+import { MockGateway } from '../src/services/MockGateway.js';
+import Transaction from '../src/models/Transaction.js';
+import { getCurrency } from '../src/utils/currencies.js';
+import { toUnits } from '../src/utils/money.js';
+
+/**
+ * Deposits and withdrawals driven through the mock gateway and the leader's sync: money only reaches
+ * a wallet once confirmed, a dropped withdrawal is returned, and one the gateway forgot is held for review.
+ */
+const ADDRESS = 'bc1qtestwithdrawaladdress000000000000';
+
+let replSet;
+
+function gateway() {
+  return payments.getGateway();
+}
+
+// Mine enough blocks to confirm everything sent so far and sync
+async function confirm() {
+  gateway().mine(getCurrency('BTC').depositConfirmations);
+  await payments.sync();
+}
+
+function withdrawalUnits(amount) {
+  return toUnits(amount, 'BTC') + toUnits(getCurrency('BTC').withdrawalFee, 'BTC');
+}
+
+beforeAll(async () => {
+  replSet = await startDatabase();
+}, 120000);
+
+afterAll(async () => {
+  await stopDatabase(replSet);
+});
+
+beforeEach(async () => {
+  await clearDatabase();
+  payments.gateway = new MockGateway();
+});
+
+testWithDatabase('a deposit is credited once it has enough confirmations', async () => {
+  const player = await createPlayer('depositor');
+  const before = await balanceUnits(player._id);
+  const { address } = await payments.getDepositAddress(player, 'BTC');
+
+  const txId = gateway().receive(address, '0.05');
+  await payments.sync();
+  const seen = await Transaction.findOne({ type: 'deposit', chainTxId: txId });
+  expect(seen.status).toBe('pending');
+  expect(await balanceUnits(player._id)).toBe(before);
+
+  await confirm();
+  const credited = await Transaction.findById(seen._id);
+  expect(credited.status).toBe('confirmed');
+  expect(await balanceUnits(player._id)).toBe(before + toUnits('0.05', 'BTC'));
+  await expectLedgerConsistent();
+});
+
+testWithDatabase('syncs started together record and credit a deposit once', async () => {
+  const player = await createPlayer('racer');
+  const before = await balanceUnits(player._id);
+  const { address } = await payments.getDepositAddress(player, 'BTC');
+
+  const txId = gateway().receive(address, '0.05');
+  gateway().mine(getCurrency('BTC').depositConfirmations);
+  await Promise.all([payments.sync(), payments.sync(), payments.sync()]);
+
+  expect(await Transaction.countDocuments({ type: 'deposit', chainTxId: txId })).toBe(1);
+  expect(await balanceUnits(player._id)).toBe(before + toUnits('0.05', 'BTC'));
+  await expectLedgerConsistent();
+});
+
+testWithDatabase('a withdrawal is final once confirmed', async () => {
+  const player = await createPlayer('withdrawer');
+  const before = await balanceUnits(player._id);
+
+  const sent = await payments.requestWithdrawal(player._id, 'BTC', '0.001', ADDRESS);
+  expect(sent.status).toBe('broadcast');
+  expect(sent.chainTxId).toBeDefined();
+  expect(await balanceUnits(player._id)).toBe(before - withdrawalUnits('0.001'));
+
+  await confirm();
+  const confirmed = await Transaction.findById(sent._id);
+  expect(confirmed.status).toBe('confirmed');
+  expect(await balanceUnits(player._id)).toBe(before - withdrawalUnits('0.001'));
+  await expectLedgerConsistent();
+});
+
+testWithDatabase('a withdrawal dropped by the network is returned to the wallet', async () => {
+  const player = await createPlayer('dropped');
+  const before = await balanceUnits(player._id);
+
+  const sent = await payments.requestWithdrawal(player._id, 'BTC', '0.001', ADDRESS);
+  gateway().failTransfer(sent.chainTxId);
+  await payments.sync();
+
+  const failed = await Transaction.findById(sent._id);
+  expect(failed.status).toBe('failed');
+  expect(failed.statusReason).toBe('Dropped by the network');
+  expect(await balanceUnits(player._id)).toBe(before);
+  await expectLedgerConsistent();
+});
+
+testWithDatabase('a withdrawal the gateway forgot after a restart is flagged, not returned', async () => {
+  const player = await createPlayer('forgotten');
+  const before = await balanceUnits(player._id);
+
+  const sent = await payments.requestWithdrawal(player._id, 'BTC', '0.001', ADDRESS);
+  // A restarted process gets a new mock with no transfers
+  payments.gateway = new MockGateway();
+  await confirm();
+  await payments.sync();
+
+  const flagged = await Transaction.findById(sent._id);
+  expect(flagged.status).toBe('broadcast');
+  expect(flagged.flaggedAt).toBeInstanceOf(Date);
+  expect(flagged.statusReason).toBe('The payment gateway has no record of the transfer');
+  expect(await balanceUnits(player._id)).toBe(before - withdrawalUnits('0.001'));
+  await expectLedgerConsistent();
+});
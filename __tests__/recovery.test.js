@@ -0,0 +1,140 @@
+import { PRICES } from './helpers/environment.js';
+import { startDatabase, stopDatabase, clearDatabase, testWithDatabase } from './helpers/database.js';
+import {
+  fakeIo, createPlayer, startEngine, startRound, killEngine, balanceUnits, expectLedgerConsistent
+} from './helpers/game.js';
+import { GameEngine } from '../src/services/GameEngine.js';
+import GameRound from '../src/models/GameRound.js';
+import Transaction from '../src/models/Transaction.js';
+import { multiplyUnits, usdToUnits } from '../src/utils/money.js';
+
+/**
+ * An engine killed in the middle of a round and a new one started on the same database:
+ * recovery either plays the round out to the crash point it committed to, or voids it
+ * and gives every open stake back. Either way the ledger still balances.
+ */
+const BET_USD = 10;
+const AUTO_CASHOUT = 1.5;
+
+let replSet;
+let engines = [];
+
+// Wait for an engine event, resolving with its argument
+function nextEvent(engine, event) {
+  return new Promise(resolve => engine.once(event, resolve));
+}
+
+// Start a round with one plain bet and one auto-cashout bet, then kill the engine while it runs
+async function killMidRound() {
+  const engine = await startEngine();
+  engines.push(engine);
+
+  const plain = await createPlayer('plain');
+  const auto = await createPlayer('auto');
+  const before = await balanceUnits(plain._id);
+  await engine.placeBet(plain._id, BET_USD, 'BTC');
+  await engine.placeBet(auto._id, BET_USD, 'BTC', AUTO_CASHOUT);
+  await startRound(engine);
+
+  const round = await GameRound.findById(engine.currentRound._id);
+  expect(round.status).toBe('active');
+  killEngine(engine);
+
+  return { round, plain, auto, before };
+}
+
+async function restart(policy) {
+  const engine = await startEngine(engine => {
+    engine.recoveryPolicy = policy;
+  });
+  engines.push(engine);
+  return engine;
+}
+
+beforeAll(async () => {
+  replSet = await startDatabase();
+}, 120000);
+
+afterAll(async () => {
+  await stopDatabase(replSet);
+});
+
+beforeEach(async () => {
+  await clearDatabase();
+  engines = [];
+});
+
+afterEach(async () => {
+  for (const engine of engines) {
+    await engine.stop();
+  }
+});
+
+testWithDatabase('the void policy refunds every stake of a round left running', async () => {
+  const { round, plain, auto, before } = await killMidRound();
+
+  await restart('void');
+
+  const recovered = await GameRound.findById(round._id);
+  expect(recovered.status).toBe('voided');
+  expect(recovered.settledAt).not.toBeNull();
+  expect(recovered.bets.map(bet => bet.outcome)).toEqual(['refunded', 'refunded']);
+
+  expect(await balanceUnits(plain._id)).toBe(before);
+  expect(await balanceUnits(auto._id)).toBe(before);
+  expect(await Transaction.countDocuments({ round: round._id, type: 'refund' })).toBe(2);
+  await expectLedgerConsistent();
+});
+
+testWithDatabase('the resume policy plays the round out to its committed crash point', async () => {
+  const { round, plain, auto, before } = await killMidRound();
+
+  // Resuming doesn't open a new round, wait for the resumed one to crash.
+  // The curve grows fast in tests, the highest crash point is a few seconds away
+  const engine = new GameEngine(fakeIo());
+  engine.recoveryPolicy = 'resume';
+  engines.push(engine);
+  const crashed = nextEvent(engine, 'round_crashed');
+  await engine.start();
+  await crashed;
+
+  const recovered = await GameRound.findById(round._id);
+  expect(recovered.status).toBe('crashed');
+  expect(recovered.crashPoint).toBe(round.crashPoint);
+  expect(recovered.finalMultiplier).toBe(round.crashPoint);
+  expect(recovered.settledAt).not.toBeNull();
+
+  const stake = usdToUnits(BET_USD, PRICES.BTC, 'BTC');
+  const plainBet = recovered.bets.find(bet => bet.player.equals(plain._id));
+  expect(plainBet.outcome).toBe('lost');
+  expect(await balanceUnits(plain._id)).toBe(before - stake);
+
+  // The target pays if the committed crash point is above it, whether or not the server was down when the curve passed it
+  const autoBet = recovered.bets.find(bet => bet.player.equals(auto._id));
+  if (round.crashPoint > AUTO_CASHOUT) {
+    expect(autoBet.outcome).toBe('won');
+    expect(await balanceUnits(auto._id)).toBe(before - stake + multiplyUnits(stake, AUTO_CASHOUT));
+  } else {
+    expect(autoBet.outcome).toBe('lost');
+    expect(await balanceUnits(auto._id)).toBe(before - stake);
+  }
+  await expectLedgerConsistent();
+}, 30000);
+
+testWithDatabase('a round killed while taking bets is voided and refunded', async () => {
+  const engine = await startEngine();
+  engines.push(engine);
+  const player = await createPlayer('early');
+  const before = await balanceUnits(player._id);
+  await engine.placeBet(player._id, BET_USD, 'BTC');
+  const roundId = engine.currentRound._id;
+  killEngine(engine);
+
+  await restart('void');
+
+  const recovered = await GameRound.findById(roundId);
+  expect(recovered.status).toBe('voided');
+  expect(recovered.bets[0].outcome).toBe('refunded');
+  expect(await balanceUnits(player._id)).toBe(before);
+  await expectLedgerConsistent();
+});
@@ -30,4 +30,24 @@ export function getDatabase() {
     throw new Error('Database is not connected. Please initialize the database first.');
   }
   return mongoose.connection;
-}
\ No newline at end of file
+}
+
+/**
+ * Run a function inside a MongoDB transaction.
+ * Transactions need MongoDB running as a replica set (Atlas clusters are).
+ * The callback may be retried on transient errors, so it must not have side effects outside the session.
+ * @param {Function} fn - Receives the session, every write must pass it
+ * @returns {Promise<*>} Whatever fn returned
+ */
+export async function withTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
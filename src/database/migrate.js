@@ -0,0 +1,181 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import mongoose from 'mongoose';
+import { initializeDatabase } from './connection.js';
+import Player from '../models/Player.js';
+import Transaction from '../models/Transaction.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import GameRound from '../models/GameRound.js';
+import { isSupportedCurrency } from '../utils/currencies.js';
+import { toDecimal128, toUnits } from '../utils/money.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Bring existing documents in line with the current schemas. Every migration is safe to run again.
+ *
+ * Usage:
+ *   node src/database/migrate.js
+ *   node src/database/migrate.js --dry-run   # report what would change without writing
+ */
+
+const BATCH_SIZE = 500;
+
+function isAmount(value) {
+  return (typeof value === 'number' && !Number.isNaN(value)) || value instanceof mongoose.mongo.Decimal128;
+}
+
+/**
+ * Player wallets used to be a sub-document with a fixed BTC and ETH field and are now a map of
+ * balances by currency symbol. The stored shape is the same, so this only cleans up what the map
+ * doesn't accept: a missing wallet becomes empty and balances that aren't numbers become 0.
+ * Balances in currencies that aren't enabled are kept and reported.
+ */
+async function migrateWallets(dryRun) {
+  const players = Player.collection.find({}, { projection: { name: 1, wallet: 1 } });
+
+  let changed = 0;
+  for await (const player of players) {
+    const wallet = player.wallet && typeof player.wallet === 'object' ? player.wallet : null;
+    const update = {};
+
+    if (!wallet) {
+      update.wallet = {};
+    } else {
+      for (const [currency, amount] of Object.entries(wallet)) {
+        if (!isAmount(amount)) {
+          update[`wallet.${currency}`] = 0;
+        }
+        if (!isSupportedCurrency(currency) && amount) {
+          logger.warn(`Player ${player.name} (${player._id}) holds ${amount} ${currency}, which is not enabled`);
+        }
+      }
+    }
+
+    if (Object.keys(update).length === 0) continue;
+    changed++;
+    logger.info(`Player ${player.name} (${player._id}) wallet: ${JSON.stringify(update)}`);
+    if (!dryRun) {
+      await Player.collection.updateOne({ _id: player._id }, { $set: update });
+    }
+  }
+  return changed;
+}
+
+/**
+ * Exact Decimal128 amount for a float stored before amounts were exact, rounded to the nearest
+ * smallest unit of the currency. null for a currency that isn't enabled, its decimals are unknown.
+ */
+function exactAmount(amount, currency) {
+  if (!isSupportedCurrency(currency)) return null;
+  return toDecimal128(toUnits(amount, currency), currency);
+}
+
+/**
+ * Crypto amounts used to be stored as floats and are now Decimal128: wallet balances, transaction
+ * and ledger entry amounts and bet stakes. Floats are rounded to the currency's smallest unit,
+ * run npm run reconcile afterwards to check the cached wallets still match the ledger.
+ */
+async function migrateDecimalAmounts(dryRun) {
+  let changed = 0;
+
+  // One update per document, written in batches
+  let batch = [];
+  const queue = async (collection, update) => {
+    changed++;
+    batch.push({ updateOne: update });
+    if (batch.length >= BATCH_SIZE) await flush(collection);
+  };
+  const flush = async (collection) => {
+    if (!dryRun && batch.length > 0) {
+      await collection.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  const players = Player.collection.find({}, { projection: { name: 1, wallet: 1 } });
+  for await (const player of players) {
+    const update = {};
+    for (const [currency, amount] of Object.entries(player.wallet || {})) {
+      if (typeof amount !== 'number') continue;
+      const exact = exactAmount(amount, currency);
+      if (exact) {
+        update[`wallet.${currency}`] = exact;
+      } else {
+        logger.warn(`Player ${player.name} (${player._id}) ${currency} balance left as a float, the currency is not enabled`);
+      }
+    }
+    if (Object.keys(update).length > 0) {
+      await queue(Player.collection, { filter: { _id: player._id }, update: { $set: update } });
+    }
+  }
+  await flush(Player.collection);
+
+  for (const [model, field] of [[Transaction, 'cryptoAmt'], [LedgerEntry, 'amount']]) {
+    const documents = model.collection.find(
+      { [field]: { $type: ['double', 'int', 'long'] } },
+      { projection: { [field]: 1, currency: 1 } }
+    );
+    for await (const document of documents) {
+      const exact = exactAmount(document[field], document.currency);
+      if (!exact) {
+        logger.warn(`${model.modelName} ${document._id} ${field} left as a float, ${document.currency} is not enabled`);
+        continue;
+      }
+      await queue(model.collection, { filter: { _id: document._id }, update: { $set: { [field]: exact } } });
+    }
+    await flush(model.collection);
+  }
+
+  const rounds = GameRound.collection.find(
+    { 'bets.cryptoAmt': { $type: ['double', 'int', 'long'] } },
+    { projection: { roundNumber: 1, bets: 1 } }
+  );
+  for await (const round of rounds) {
+    const update = {};
+    round.bets.forEach((bet, index) => {
+      if (typeof bet.cryptoAmt !== 'number') return;
+      const exact = exactAmount(bet.cryptoAmt, bet.currency);
+      if (exact) {
+        update[`bets.${index}.cryptoAmt`] = exact;
+      } else {
+        logger.warn(`Round ${round.roundNumber} bet ${index} left as a float, ${bet.currency} is not enabled`);
+      }
+    });
+    if (Object.keys(update).length > 0) {
+      await queue(GameRound.collection, { filter: { _id: round._id }, update: { $set: update } });
+    }
+  }
+  await flush(GameRound.collection);
+
+  return changed;
+}
+
+const migrations = [
+  { name: 'wallet-map', up: migrateWallets },
+  { name: 'decimal-amounts', up: migrateDecimalAmounts }
+];
+
+async function migrate() {
+  const dryRun = process.argv.includes('--dry-run');
+  let exitCode = 0;
+
+  try {
+    await initializeDatabase();
+
+    for (const migration of migrations) {
+      const changed = await migration.up(dryRun);
+      logger.info(`Migration ${migration.name}: ${changed} documents ${dryRun ? 'would change' : 'changed'}`);
+    }
+
+  } catch (error) {
+    logger.error('Migration failed:', error);
+    exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+  process.exit(exitCode);
+}
+
+// Run the migrations
+migrate();
@@ -1,7 +1,14 @@
-import jwt from 'jsonwebtoken';
+import Player from '../models/Player.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { verifyAccessToken } from '../utils/tokens.js';
 import logger from '../utils/logger.js';
 
-export function authenticateToken(req, res, next) {
+/**
+ * Require a valid, unrevoked access token and attach the caller's identity to the request.
+ * Accounts that can't play still get through, so they can see their account and limits and withdraw:
+ * betting, auto-bet and deposits check player.canPlay() themselves.
+ */
+export async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -9,23 +16,73 @@ export function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) {
-      logger.warn('Invalid token attempt:', err.message);
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    logger.warn('Invalid token attempt:', err.message);
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
+    // Changing the password bumps tokenVersion and invalidates older tokens
+    const player = await Player.findById(decoded.userId).select('name username role status selfExcludedUntil tokenVersion');
+    if (!player || player.tokenVersion !== decoded.tokenVersion) {
+      return res.status(401).json({ error: 'Token has been revoked' });
     }
 
     req.userId = decoded.userId;
     req.username = decoded.username;
+    req.token = decoded;
+    req.player = player;
     next();
-  });
+
+  } catch (error) {
+    logger.error('Token check failed:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
 }
 
-export function authenticateSocketToken(token) {
+/**
+ * Only let admins through, use after authenticateToken
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.player || req.player.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+/**
+ * Resolve a socket handshake token to the player it belongs to. The socket is for playing,
+ * so unlike the API it is refused to accounts that can't play
+ * @param {string} token - Access token
+ * @returns {Promise<{decoded: Object, player: Player}>} Decoded token and player
+ * @throws {Error} If the token is invalid, expired or revoked, or the account can't play
+ */
+export async function authenticateSocketToken(token) {
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    return decoded;
+    decoded = verifyAccessToken(token);
   } catch (error) {
     throw new Error('Invalid token');
   }
-}
\ No newline at end of file
+
+  if (await RevokedToken.isRevoked(decoded.jti)) {
+    throw new Error('Token has been revoked');
+  }
+
+  const player = await Player.findById(decoded.userId).select('name username status selfExcludedUntil tokenVersion');
+  if (!player || player.tokenVersion !== decoded.tokenVersion) {
+    throw new Error('Token has been revoked');
+  }
+  if (!player.canPlay()) {
+    throw new Error(player.getBlockReason());
+  }
+
+  return { decoded, player };
+}
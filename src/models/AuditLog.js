@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// One admin API call: who did what, with which parameters and how it turned out
+const auditLogSchema = new mongoose.Schema({
+    admin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player',
+        index: true,
+    },
+    adminName: {
+        type: String,
+    },
+    // e.g. engine.stop, round.void, config.update
+    action: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    method: {
+        type: String,
+    },
+    path: {
+        type: String,
+    },
+    // request body and query
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    statusCode: {
+        type: Number,
+    },
+    success: {
+        type: Boolean,
+        required: true,
+    },
+    error: {
+        type: String,
+    },
+    ip: {
+        type: String,
+    },
+    // server instance that handled the call
+    instanceId: {
+        type: String,
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now,
+        index: true,
+    },
+});
+
+// List entries, newest first
+auditLogSchema.statics.getRecent = function(filter = {}, limit = 50) {
+    return this.find(filter)
+        .sort({ timestamp: -1 })
+        .limit(limit);
+};
+
+export default mongoose.model('AuditLog', auditLogSchema);
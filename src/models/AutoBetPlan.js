@@ -0,0 +1,212 @@
+import mongoose from "mongoose";
+import { isSupportedCurrency } from "../utils/currencies.js";
+
+// What to do with the bet size after a win or a loss
+const adjustmentSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['reset', 'multiply'],
+        default: 'reset',
+    },
+    factor: {
+        type: Number,
+        default: 1,
+        min: 0,
+    },
+}, { _id: false });
+
+const autoBetPlanSchema = new mongoose.Schema({
+    player: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player',
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['active', 'stopped', 'completed'],
+        default: 'active',
+        index: true,
+    },
+    // Plan configuration, amounts in USD
+    baseBet: {
+        type: Number,
+        required: true,
+        min: 0.01,
+    },
+    currency: {
+        type: String,
+        validate: {
+            validator: isSupportedCurrency,
+            message: props => `${props.value} is not an enabled currency`,
+        },
+        required: true,
+    },
+    targetMultiplier: {
+        type: Number,
+        required: true,
+        min: 1.01,
+    },
+    onWin: {
+        type: adjustmentSchema,
+        default: () => ({}),
+    },
+    onLoss: {
+        type: adjustmentSchema,
+        default: () => ({}),
+    },
+    // 0 means no limit
+    maxRounds: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    stopLoss: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    takeProfit: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    // Progress
+    currentBet: {
+        type: Number,
+        min: 0.01,
+    },
+    roundsPlayed: {
+        type: Number,
+        default: 0,
+    },
+    wins: {
+        type: Number,
+        default: 0,
+    },
+    losses: {
+        type: Number,
+        default: 0,
+    },
+    wagered: {
+        type: Number,
+        default: 0,
+    },
+    netProfit: {
+        type: Number,
+        default: 0,
+    },
+    // Round the plan has an unsettled bet in
+    pendingRound: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GameRound',
+        index: true,
+    },
+    pendingBet: {
+        type: Number,
+    },
+    stopReason: {
+        type: String,
+    },
+    stoppedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+// A player runs one plan at a time, even when two instances start one at once
+// Databases from before it have a plain player_1 index, AutoBetPlan.syncIndexes() drops that one
+autoBetPlanSchema.index(
+    { player: 1 },
+    { name: 'player_active_unique', unique: true, partialFilterExpression: { status: 'active' } }
+);
+// A player's latest plan, whatever its status
+autoBetPlanSchema.index({ player: 1, createdAt: -1 });
+
+// apply a win/loss adjustment to the bet size
+function adjustBet(plan, adjustment) {
+    if (adjustment.action === 'multiply') {
+        return Math.round(plan.currentBet * adjustment.factor * 100) / 100;
+    }
+    return plan.baseBet;
+}
+
+// record the outcome of the pending bet and work out the next bet size
+autoBetPlanSchema.methods.recordResult = function (won, usdPayout) {
+    const profit = won ? usdPayout - this.pendingBet : -this.pendingBet;
+
+    this.roundsPlayed += 1;
+    this.wagered += this.pendingBet;
+    this.netProfit = Math.round((this.netProfit + profit) * 100) / 100;
+    if (won) {
+        this.wins += 1;
+    } else {
+        this.losses += 1;
+    }
+
+    this.currentBet = Math.max(0.01, adjustBet(this, won ? this.onWin : this.onLoss));
+    this.pendingRound = undefined;
+    this.pendingBet = undefined;
+    return profit;
+}
+
+// check the round, stop-loss and take-profit limits
+autoBetPlanSchema.methods.getLimitReached = function () {
+    if (this.maxRounds > 0 && this.roundsPlayed >= this.maxRounds) {
+        return 'Completed all rounds';
+    }
+    if (this.stopLoss > 0 && this.netProfit <= -this.stopLoss) {
+        return 'Stop-loss reached';
+    }
+    if (this.takeProfit > 0 && this.netProfit >= this.takeProfit) {
+        return 'Take-profit reached';
+    }
+    // Never stake more than the stop-loss has left to lose
+    if (this.stopLoss > 0 && this.currentBet > this.stopLoss + this.netProfit) {
+        return 'Next bet would exceed stop-loss';
+    }
+    return null;
+}
+
+// stop the plan
+autoBetPlanSchema.methods.stop = function (reason, status = 'stopped') {
+    this.status = status;
+    this.stopReason = reason;
+    this.stoppedAt = new Date();
+    return this;
+}
+
+// mark an active plan as betting in a round before the bet is placed, so a bet can't exist
+// without the plan knowing about it. Returns the updated plan, null if it was stopped or already betting
+autoBetPlanSchema.statics.claimRound = function (planId, roundId, bet) {
+    return this.findOneAndUpdate(
+        { _id: planId, status: 'active', pendingRound: null },
+        { $set: { pendingRound: roundId, pendingBet: bet } },
+        { new: true }
+    );
+}
+
+// progress summary sent to the player
+autoBetPlanSchema.methods.toProgress = function () {
+    return {
+        planId: this._id,
+        status: this.status,
+        baseBet: this.baseBet,
+        currency: this.currency,
+        targetMultiplier: this.targetMultiplier,
+        onWin: this.onWin,
+        onLoss: this.onLoss,
+        maxRounds: this.maxRounds,
+        stopLoss: this.stopLoss,
+        takeProfit: this.takeProfit,
+        currentBet: this.currentBet,
+        roundsPlayed: this.roundsPlayed,
+        wins: this.wins,
+        losses: this.losses,
+        wagered: this.wagered,
+        netProfit: this.netProfit,
+        stopReason: this.stopReason,
+    };
+}
+
+export default mongoose.model('AutoBetPlan', autoBetPlanSchema);
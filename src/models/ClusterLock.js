@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// Named lease held by one server instance at a time (the game loop leader).
+// The holder renews it before it expires, anyone may take it over once it has.
+const clusterLockSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+    },
+    owner: {
+        type: String,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    acquiredAt: {
+        type: Date,
+    },
+});
+
+// Take or renew the lease, returns whether the owner holds it afterwards
+clusterLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+    const now = new Date();
+    try {
+        const lock = await this.findOneAndUpdate(
+            { _id: name, $or: [{ owner }, { expiresAt: { $lte: now } }] },
+            [{
+                $set: {
+                    owner,
+                    expiresAt: new Date(now.getTime() + ttlMs),
+                    // Keep the original time on renewals
+                    acquiredAt: { $cond: [{ $eq: ['$owner', owner] }, '$acquiredAt', now] },
+                },
+            }],
+            { upsert: true, new: true }
+        );
+        return lock.owner === owner;
+    } catch (error) {
+        // Someone else holds a live lease, the upsert collided with their document
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+// Give the lease up so another instance can take over without waiting for it to expire
+clusterLockSchema.statics.release = function(name, owner) {
+    return this.deleteOne({ _id: name, owner });
+};
+
+export default mongoose.model('ClusterLock', clusterLockSchema);
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Message on the cluster bus. The collection is capped so instances can tail it
+// like a queue and old messages fall off on their own.
+const clusterMessageSchema = new mongoose.Schema({
+    // Instance that published the message
+    from: {
+        type: String,
+        required: true,
+    },
+    // Instance the message is addressed to, unset for everyone
+    to: {
+        type: String,
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['hello', 'broadcast', 'request', 'reply'],
+    },
+    // Socket.IO room and event of a broadcast
+    room: {
+        type: String,
+    },
+    event: {
+        type: String,
+    },
+    // Request/reply correlation and the action a request asks the leader to run
+    requestId: {
+        type: String,
+    },
+    action: {
+        type: String,
+    },
+    // JSON encoded payload: broadcast data, request arguments or reply result
+    payload: {
+        type: String,
+    },
+    // Failed request: error message and code, e.g. a risk limit's
+    error: {
+        type: String,
+    },
+    errorCode: {
+        type: String,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, {
+    capped: {
+        size: 16 * 1024 * 1024, // 16 MB
+        max: 10000,
+    },
+    versionKey: false,
+});
+
+export default mongoose.model('ClusterMessage', clusterMessageSchema);
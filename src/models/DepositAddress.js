@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import { isSupportedCurrency } from "../utils/currencies.js";
+
+// Address a player deposits one currency to, generated by the payment gateway.
+// A player keeps the same address per currency and gateway.
+const depositAddressSchema = new mongoose.Schema({
+    player: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player',
+        required: true,
+    },
+    currency: {
+        type: String,
+        required: true,
+        validate: {
+            validator: isSupportedCurrency,
+            message: props => `${props.value} is not an enabled currency`,
+        },
+    },
+    address: {
+        type: String,
+        required: true,
+    },
+    gateway: {
+        type: String,
+        required: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+depositAddressSchema.index({ player: 1, currency: 1, gateway: 1 }, { unique: true });
+depositAddressSchema.index({ address: 1, currency: 1 }, { unique: true });
+
+// Player's address for a currency, null if none was generated yet
+depositAddressSchema.statics.findForPlayer = function(playerId, currency, gateway) {
+    return this.findOne({ player: playerId, currency, gateway });
+};
+
+// Player an address belongs to, null for an address that isn't ours
+depositAddressSchema.statics.findByAddress = function(address, currency) {
+    return this.findOne({ address, currency });
+};
+
+export default mongoose.model('DepositAddress', depositAddressSchema);
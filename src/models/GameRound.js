@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { isSupportedCurrency } from "../utils/currencies.js";
+import { decimalToString } from "../utils/money.js";
 
 const betSchema = new mongoose.Schema({
     player: {
@@ -11,20 +13,55 @@ const betSchema = new mongoose.Schema({
         required: true,
         min: 0.01,
     },
-    cryptoAmount: {
-        type: Number,
+    // exact stake in the currency, read back as a decimal string
+    cryptoAmt: {
+        type: mongoose.Schema.Types.Decimal128,
         required: true,
-        min: 0,
+        get: decimalToString,
     },
     currency: {
         type: String,
-        enum: ['BTC', 'ETH'],
+        validate: {
+            validator: isSupportedCurrency,
+            message: props => `${props.value} is not an enabled currency`,
+        },
         required: true,
     },
+    // Player's client seed and nonce at the time of the bet
+    clientSeed: {
+        type: String,
+    },
+    nonce: {
+        type: Number,
+    },
+    // Multiplier the engine cashes this bet out at automatically
+    autoCashout: {
+        type: Number,
+        min: 1.01,
+    },
+    // Multiplier at which the payout reaches the maximum payout, the engine cashes the bet out there
+    maxCashout: {
+        type: Number,
+    },
+    // Filled in when the round is settled, amounts in USD
+    outcome: {
+        type: String,
+        enum: ['pending', 'won', 'lost', 'refunded'],
+        default: 'pending',
+    },
+    payout: {
+        type: Number,
+        default: 0,
+    },
+    profit: {
+        type: Number,
+    },
     timestamp: {
         type: Date,
         default: Date.now,
     }
+}, {
+    toJSON: { getters: true },
 });
 
 const cashoutSchema = new mongoose.Schema({
@@ -43,6 +80,15 @@ const cashoutSchema = new mongoose.Schema({
         required: true,
         min: 1.0,
     },
+    auto: {
+        type: Boolean,
+        default: false,
+    },
+    // Cashed out by a risk limit: the maximum payout or the round's liability cap
+    forced: {
+        type: Boolean,
+        default: false,
+    },
     timestamp: {
         type: Date,
         default: Date.now,
@@ -61,30 +107,96 @@ const gameRoundSchema = new mongoose.Schema({
         required: true,
         min: 1.0,
     },
+    // Server seed from the hash chain, only revealed once the round is over
     seed: {
         type: String,
         required: true,
+        select: false,
     },
-    startTime: {
+    seedHash: {
+        type: String,
+        required: true,
+    },
+    clientSeed: {
+        type: String,
+        required: true,
+    },
+    nonce: {
+        type: Number,
+        required: true,
+    },
+    // Distribution settings the crash point was generated with
+    houseEdge: {
+        type: Number,
+        min: 0,
+        max: 1,
+    },
+    maxMultiplier: {
+        type: Number,
+        min: 1.0,
+    },
+    // Every open bet is cashed out here so the round can't cost the house more than its liability limit
+    liabilityCap: {
+        type: Number,
+    },
+    // USD price of every currency that had a fresh price when betting opened. Bets are converted
+    // and cashouts valued at these for the whole round, a currency left out can't be bet in it
+    prices: {
+        type: Map,
+        of: Number,
+        default: {},
+    },
+    pricesLockedAt: {
+        type: Date,
+    },
+    // Multiplier curve is e^(growthRate · ms since startTime)
+    growthRate: {
+        type: Number,
+    },
+    chain: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SeedChain',
+    },
+    chainIndex: {
+        type: Number,
+    },
+    // Betting phase, before the multiplier starts
+    bettingStartTime: {
         type: Date,
         default: Date.now,
     },
+    bettingEndTime: {
+        type: Date,
+    },
+    // When the multiplier started, the curve is measured from here
+    startTime: {
+        type: Date,
+    },
     endTime: {
         type: Date,
     },
     status: {
         type: String,
-        enum: ['waiting', 'active', 'crashed', 'completed'],
+        enum: ['waiting', 'active', 'crashed', 'completed', 'voided'],
         default: 'waiting',
     },
+    // Why the round was voided and its open bets refunded
+    voidReason: {
+        type: String,
+    },
     bets: [betSchema],
     cashouts: [cashoutSchema],
     finalMultiplier: {
         type: Number,
         default: 1.0,
     },
+    // Set once every bet has been settled as won or lost
+    settledAt: {
+        type: Date,
+    },
 }, { 
     timestamps: true,
+    toJSON: { getters: true },
 });
 
 // Calculate total bet amount for the round
@@ -94,38 +206,244 @@ gameRoundSchema.methods.getTotalBetAmount = function() {
 
 // Get round duration in milliseconds
 gameRoundSchema.methods.getDuration = function() {
-  if (!this.endTime) return null;
+  if (!this.endTime || !this.startTime) return null;
   return this.endTime.getTime() - this.startTime.getTime();
 };
 
-// Check if betting is still allowed (within first 5 seconds)
+// USD price of a currency locked for the round, null if it had none
+gameRoundSchema.methods.getLockedPrice = function(currency) {
+  return (this.prices && this.prices.get(currency)) || null;
+};
+
+// Locked prices by currency symbol
+gameRoundSchema.methods.getLockedPrices = function() {
+  return Object.fromEntries(this.prices || []);
+};
+
+// Check if the round is over and its seed can be revealed
+gameRoundSchema.methods.isFinished = function() {
+  return ['crashed', 'completed', 'voided'].includes(this.status);
+};
+
+// Check if every bet in the round has been settled
+gameRoundSchema.methods.isSettled = function() {
+  return Boolean(this.settledAt);
+};
+
+// Work out the outcome of every bet: won if the player cashed out, lost otherwise.
+// When the round is voided bets that weren't cashed out are refunded instead of lost.
+gameRoundSchema.methods.getBetOutcomes = function(voided = this.status === 'voided') {
+  return this.bets.map(bet => {
+    const cashout = this.cashouts.find(c => c.player.toString() === bet.player.toString());
+    if (!cashout && voided) {
+      return {
+        player: bet.player,
+        outcome: 'refunded',
+        usd: bet.usd,
+        cryptoAmt: bet.cryptoAmt,
+        currency: bet.currency,
+        multiplier: null,
+        payout: bet.usd,
+        profit: 0,
+        price: this.getLockedPrice(bet.currency)
+      };
+    }
+
+    const payout = cashout ? cashout.payout : 0;
+    return {
+      player: bet.player,
+      outcome: cashout ? 'won' : 'lost',
+      usd: bet.usd,
+      cryptoAmt: bet.cryptoAmt,
+      currency: bet.currency,
+      multiplier: cashout ? cashout.multiplier : null,
+      payout,
+      profit: Math.round((payout - bet.usd) * 100) / 100,
+      price: this.getLockedPrice(bet.currency)
+    };
+  });
+};
+
+// Copy outcomes stored with markSettled/markVoided onto this document's bets
+gameRoundSchema.methods.applyOutcomes = function(outcomes) {
+  for (const o of outcomes) {
+    const bet = this.bets.find(b => b.player.toString() === o.player.toString());
+    bet.outcome = o.outcome;
+    bet.payout = o.payout;
+    bet.profit = o.profit;
+  }
+  return this;
+};
+
+// Multiplier the engine cashes a bet out at by itself: the player's auto cashout target,
+// or a risk limit below it, in which case the cashout is forced
+gameRoundSchema.methods.getCashoutTarget = function(bet) {
+  let target = null;
+  if (bet.autoCashout) target = { multiplier: bet.autoCashout, forced: false };
+
+  for (const limit of [bet.maxCashout, this.liabilityCap]) {
+    if (limit && (!target || limit < target.multiplier)) {
+      target = { multiplier: limit, forced: true };
+    }
+  }
+  return target;
+};
+
+// Summary of a settled round
+gameRoundSchema.methods.getSettlementSummary = function() {
+  const outcomes = this.getBetOutcomes();
+  const totalWagered = outcomes.reduce((total, o) => total + o.usd, 0);
+  const totalPaidOut = outcomes.reduce((total, o) => total + o.payout, 0);
+  return {
+    roundNumber: this.roundNumber,
+    crashPoint: this.crashPoint,
+    settledAt: this.settledAt,
+    totalBets: outcomes.length,
+    winners: outcomes.filter(o => o.outcome === 'won').length,
+    losers: outcomes.filter(o => o.outcome === 'lost').length,
+    refunded: outcomes.filter(o => o.outcome === 'refunded').length,
+    totalWagered: Math.round(totalWagered * 100) / 100,
+    totalPaidOut: Math.round(totalPaidOut * 100) / 100,
+    houseProfit: Math.round((totalWagered - totalPaidOut) * 100) / 100,
+    bets: outcomes.map(o => ({
+      playerId: o.player,
+      outcome: o.outcome,
+      usd: o.usd,
+      currency: o.currency,
+      multiplier: o.multiplier,
+      payout: o.payout,
+      profit: o.profit
+    }))
+  };
+};
+
+// Check if betting is still allowed (only during the waiting phase)
 gameRoundSchema.methods.isBettingAllowed = function() {
-  if (this.status !== 'active') return false;
-  const timeSinceStart = Date.now() - this.startTime.getTime();
-  return timeSinceStart <= 5000; // 5 seconds betting window
+  if (this.status !== 'waiting') return false;
+  return !this.bettingEndTime || Date.now() < this.bettingEndTime.getTime();
+};
+
+// Find the seed this round's server seed must hash to:
+// the previous round's seed in the same chain, or the chain's terminal hash
+gameRoundSchema.statics.getPreviousChainHash = async function(round) {
+  if (!round.chain || !round.chainIndex) return null;
+
+  if (round.chainIndex === 1) {
+    const chain = await mongoose.model('SeedChain').findById(round.chain);
+    return chain ? chain.terminalHash : null;
+  }
+
+  const previous = await this.findOne({
+    chain: round.chain,
+    chainIndex: round.chainIndex - 1
+  }).select('+seed');
+  return previous && previous.isFinished() ? previous.seed : null;
+};
+
+// Client seeds and nonces of the stored bets of a round, the ones the next round's client seed is combined from
+gameRoundSchema.statics.getSeedContributions = async function(roundNumber) {
+  const round = await this.findOne({ roundNumber }).select('bets.clientSeed bets.nonce');
+  return round ? round.bets.map(({ clientSeed, nonce }) => ({ clientSeed, nonce })) : [];
+};
+
+// What a round's client seed is combined from: the stored bets of the round before it
+// and its chain's public client seed. Null if the chain is gone
+gameRoundSchema.statics.getClientSeedInputs = async function(round) {
+  const [previousBets, chain] = await Promise.all([
+    this.getSeedContributions(round.roundNumber - 1),
+    round.chain ? mongoose.model('SeedChain').findById(round.chain).select('clientSeed') : null
+  ]);
+  return chain ? { previousBets, chainClientSeed: chain.clientSeed } : null;
+};
+
+// Atomically add a bet while betting is open, one bet per player per round.
+// Returns false if the round closed or the player already has a bet.
+gameRoundSchema.statics.pushBet = async function(roundId, bet, session) {
+  const result = await this.updateOne(
+    { _id: roundId, status: 'waiting', 'bets.player': { $ne: bet.player } },
+    { $push: { bets: bet } },
+    { session }
+  );
+  return result.modifiedCount === 1;
 };
 
-// Add a bet to the round
-gameRoundSchema.methods.addBet = function(playerId, usd, cryptoAmt, currency) {
-  this.bets.push({
+// Atomically add a cashout for a player's bet while the round is active.
+// Returns false if the player has no bet, already cashed out or the round ended.
+gameRoundSchema.statics.pushCashout = async function(roundId, cashout, session) {
+  const result = await this.updateOne(
+    { _id: roundId, status: 'active', 'bets.player': cashout.player, 'cashouts.player': { $ne: cashout.player } },
+    { $push: { cashouts: cashout } },
+    { session }
+  );
+  return result.modifiedCount === 1;
+};
+
+// $set fields and array filters that store every bet's outcome
+function outcomeUpdate(outcomes) {
+  const $set = {};
+  const arrayFilters = [];
+  outcomes.forEach((o, i) => {
+    $set[`bets.$[b${i}].outcome`] = o.outcome;
+    $set[`bets.$[b${i}].payout`] = o.payout;
+    $set[`bets.$[b${i}].profit`] = o.profit;
+    arrayFilters.push({ [`b${i}.player`]: o.player });
+  });
+  return { $set, arrayFilters };
+}
+
+// Atomically mark a crashed round as settled and store every bet's outcome.
+// Returns false if the round was already settled.
+gameRoundSchema.statics.markSettled = async function(roundId, outcomes, settledAt, session) {
+  const { $set, arrayFilters } = outcomeUpdate(outcomes);
+
+  const result = await this.updateOne(
+    { _id: roundId, status: { $in: ['crashed', 'completed'] }, settledAt: null },
+    { $set: { ...$set, settledAt } },
+    { arrayFilters, session }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Atomically void a round that never crashed and store every bet's outcome.
+// Returns false if the round already crashed or was voided.
+gameRoundSchema.statics.markVoided = async function(roundId, outcomes, voidedAt, reason, session) {
+  const { $set, arrayFilters } = outcomeUpdate(outcomes);
+
+  const result = await this.updateOne(
+    { _id: roundId, status: { $in: ['waiting', 'active'] }, settledAt: null },
+    { $set: { ...$set, status: 'voided', voidReason: reason, endTime: voidedAt, settledAt: voidedAt } },
+    { arrayFilters, session }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Build a bet subdocument for this round, persist it with pushBet
+// Extras: the player's clientSeed and nonce, an optional autoCashout target and the maxCashout of the payout limit
+gameRoundSchema.methods.createBet = function(playerId, usd, cryptoAmt, currency, extras = {}) {
+  const { clientSeed, nonce, autoCashout, maxCashout } = extras;
+  return this.bets.create({
     player: playerId,
     usd,
     cryptoAmt,
     currency,
+    clientSeed,
+    nonce,
+    autoCashout,
+    maxCashout,
     timestamp: new Date()
   });
-  return this;
 };
 
-// Add a cashout to the round
-gameRoundSchema.methods.addCashout = function(playerId, payout, multiplier) {
-  this.cashouts.push({
+// Build a cashout subdocument for this round, persist it with pushCashout
+gameRoundSchema.methods.createCashout = function(playerId, payout, multiplier, auto = false, forced = false) {
+  return this.cashouts.create({
     player: playerId,
     payout,
     multiplier,
+    auto,
+    forced,
     timestamp: new Date()
   });
-  return this;
 };
 
 export default mongoose.model('GameRound', gameRoundSchema);
\ No newline at end of file
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+// Settings changed at runtime through the admin API, one document for the whole game.
+// Unset fields fall back to the environment, so the document only holds overrides.
+// Stored rather than kept in memory so they survive restarts and leader changes.
+const gameSettingsSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: 'game',
+    },
+    bettingPhaseMs: {
+        type: Number,
+        min: 1000,
+    },
+    crashedPhaseMs: {
+        type: Number,
+        min: 0,
+    },
+    // bet limits in USD
+    minBet: {
+        type: Number,
+        min: 0.01,
+    },
+    maxBet: {
+        type: Number,
+        min: 0.01,
+    },
+    // risk limits: highest payout of one bet in USD, and the share of the
+    // bankroll in USD that one round may cost the house
+    maxPayout: {
+        type: Number,
+        min: 0.01,
+    },
+    houseBankroll: {
+        type: Number,
+        min: 0,
+    },
+    maxRoundLiabilityPct: {
+        type: Number,
+        min: 0,
+        max: 100,
+    },
+    maxMultiplier: {
+        type: Number,
+        min: 1.01,
+    },
+    // set by an admin stop or pause, a newly elected leader doesn't start the game loop while set
+    stopped: {
+        type: Boolean,
+        default: false,
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player',
+    },
+}, {
+    timestamps: true,
+});
+
+// Get the settings, null if they were never changed
+gameSettingsSchema.statics.load = function() {
+    return this.findById('game');
+};
+
+// Apply changes made by an admin, a null field is removed so it falls back to the environment
+gameSettingsSchema.statics.change = function(changes, adminId) {
+    const update = { $set: { updatedBy: adminId } };
+    for (const [field, value] of Object.entries(changes)) {
+        if (value === null) {
+            update.$unset = { ...update.$unset, [field]: '' };
+        } else {
+            update.$set[field] = value;
+        }
+    }
+    return this.findByIdAndUpdate(
+        'game',
+        update,
+        { upsert: true, new: true, runValidators: true }
+    );
+};
+
+export default mongoose.model('GameSettings', gameSettingsSchema);
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+import { isSupportedCurrency } from "../utils/currencies.js";
+import { decimalToString } from "../utils/money.js";
+
+/**
+ * One line of a double-entry journal.
+ * A positive amount increases the account's balance and a negative one decreases it.
+ * The lines of a journal always sum to zero per currency, so money only ever moves
+ * between accounts and every balance can be rebuilt by summing its entries.
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+    journal: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    // player:<playerId>, house:bankroll, pending:<roundId>, withdrawal:pending or external:gateway
+    account: {
+        type: String,
+        required: true,
+    },
+    accountType: {
+        type: String,
+        required: true,
+        enum: ['player', 'house', 'pending', 'withdrawal', 'external'],
+    },
+    player: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player',
+        index: true,
+    },
+    round: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GameRound',
+        index: true,
+    },
+    transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+    },
+    currency: {
+        type: String,
+        required: true,
+        validate: {
+            validator: isSupportedCurrency,
+            message: props => `${props.value} is not an enabled currency`,
+        },
+    },
+    // exact amount in the currency, read back as a decimal string
+    amount: {
+        type: mongoose.Schema.Types.Decimal128,
+        required: true,
+        get: decimalToString,
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: [
+            'opening', 'bet', 'cashout', 'refund', 'round_close', 'adjustment',
+            'deposit', 'withdrawal', 'withdrawal_sent', 'withdrawal_release',
+        ],
+    },
+    description: {
+        type: String,
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now,
+    },
+}, {
+    toJSON: { getters: true },
+});
+
+ledgerEntrySchema.index({ account: 1, currency: 1 });
+ledgerEntrySchema.index({ accountType: 1, currency: 1 });
+
+export const HOUSE_ACCOUNT = 'house:bankroll';
+// Withdrawals requested but not yet confirmed on chain
+export const WITHDRAWAL_ACCOUNT = 'withdrawal:pending';
+// Money outside the game: deposits come from here and withdrawals go here
+export const EXTERNAL_ACCOUNT = 'external:gateway';
+
+export function playerAccount(playerId) {
+    return `player:${playerId}`;
+}
+
+export function pendingAccount(roundId) {
+    return `pending:${roundId}`;
+}
+
+// Sum the entries of one account per currency, as decimal strings
+ledgerEntrySchema.statics.getBalances = async function(account, session) {
+    const rows = await this.aggregate([
+        { $match: { account } },
+        { $group: { _id: '$currency', balance: { $sum: '$amount' } } },
+    ]).session(session || null);
+
+    return Object.fromEntries(rows.map(row => [row._id, decimalToString(row.balance)]));
+};
+
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -1,4 +1,36 @@
 import mongoose from "mongoose";
+import bcrypt from "bcrypt";
+import { generateClientSeed } from "../utils/crashPoint.js";
+import { getCurrencySymbols } from "../utils/currencies.js";
+import { decimalToString, toDecimal128, toNumber, toUnits } from "../utils/money.js";
+
+// Responsible gaming limits a player can set on themselves, amounts in USD over a rolling day or week
+export const LIMIT_NAMES = [
+    'depositDaily', 'depositWeekly',
+    'lossDaily', 'lossWeekly',
+    'wagerDaily', 'wagerWeekly',
+    'sessionMinutes',
+];
+
+const limitFields = Object.fromEntries(LIMIT_NAMES.map(name => [name, { type: Number, min: 0 }]));
+
+// A limit raise or removal waiting out its cooldown
+const pendingLimitSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        enum: LIMIT_NAMES,
+        required: true,
+    },
+    // null removes the limit
+    value: {
+        type: Number,
+        min: 0,
+    },
+    effectiveAt: {
+        type: Date,
+        required: true,
+    },
+}, { _id: false });
 
 const playerSchema = new mongoose.Schema({
     name: {
@@ -6,17 +38,87 @@ const playerSchema = new mongoose.Schema({
         required: true,
         trim: true,
     },
+    // login credentials, players created before accounts existed have none
+    username: {
+        type: String,
+        trim: true,
+        unique: true,
+        sparse: true,
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        unique: true,
+        sparse: true,
+    },
+    passwordHash: {
+        type: String,
+        select: false,
+    },
+    // bumped to revoke every token issued to the player
+    tokenVersion: {
+        type: Number,
+        default: 0,
+    },
+    // admins can also use the admin API
+    role: {
+        type: String,
+        enum: ['player', 'admin'],
+        default: 'player',
+    },
+    // anything but active bans the player from logging in, connecting and betting.
+    // self-exclusion ends by itself at selfExcludedUntil, the other states are set by admins or the player
+    status: {
+        type: String,
+        enum: ['active', 'suspended', 'self_excluded', 'closed'],
+        default: 'active',
+    },
+    statusReason: {
+        type: String,
+    },
+    statusChangedAt: {
+        type: Date,
+    },
+    selfExcludedUntil: {
+        type: Date,
+    },
+    // limits in effect, unset means no limit
+    limits: {
+        type: new mongoose.Schema(limitFields, { _id: false }),
+        default: () => ({}),
+    },
+    pendingLimits: [pendingLimitSchema],
+    // when the current login session started, for the session time limit
+    sessionStartedAt: {
+        type: Date,
+    },
+    // cached view of the player's ledger accounts, see services/Ledger.js.
+    // balance per currency symbol, a currency the player never held has no entry.
+    // exact decimals, read back as plain decimal strings, see utils/money.js
     wallet: {
-        BTC: {
-            type: Number,
-            default: 0.01,
-            min: 0,
+        type: Map,
+        of: {
+            type: mongoose.Schema.Types.Decimal128,
+            get: decimalToString,
+            validate: {
+                validator: value => !String(value).startsWith('-'),
+                message: props => `Balance ${props.value} can't be negative`,
+            },
         },
-        ETH: {
-            type: Number,
-            default: 0.1,
-            min: 0,
-        }
+        default: () => ({}),
+    },
+    // provably fair client seed, mixed into the rounds this player bets on
+    clientSeed: {
+        type: String,
+        default: generateClientSeed,
+        trim: true,
+        maxlength: 64,
+    },
+    nonce: {
+        type: Number,
+        default: 0,
+        min: 0,
     },
     totalWins: {
         type: Number,
@@ -37,6 +139,7 @@ const playerSchema = new mongoose.Schema({
     }
 }, {
     timestamps: true,
+    toJSON: { getters: true },
 });
 
 // update lastActive before every save
@@ -45,34 +148,174 @@ playerSchema.pre('save', function (next) {
     next();
 })
 
+// balance in one currency as a decimal string, '0' if the player never held it
+playerSchema.methods.getBalance = function (currency) {
+    return (this.wallet && this.wallet.get(currency)) || '0';
+}
+
+// balance in one currency in its smallest units
+playerSchema.methods.getBalanceUnits = function (currency) {
+    return toUnits(this.getBalance(currency), currency);
+}
+
+// plain object of decimal string balances: every enabled currency, plus any other currency the player still holds
+playerSchema.methods.getBalances = function () {
+    const balances = Object.fromEntries(getCurrencySymbols().map(currency => [currency, '0']));
+    if (this.wallet) {
+        // iterating the map skips the getter
+        for (const [currency, amount] of this.wallet) {
+            balances[currency] = decimalToString(amount);
+        }
+    }
+    return balances;
+}
+
 // calculate total usd value of wallet
 playerSchema.methods.getWalletUSDValue = async function (prices) {
-    const btcValue = this.wallet.BTC * (prices.BTC || 0);
-    const ethValue = this.wallet.ETH * (prices.ETH || 0);
-    return btcValue + ethValue;
+    return Object.entries(this.getBalances())
+        .reduce((total, [currency, amount]) => total + toNumber(amount) * (prices[currency] || 0), 0);
 }
 
-// check if player has enough balance for a bet
-playerSchema.methods.hasSufficientBalance = function (amount, currency) {
-    return this.wallet[currency] >= amount;
+// wallet with the USD value of every currency, as returned by the wallet endpoints
+playerSchema.methods.getWalletView = async function (prices) {
+    const wallet = {};
+    for (const [currency, amount] of Object.entries(this.getBalances())) {
+        wallet[currency] = {
+            amount,
+            price: prices[currency],
+            usdValue: (toNumber(amount) * (prices[currency] || 0)).toFixed(2),
+        };
+    }
+
+    const totalUSDValue = await this.getWalletUSDValue(prices);
+
+    return {
+        playerId: this._id,
+        playerName: this.name,
+        wallet,
+        totalUSDValue: totalUSDValue.toFixed(2),
+        lastUpdated: new Date().toISOString(),
+    };
+}
+
+// check if player has enough balance for a bet, amount in smallest units
+playerSchema.methods.hasSufficientBalance = function (units, currency) {
+    return this.getBalanceUnits(currency) >= units;
+}
+
+// change client seed, which restarts the nonce sequence
+playerSchema.methods.setClientSeed = function (clientSeed) {
+    this.clientSeed = clientSeed;
+    this.nonce = 0;
+    return this;
 }
 
-// deduct balance after a bet
-playerSchema.methods.deductFromWallet = function (amount, currency) {
-    if (!this.hasSufficientBalance(amount, currency)) {
-        throw new Error(`Insufficient ${currency} balance`);
+// account state in effect, a self-exclusion that ran out counts as active
+playerSchema.methods.getEffectiveStatus = function (now = new Date()) {
+    if (this.status === 'self_excluded' && this.selfExcludedUntil && this.selfExcludedUntil <= now) {
+        return 'active';
     }
-    this.wallet[currency] -= amount;
+    return this.status;
+}
+
+// check if the account is allowed to play
+playerSchema.methods.canPlay = function () {
+    return this.getEffectiveStatus() === 'active';
+}
+
+// why the account can't play, shown to the player
+playerSchema.methods.getBlockReason = function () {
+    switch (this.getEffectiveStatus()) {
+        case 'suspended':
+            return 'Account suspended';
+        case 'self_excluded':
+            return `Account self-excluded until ${this.selfExcludedUntil.toISOString()}`;
+        case 'closed':
+            return 'Account closed';
+        default:
+            return null;
+    }
+}
+
+// move the account to another state
+playerSchema.methods.setStatus = function (status, reason, selfExcludedUntil) {
+    this.status = status;
+    this.statusReason = reason;
+    this.statusChangedAt = new Date();
+    this.selfExcludedUntil = status === 'self_excluded' ? selfExcludedUntil : undefined;
+    // every open session ends
+    this.tokenVersion += 1;
     return this;
 }
 
-// add winnings to wallet
-playerSchema.methods.addToWallet = function(amount, currency) {
-    if (!this.wallet[currency]) {
-        throw new Error(`Invalid currency: ${currency}`);
+// move limit changes whose cooldown is over into the limits in effect,
+// returns whether anything changed
+playerSchema.methods.applyDueLimitChanges = function (now = new Date()) {
+    const due = this.pendingLimits.filter(change => change.effectiveAt <= now);
+    if (due.length === 0) return false;
+
+    for (const change of due) {
+        this.limits[change.name] = change.value ?? undefined;
+    }
+    this.pendingLimits = this.pendingLimits.filter(change => change.effectiveAt > now);
+    return true;
+}
+
+// change a limit: a stricter limit applies right away, raising or removing one waits for the cooldown.
+// value null removes the limit
+playerSchema.methods.requestLimitChange = function (name, value, cooldownMs, now = new Date()) {
+    const current = this.limits[name] ?? null;
+    const stricter = value !== null && (current === null || value <= current);
+
+    // a new request replaces any change still waiting
+    this.pendingLimits = this.pendingLimits.filter(change => change.name !== name);
+
+    if (stricter) {
+        this.limits[name] = value;
+        return { name, value, effectiveAt: now, pending: false };
     }
-    this.wallet[currency] += amount;
+
+    const effectiveAt = new Date(now.getTime() + cooldownMs);
+    this.pendingLimits.push({ name, value, effectiveAt });
+    return { name, value, effectiveAt, pending: true };
+}
+
+// hash and store a new password
+playerSchema.methods.setPassword = async function (password) {
+    const rounds = parseInt(process.env.BCRYPT_ROUNDS) || 10;
+    this.passwordHash = await bcrypt.hash(password, rounds);
     return this;
 }
 
+// check a password against the stored hash, needs passwordHash selected
+playerSchema.methods.comparePassword = async function (password) {
+    if (!this.passwordHash) return false;
+    return bcrypt.compare(password, this.passwordHash);
+}
+
+// atomically consume a client seed nonce for a bet,
+// returns the player with the nonce after the one the bet uses
+playerSchema.statics.consumeNonce = function (playerId, session) {
+    return this.findOneAndUpdate(
+        { _id: playerId },
+        { $inc: { nonce: 1 } },
+        { new: true, session }
+    );
+}
+
+// apply a ledger movement to the cached wallet, a debit only matches if the balance covers it.
+// amount in smallest units. only the ledger service should call this, the wallet is a view of the ledger
+playerSchema.statics.applyWalletChange = function (playerId, units, currency, session) {
+    const field = `wallet.${currency}`;
+    const filter = { _id: playerId };
+    if (units < 0n) {
+        filter[field] = { $gte: toDecimal128(-units, currency) };
+    }
+    return this.findOneAndUpdate(
+        filter,
+        { $inc: { [field]: toDecimal128(units, currency) }, $set: { lastActive: new Date() } },
+        { new: true, session }
+    );
+}
+
 export default mongoose.model('Player', playerSchema);
\ No newline at end of file
@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+
+// A player connected to one server instance, so every instance can count the players online
+// across the cluster. Instances refresh their entries while the player stays connected; the
+// entries of an instance that died expire on their own.
+const playerPresenceSchema = new mongoose.Schema({
+    instance: {
+        type: String,
+        required: true,
+    },
+    player: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player',
+        required: true,
+    },
+    playerName: {
+        type: String,
+    },
+    // Sockets the player has open on the instance
+    sockets: {
+        type: Number,
+        default: 1,
+    },
+    connectedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    versionKey: false,
+});
+
+playerPresenceSchema.index({ player: 1, instance: 1 }, { unique: true });
+playerPresenceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Mark players as connected to an instance until ttlMs from now
+playerPresenceSchema.statics.track = function(instance, players, ttlMs) {
+    if (players.length === 0) return Promise.resolve();
+    const expiresAt = new Date(Date.now() + ttlMs);
+    return this.bulkWrite(players.map(({ playerId, playerName, sockets, connectedAt }) => ({
+        updateOne: {
+            filter: { player: playerId, instance },
+            update: {
+                $set: { playerName, sockets, expiresAt },
+                $setOnInsert: { connectedAt },
+            },
+            upsert: true,
+        },
+    })), { ordered: false });
+};
+
+playerPresenceSchema.statics.untrack = function(instance, playerId) {
+    return this.deleteOne({ player: playerId, instance });
+};
+
+// Forget every player of an instance, when it starts or shuts down
+playerPresenceSchema.statics.clearInstance = function(instance) {
+    return this.deleteMany({ instance });
+};
+
+// Unique players connected to any instance. MongoDB removes expired entries about once a minute,
+// so they are filtered out here too
+playerPresenceSchema.statics.countOnline = async function() {
+    const [result] = await this.aggregate([
+        { $match: { expiresAt: { $gt: new Date() } } },
+        { $group: { _id: '$player' } },
+        { $count: 'count' },
+    ]);
+    return result ? result.count : 0;
+};
+
+// Players connected to any instance, with the instances they are on and their socket count
+playerPresenceSchema.statics.listOnline = function() {
+    return this.aggregate([
+        { $match: { expiresAt: { $gt: new Date() } } },
+        {
+            $group: {
+                _id: '$player',
+                playerName: { $first: '$playerName' },
+                connectedAt: { $min: '$connectedAt' },
+                socketCount: { $sum: '$sockets' },
+                instances: { $addToSet: '$instance' },
+            },
+        },
+        { $sort: { connectedAt: 1 } },
+        { $project: { _id: 0, playerId: '$_id', playerName: 1, connectedAt: 1, socketCount: 1, instances: 1 } },
+    ]);
+};
+
+export default mongoose.model('PlayerPresence', playerPresenceSchema);
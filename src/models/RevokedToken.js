@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// Tokens revoked before they expire (logout, refresh rotation).
+// Entries are removed by MongoDB once the token would have expired anyway.
+const revokedTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    player: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player',
+        index: true,
+    },
+    type: {
+        type: String,
+        enum: ['access', 'refresh'],
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Revoke a decoded token, revoking it twice is a no-op.
+// upsertedCount is 1 only for the call that revoked it
+revokedTokenSchema.statics.revoke = function(decoded) {
+    return this.updateOne(
+        { jti: decoded.jti },
+        {
+            $setOnInsert: {
+                player: decoded.userId,
+                type: decoded.type,
+                expiresAt: new Date(decoded.exp * 1000),
+            },
+        },
+        { upsert: true }
+    );
+};
+
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+    return Boolean(await this.exists({ jti }));
+};
+
+export default mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import { deriveChainSeed, generateSeed, sha256 } from "../utils/crashPoint.js";
+
+const seedChainSchema = new mongoose.Schema({
+    // Secret root of the reverse hash chain, never exposed through the API
+    rootSeed: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    length: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    // sha256 of the first server seed, published before the chain is used
+    terminalHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // Public client seed mixed into rounds that received no player seeds
+    clientSeed: {
+        type: String,
+        required: true,
+    },
+    // Index of the next server seed to hand out (1-based)
+    nextIndex: {
+        type: Number,
+        default: 1,
+        min: 1,
+    },
+    status: {
+        type: String,
+        enum: ['active', 'exhausted'],
+        default: 'active',
+        index: true,
+    },
+}, {
+    timestamps: true,
+});
+
+// Create a new chain and publish its terminal hash
+seedChainSchema.statics.createChain = function(length) {
+    const rootSeed = generateSeed();
+    return new this({
+        rootSeed,
+        length,
+        terminalHash: deriveChainSeed(rootSeed, length, 0),
+        clientSeed: sha256(generateSeed()),
+    });
+};
+
+// Get the chain currently in use, creating one if needed
+seedChainSchema.statics.getActiveChain = async function(length) {
+    const chain = await this.findOne({ status: 'active' })
+        .sort({ createdAt: -1 })
+        .select('+rootSeed');
+    if (chain) return chain;
+
+    const newChain = this.createChain(length);
+    await newChain.save();
+    return newChain;
+};
+
+// Check whether any seeds are left in the chain
+seedChainSchema.methods.hasRemaining = function() {
+    return this.nextIndex <= this.length;
+};
+
+// Take the next server seed from the chain
+seedChainSchema.methods.takeSeed = function() {
+    if (!this.hasRemaining()) {
+        throw new Error('Seed chain is exhausted');
+    }
+
+    const index = this.nextIndex;
+    const seed = deriveChainSeed(this.rootSeed, this.length, index);
+    this.nextIndex += 1;
+    if (!this.hasRemaining()) {
+        this.status = 'exhausted';
+    }
+    return { index, seed };
+};
+
+export default mongoose.model('SeedChain', seedChainSchema);
@@ -1,5 +1,21 @@
 import mongoose from "mongoose";
 import { v4 as uuidv4 } from "uuid";
+import { isSupportedCurrency } from "../utils/currencies.js";
+import { decimalToString, toNumber } from "../utils/money.js";
+
+// Types tied to a game round, deposits and withdrawals have none
+const ROUND_TYPES = ['bet', 'cashout', 'settlement', 'refund'];
+
+// Deposit and withdrawal states.
+// Deposits: pending (waiting for confirmations) -> confirmed (credited), or held when a limit or the
+// account state stopped the credit. Withdrawals: pending (waiting for review) -> approved -> broadcast
+// (sent by the gateway) -> confirmed, or rejected by an admin or failed on chain, which returns the funds.
+export const PAYMENT_STATUSES = ['pending', 'held', 'approved', 'broadcast', 'confirmed', 'rejected', 'failed'];
+
+const nonNegativeAmount = {
+  validator: value => !String(value).startsWith('-'),
+  message: props => `Amount ${props.value} can't be negative`
+};
 
 const transactionSchema = new mongoose.Schema({
     player: {
@@ -11,7 +27,7 @@ const transactionSchema = new mongoose.Schema({
     round: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'GameRound',
-        required: true,
+        required: function() { return ROUND_TYPES.includes(this.type); },
         index: true,
     },
     usd: {
@@ -19,22 +35,35 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Exact amount in the currency, read back as a decimal string
   cryptoAmt: {
-    type: Number,
+    type: mongoose.Schema.Types.Decimal128,
     required: true,
-    min: 0
+    get: decimalToString,
+    validate: nonNegativeAmount
   },
   currency: {
     type: String,
     required: true,
-    enum: ['BTC', 'ETH']
+    validate: {
+      validator: isSupportedCurrency,
+      message: props => `${props.value} is not an enabled currency`
+    }
   },
   type: {
     type: String,
     required: true,
-    enum: ['bet', 'cashout'],
+    enum: [...ROUND_TYPES, 'deposit', 'withdrawal'],
     index: true
   },
+  // Settlement only: whether the bet won and its profit in USD (negative for a loss)
+  outcome: {
+    type: String,
+    enum: ['won', 'lost']
+  },
+  profit: {
+    type: Number
+  },
   txHash: {
     type: String,
     required: true,
@@ -50,19 +79,77 @@ const transactionSchema = new mongoose.Schema({
     type: Number,
     min: 1.0
   },
+  // Deposits and withdrawals only, see PAYMENT_STATUSES
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES
+  },
+  // Why a deposit was held or a withdrawal rejected or failed, or the last gateway error
+  statusReason: {
+    type: String
+  },
+  // Deposit address the funds arrived at, or the address a withdrawal goes to
+  address: {
+    type: String
+  },
+  // Transaction id on chain, from the payment gateway
+  chainTxId: {
+    type: String
+  },
+  confirmations: {
+    type: Number,
+    min: 0
+  },
+  // Withdrawal fee in the currency, charged on top of cryptoAmt
+  fee: {
+    type: mongoose.Schema.Types.Decimal128,
+    get: decimalToString,
+    validate: nonNegativeAmount
+  },
+  // Withdrawals over the review threshold wait for an admin
+  reviewRequired: {
+    type: Boolean
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  // When sync found a sent withdrawal the payment gateway has no record of, it stays broadcast until checked
+  flaggedAt: {
+    type: Date
+  },
+  // When a deposit was credited or a withdrawal confirmed, rejected or failed
+  completedAt: {
+    type: Date
+  },
   timestamp: {
     type: Date,
     default: Date.now,
     index: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { getters: true }
 });
 
 // Create compound indexes for efficient queries
 transactionSchema.index({ player: 1, timestamp: -1 });
 transactionSchema.index({ round: 1, type: 1 });
 transactionSchema.index({ type: 1, timestamp: -1 });
+// A bet is settled exactly once
+transactionSchema.index(
+  { round: 1, player: 1 },
+  { unique: true, partialFilterExpression: { type: 'settlement' } }
+);
+// A deposit is recorded once per transfer to an address
+transactionSchema.index(
+  { chainTxId: 1, address: 1, currency: 1 },
+  { unique: true, partialFilterExpression: { type: 'deposit' } }
+);
+transactionSchema.index({ type: 1, status: 1 });
 
 // Static method to create a bet transaction
 transactionSchema.statics.createBet = function(playerId, roundId, usd, cryptoAmt, currency, priceAtTime) {
@@ -91,11 +178,127 @@ transactionSchema.statics.createCashout = function(playerId, roundId, usd, crypt
   });
 };
 
+// USD price of the currency implied by a USD and crypto amount, for rounds from before prices were locked
+function impliedPrice(usd, cryptoAmt) {
+  const amount = toNumber(cryptoAmt);
+  return amount > 0 ? usd / amount : 0;
+}
+
+// Static method to create a settlement transaction, usd and cryptoAmt are the stake and price the round's locked price
+transactionSchema.statics.createSettlement = function(playerId, roundId, outcome) {
+  return new this({
+    player: playerId,
+    round: roundId,
+    usd: outcome.usd,
+    cryptoAmt: outcome.cryptoAmt,
+    currency: outcome.currency,
+    type: 'settlement',
+    priceAtTime: outcome.price || impliedPrice(outcome.usd, outcome.cryptoAmt),
+    multiplier: outcome.multiplier || undefined,
+    outcome: outcome.outcome,
+    profit: outcome.profit
+  });
+};
+
+// Static method to create a refund transaction for a bet in a voided round
+transactionSchema.statics.createRefund = function(playerId, roundId, usd, cryptoAmt, currency, priceAtTime) {
+  return new this({
+    player: playerId,
+    round: roundId,
+    usd,
+    cryptoAmt,
+    currency,
+    type: 'refund',
+    priceAtTime: priceAtTime || impliedPrice(usd, cryptoAmt)
+  });
+};
+
+// Static method to record an incoming transfer to a player's deposit address, credited once confirmed
+transactionSchema.statics.createDeposit = function(playerId, transfer, usd, priceAtTime) {
+  return new this({
+    player: playerId,
+    usd,
+    cryptoAmt: transfer.amount,
+    currency: transfer.currency,
+    type: 'deposit',
+    status: 'pending',
+    address: transfer.address,
+    chainTxId: transfer.txId,
+    confirmations: transfer.confirmations,
+    priceAtTime
+  });
+};
+
+// Static method to create a withdrawal request, cryptoAmt is what the player receives and fee is charged on top
+transactionSchema.statics.createWithdrawal = function(playerId, usd, cryptoAmt, fee, currency, address, priceAtTime, reviewRequired) {
+  return new this({
+    player: playerId,
+    usd,
+    cryptoAmt,
+    fee,
+    currency,
+    type: 'withdrawal',
+    status: reviewRequired ? 'pending' : 'approved',
+    address,
+    reviewRequired,
+    priceAtTime
+  });
+};
+
+// Atomically move a deposit or withdrawal from one state to the next, null if it wasn't in the expected state
+transactionSchema.statics.transition = function(id, from, to, changes = {}, session) {
+  return this.findOneAndUpdate(
+    { _id: id, status: { $in: [].concat(from) } },
+    { $set: { ...changes, status: to } },
+    { new: true, session }
+  );
+};
+
+// USD totals per transaction type for a player since a point in time.
+// Deposits count once credited, withdrawals unless they were rejected or failed
+transactionSchema.statics.getTotalsSince = async function(playerId, since, session) {
+  const rows = await this.aggregate([
+    {
+      $match: {
+        player: new mongoose.Types.ObjectId(playerId),
+        timestamp: { $gte: since },
+        status: { $nin: ['pending', 'held', 'rejected', 'failed'] }
+      }
+    },
+    { $group: { _id: '$type', usd: { $sum: '$usd' } } }
+  ]).session(session || null);
+  return Object.fromEntries(rows.map(row => [row._id, row.usd]));
+};
+
 // Calculate profit/loss for this transaction
 transactionSchema.methods.getProfit = function() {
   if (this.type === 'bet') return -this.usd;
   if (this.type === 'cashout') return this.usd - (this.usd / this.multiplier);
+  if (this.type === 'settlement') return this.profit;
+  if (this.type === 'refund') return this.usd;
   return 0;
 };
 
+// Deposit or withdrawal as returned by the API
+transactionSchema.methods.getPaymentView = function() {
+  return {
+    id: this._id,
+    txHash: this.txHash,
+    type: this.type,
+    status: this.status,
+    statusReason: this.statusReason,
+    currency: this.currency,
+    amount: this.cryptoAmt,
+    fee: this.fee,
+    usd: this.usd,
+    address: this.address,
+    chainTxId: this.chainTxId,
+    confirmations: this.confirmations,
+    reviewRequired: this.reviewRequired,
+    flaggedAt: this.flaggedAt,
+    timestamp: this.timestamp,
+    completedAt: this.completedAt
+  };
+};
+
 export default mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -0,0 +1,541 @@
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import GameSettings from '../models/GameSettings.js';
+import Player from '../models/Player.js';
+import Transaction from '../models/Transaction.js';
+import DepositAddress from '../models/DepositAddress.js';
+import payments from '../services/Payments.js';
+import { MockGateway } from '../services/MockGateway.js';
+import priceFetcher from '../utils/priceFetcher.js';
+import { schemas, validate } from '../utils/validation.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Write every admin call to the audit log once its response is sent.
+ * Handlers name their action in res.locals.auditAction.
+ */
+router.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.responseError = body && body.error;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    AuditLog.create({
+      admin: req.userId,
+      adminName: req.username,
+      action: res.locals.auditAction || `${req.method} ${req.baseUrl}${req.path}`,
+      method: req.method,
+      path: req.originalUrl,
+      params: { ...req.query, ...req.body },
+      statusCode: res.statusCode,
+      success: res.statusCode < 400,
+      error: res.locals.responseError,
+      ip: req.ip,
+      instanceId: req.app.locals.game && req.app.locals.game.instanceId
+    }).catch(error => logger.error('Failed to write audit log:', error));
+  });
+
+  next();
+});
+
+/**
+ * GET /api/admin/engine - Whether the game loop runs, the round it is on and its configuration
+ */
+router.get('/engine', async (req, res) => {
+  res.locals.auditAction = 'engine.view';
+
+  try {
+    const state = await req.app.locals.game.getControlState();
+    res.json({ success: true, ...state });
+
+  } catch (error) {
+    logger.error('Failed to get engine state:', error);
+    res.status(500).json({ error: error.message || 'Failed to get engine state' });
+  }
+});
+
+/**
+ * POST /api/admin/engine/start - Start the game loop, or cancel a pending pause
+ */
+router.post('/engine/start', async (req, res) => {
+  res.locals.auditAction = 'engine.start';
+
+  try {
+    const game = req.app.locals.game;
+    const state = await game.getControlState();
+    if (state.isRunning && !state.pauseRequested) {
+      return res.status(409).json({ error: 'Game engine is already running' });
+    }
+
+    await GameSettings.change({ stopped: false }, req.userId);
+    await game.startEngine();
+    logger.info(`Admin ${req.username} started the game engine`);
+
+    res.json({ success: true, ...await game.getControlState() });
+
+  } catch (error) {
+    logger.error('Failed to start game engine:', error);
+    res.status(400).json({ error: error.message || 'Failed to start game engine' });
+  }
+});
+
+/**
+ * POST /api/admin/engine/stop - Stop the game loop now.
+ * The round in progress is voided, refunding bets that weren't cashed out.
+ */
+router.post('/engine/stop', async (req, res) => {
+  res.locals.auditAction = 'engine.stop';
+
+  try {
+    const game = req.app.locals.game;
+    const state = await game.getControlState();
+    if (!state.isRunning) {
+      return res.status(409).json({ error: 'Game engine is not running' });
+    }
+
+    // Stays stopped across restarts and leader changes
+    await GameSettings.change({ stopped: true }, req.userId);
+    await game.stopEngine('Stopped by an admin');
+    logger.info(`Admin ${req.username} stopped the game engine`);
+
+    res.json({ success: true, ...await game.getControlState() });
+
+  } catch (error) {
+    logger.error('Failed to stop game engine:', error);
+    res.status(400).json({ error: error.message || 'Failed to stop game engine' });
+  }
+});
+
+/**
+ * POST /api/admin/engine/pause - Stop the game loop once the current round is over
+ */
+router.post('/engine/pause', async (req, res) => {
+  res.locals.auditAction = 'engine.pause';
+
+  try {
+    const game = req.app.locals.game;
+    const state = await game.getControlState();
+    if (!state.isRunning) {
+      return res.status(409).json({ error: 'Game engine is not running' });
+    }
+
+    await GameSettings.change({ stopped: true }, req.userId);
+    await game.pauseEngine();
+    logger.info(`Admin ${req.username} paused the game engine after round ${state.roundNumber}`);
+
+    res.json({ success: true, ...await game.getControlState() });
+
+  } catch (error) {
+    logger.error('Failed to pause game engine:', error);
+    res.status(400).json({ error: error.message || 'Failed to pause game engine' });
+  }
+});
+
+/**
+ * POST /api/admin/rounds/current/void - Void the round in progress and refund its open bets.
+ * Cashouts already paid stand, the next round opens as usual.
+ */
+router.post('/rounds/current/void', validate(schemas.voidRound), async (req, res) => {
+  res.locals.auditAction = 'round.void';
+
+  try {
+    const reason = req.body.reason || 'Voided by an admin';
+    const summary = await req.app.locals.game.voidCurrentRound(reason);
+    logger.info(`Admin ${req.username} voided round ${summary.roundNumber}: ${reason}`);
+
+    res.json({ success: true, reason, summary });
+
+  } catch (error) {
+    logger.error('Failed to void round:', error);
+    res.status(400).json({ error: error.message || 'Failed to void round' });
+  }
+});
+
+/**
+ * GET /api/admin/config - Configuration in effect and the overrides stored by admins
+ */
+router.get('/config', async (req, res) => {
+  res.locals.auditAction = 'config.view';
+
+  try {
+    const [state, settings] = await Promise.all([
+      req.app.locals.game.getControlState(),
+      GameSettings.load()
+    ]);
+
+    res.json({ success: true, config: state.config, overrides: settings });
+
+  } catch (error) {
+    logger.error('Failed to get game config:', error);
+    res.status(500).json({ error: error.message || 'Failed to get game config' });
+  }
+});
+
+/**
+ * PUT /api/admin/config - Change phase durations, bet limits or the max multiplier.
+ * Changes are stored and take effect from the next round.
+ */
+router.put('/config', validate(schemas.gameConfig), async (req, res) => {
+  res.locals.auditAction = 'config.update';
+
+  try {
+    const game = req.app.locals.game;
+    const { config } = await game.getControlState();
+
+    // null resets a limit to the environment's value
+    const minBet = req.body.minBet === undefined ? config.minBet : req.body.minBet;
+    const maxBet = req.body.maxBet === undefined ? config.maxBet : req.body.maxBet;
+    if (minBet && maxBet && maxBet < minBet) {
+      return res.status(400).json({ error: 'Maximum bet cannot be below the minimum bet' });
+    }
+
+    const settings = await GameSettings.change(req.body, req.userId);
+    const applied = await game.applySettings(req.body);
+    logger.info(`Admin ${req.username} changed the game config`, req.body);
+
+    res.json({ success: true, config: applied, overrides: settings });
+
+  } catch (error) {
+    logger.error('Failed to change game config:', error);
+    res.status(400).json({ error: error.message || 'Failed to change game config' });
+  }
+});
+
+/**
+ * GET /api/admin/players - Players, newest first, with their balances
+ */
+router.get('/players', async (req, res) => {
+  res.locals.auditAction = 'players.list';
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const players = await Player.find()
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(offset)
+      .select('name username status selfExcludedUntil wallet totalWins totalLosses createdAt lastActive');
+
+    const total = await Player.countDocuments();
+
+    // Get current prices for USD conversion
+    const prices = await priceFetcher.getPrices();
+
+    const playersWithUSD = await Promise.all(
+      players.map(async (player) => {
+        const usdValue = await player.getWalletUSDValue(prices);
+        return {
+          id: player._id,
+          name: player.name,
+          username: player.username,
+          status: player.getEffectiveStatus(),
+          wallet: player.getBalances(),
+          usdValue: usdValue.toFixed(2),
+          totalWins: player.totalWins,
+          totalLosses: player.totalLosses,
+          createdAt: player.createdAt,
+          lastActive: player.lastActive
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      players: playersWithUSD,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: (offset + limit) < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to list players:', error);
+    res.status(500).json({ error: 'Failed to list players' });
+  }
+});
+
+/**
+ * GET /api/admin/players/online - Players connected to any instance, with the instances they are on
+ */
+router.get('/players/online', async (req, res) => {
+  res.locals.auditAction = 'players.online';
+
+  try {
+    const socketHandler = req.app.locals.socketHandler;
+    const players = socketHandler ? await socketHandler.getOnlinePlayers() : [];
+
+    res.json({
+      success: true,
+      instanceId: req.app.locals.game.instanceId,
+      count: players.length,
+      players
+    });
+
+  } catch (error) {
+    logger.error('Failed to get online players:', error);
+    res.status(500).json({ error: 'Failed to get online players' });
+  }
+});
+
+/**
+ * PUT /api/admin/players/:id/status - Suspend, reactivate or close an account.
+ * A running self-exclusion can't be lifted early. Every session of the player ends.
+ * Body: { status: 'active' | 'suspended' | 'closed', reason? }
+ */
+router.put('/players/:id/status', validate(schemas.playerStatus), async (req, res) => {
+  res.locals.auditAction = 'player.status';
+
+  try {
+    const { status, reason } = req.body;
+
+    const player = await Player.findById(req.params.id);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    if (player.getEffectiveStatus() === 'self_excluded' && status !== 'closed') {
+      return res.status(409).json({ error: player.getBlockReason() });
+    }
+
+    player.setStatus(status, reason || `Set by admin ${req.username}`);
+    await player.save();
+    logger.info(`Admin ${req.username} set player ${player.name} to ${status}`);
+
+    const socketHandler = req.app.locals.socketHandler;
+    if (socketHandler) {
+      socketHandler.kickPlayer(player._id, player.getBlockReason() || 'Account status changed, log in again');
+    }
+
+    res.json({
+      success: true,
+      player: {
+        id: player._id,
+        name: player.name,
+        status: player.status,
+        statusReason: player.statusReason,
+        statusChangedAt: player.statusChangedAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to change player status:', error);
+    res.status(500).json({ error: 'Failed to change player status' });
+  }
+});
+
+/**
+ * GET /api/admin/payments - Gateway, review threshold and deposit and withdrawal settings per currency
+ */
+router.get('/payments', (req, res) => {
+  res.locals.auditAction = 'payments.view';
+
+  try {
+    res.json({ success: true, ...payments.getConfig() });
+
+  } catch (error) {
+    logger.error('Failed to get payment config:', error);
+    res.status(500).json({ error: 'Failed to get payment config' });
+  }
+});
+
+/**
+ * GET /api/admin/withdrawals - Withdrawals in a state, by default the ones waiting for review.
+ * flagged=true lists the sent withdrawals the payment gateway has no record of instead
+ */
+router.get('/withdrawals', async (req, res) => {
+  res.locals.auditAction = 'withdrawals.view';
+
+  try {
+    const filter = req.query.flagged === 'true'
+      ? { type: 'withdrawal', status: 'broadcast', flaggedAt: { $ne: null } }
+      : { type: 'withdrawal', status: String(req.query.status || 'pending') };
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const withdrawals = await Transaction.find(filter)
+      .populate('player', 'name')
+      .sort({ timestamp: 1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      withdrawals: withdrawals.map(withdrawal => ({
+        ...withdrawal.getPaymentView(),
+        player: withdrawal.player ? { id: withdrawal.player._id, name: withdrawal.player.name } : null
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Failed to get withdrawals:', error);
+    res.status(500).json({ error: 'Failed to get withdrawals' });
+  }
+});
+
+/**
+ * POST /api/admin/withdrawals/:id/approve - Approve a withdrawal waiting for review and send it
+ */
+router.post('/withdrawals/:id/approve', async (req, res) => {
+  res.locals.auditAction = 'withdrawal.approve';
+
+  try {
+    const withdrawal = await payments.approveWithdrawal(req.params.id, req.userId);
+    logger.info(`Admin ${req.username} approved withdrawal ${withdrawal.txHash}`);
+
+    res.json({ success: true, withdrawal: withdrawal.getPaymentView() });
+
+  } catch (error) {
+    logger.error('Failed to approve withdrawal:', error);
+    res.status(409).json({ error: error.message || 'Failed to approve withdrawal' });
+  }
+});
+
+/**
+ * POST /api/admin/withdrawals/:id/reject - Reject a withdrawal waiting for review, the funds go back to the player
+ * Body: { reason? }
+ */
+router.post('/withdrawals/:id/reject', validate(schemas.rejectWithdrawal), async (req, res) => {
+  res.locals.auditAction = 'withdrawal.reject';
+
+  try {
+    const withdrawal = await payments.rejectWithdrawal(req.params.id, req.userId, req.body.reason);
+    logger.info(`Admin ${req.username} rejected withdrawal ${withdrawal.txHash}`);
+
+    res.json({ success: true, withdrawal: withdrawal.getPaymentView() });
+
+  } catch (error) {
+    logger.error('Failed to reject withdrawal:', error);
+    res.status(409).json({ error: error.message || 'Failed to reject withdrawal' });
+  }
+});
+
+/**
+ * GET /api/admin/deposits - Deposits in a state, by default the ones held by a limit or the account state
+ */
+router.get('/deposits', async (req, res) => {
+  res.locals.auditAction = 'deposits.view';
+
+  try {
+    const status = String(req.query.status || 'held');
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const deposits = await Transaction.find({ type: 'deposit', status })
+      .populate('player', 'name')
+      .sort({ timestamp: 1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      deposits: deposits.map(deposit => ({
+        ...deposit.getPaymentView(),
+        player: deposit.player ? { id: deposit.player._id, name: deposit.player.name } : null
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Failed to get deposits:', error);
+    res.status(500).json({ error: 'Failed to get deposits' });
+  }
+});
+
+/**
+ * POST /api/admin/deposits/:id/release - Credit a held deposit despite the limit or account state that held it
+ */
+router.post('/deposits/:id/release', async (req, res) => {
+  res.locals.auditAction = 'deposit.release';
+
+  try {
+    const deposit = await payments.releaseDeposit(req.params.id, req.userId);
+    logger.info(`Admin ${req.username} released deposit ${deposit.txHash}`);
+
+    res.json({ success: true, deposit: deposit.getPaymentView() });
+
+  } catch (error) {
+    logger.error('Failed to release deposit:', error);
+    res.status(409).json({ error: error.message || 'Failed to release deposit' });
+  }
+});
+
+/**
+ * POST /api/admin/payments/mock/deposit - Mock gateway only: simulate a deposit to an address
+ * Body: { address, amount }
+ */
+router.post('/payments/mock/deposit', validate(schemas.mockDeposit), async (req, res) => {
+  res.locals.auditAction = 'payments.mock.deposit';
+
+  try {
+    const gateway = payments.getGateway();
+    if (!(gateway instanceof MockGateway)) {
+      return res.status(404).json({ error: 'Only available with the mock payment gateway' });
+    }
+
+    const deposit = await DepositAddress.findOne({ address: req.body.address, gateway: gateway.name });
+    if (!deposit) {
+      return res.status(404).json({ error: 'Unknown deposit address' });
+    }
+
+    const txId = gateway.receive(deposit.address, req.body.amount, deposit.currency);
+    await payments.sync();
+
+    res.json({ success: true, txId, height: gateway.height });
+
+  } catch (error) {
+    logger.error('Failed to simulate deposit:', error);
+    res.status(400).json({ error: error.message || 'Failed to simulate deposit' });
+  }
+});
+
+/**
+ * POST /api/admin/payments/mock/mine - Mock gateway only: add blocks, confirming every transfer, and sync
+ * Body: { blocks? }
+ */
+router.post('/payments/mock/mine', validate(schemas.mockMine), async (req, res) => {
+  res.locals.auditAction = 'payments.mock.mine';
+
+  try {
+    const gateway = payments.getGateway();
+    if (!(gateway instanceof MockGateway)) {
+      return res.status(404).json({ error: 'Only available with the mock payment gateway' });
+    }
+
+    gateway.mine(req.body.blocks || 1);
+    await payments.sync();
+
+    res.json({ success: true, height: gateway.height });
+
+  } catch (error) {
+    logger.error('Failed to mine blocks:', error);
+    res.status(500).json({ error: 'Failed to mine blocks' });
+  }
+});
+
+/**
+ * GET /api/admin/audit - Recent admin actions, optionally filtered by action or admin
+ */
+router.get('/audit', async (req, res) => {
+  res.locals.auditAction = 'audit.view';
+
+  try {
+    const { action, admin } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const filter = {};
+    if (action) filter.action = String(action);
+    if (admin) filter.adminName = String(admin);
+
+    const entries = await AuditLog.getRecent(filter, limit);
+
+    res.json({ success: true, entries });
+
+  } catch (error) {
+    logger.error('Failed to get audit log:', error);
+    res.status(500).json({ error: 'Failed to get audit log' });
+  }
+});
+
+export default router;
@@ -1,31 +1,205 @@
 import express from 'express';
+import Player from '../models/Player.js';
+import RevokedToken from '../models/RevokedToken.js';
+import ledger from '../services/Ledger.js';
+import { withTransaction } from '../database/connection.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { schemas, validate } from '../utils/validation.js';
+import { issueTokens, verifyRefreshToken } from '../utils/tokens.js';
+import { getStartingBalance } from '../utils/currencies.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
-// Placeholder auth routes - can be expanded later
-router.post('/login', (req, res) => {
-  logger.info('Login attempt - auth system not implemented');
-  res.status(501).json({ 
-    error: 'Authentication system not implemented in MVP',
-    message: 'Use direct player creation via /api/user endpoint'
-  });
+function toAccount(player) {
+  return {
+    id: player._id,
+    username: player.username,
+    email: player.email,
+    name: player.name,
+    status: player.status,
+    wallet: player.getBalances(),
+    createdAt: player.createdAt
+  };
+}
+
+/**
+ * POST /api/auth/register - Create an account with a starting balance
+ * Body: { username, email, password }
+ */
+router.post('/register', validate(schemas.register), async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+
+    const existing = await Player.findOne({ $or: [{ username }, { email: email.toLowerCase() }] });
+    if (existing) {
+      return res.status(409).json({ error: 'Username or email is already registered' });
+    }
+
+    const player = new Player({ name: username, username, email, sessionStartedAt: new Date() });
+    await player.setPassword(password);
+
+    await withTransaction(async (session) => {
+      await player.save({ session });
+      // Starting balance of every enabled currency, credited through the ledger
+      const { players } = await ledger.postOpening(player._id, getStartingBalance(), session);
+      player.wallet = players.get(player._id.toString()).wallet;
+    });
+
+    logger.info(`Registered player: ${player.username} (${player._id})`);
+
+    res.status(201).json({
+      success: true,
+      player: toAccount(player),
+      ...issueTokens(player)
+    });
+
+  } catch (error) {
+    // Lost a race with another registration for the same name
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Username or email is already registered' });
+    }
+    logger.error('Failed to register player:', error);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+/**
+ * POST /api/auth/login - Exchange credentials for a token pair
+ * Body: { username, password }
+ */
+router.post('/login', validate(schemas.login), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const player = await Player.findOne({ username }).select('+passwordHash');
+    if (!player || !(await player.comparePassword(password))) {
+      logger.warn(`Failed login for ${username}`);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    // A login starts a new session for the session time limit
+    await Player.updateOne({ _id: player._id }, { $set: { lastActive: new Date(), sessionStartedAt: new Date() } });
+
+    logger.info(`Player logged in: ${player.username}`);
+
+    res.json({
+      success: true,
+      player: toAccount(player),
+      ...issueTokens(player)
+    });
+
+  } catch (error) {
+    logger.error('Failed to log in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+/**
+ * POST /api/auth/refresh - Exchange a refresh token for a new token pair.
+ * The refresh token is single use, it is revoked once exchanged.
+ * Body: { refreshToken }
+ */
+router.post('/refresh', validate(schemas.refresh), async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(req.body.refreshToken);
+    } catch (err) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const player = await Player.findById(decoded.userId);
+    if (!player || player.tokenVersion !== decoded.tokenVersion) {
+      return res.status(401).json({ error: 'Refresh token has been revoked' });
+    }
+
+    // Revoking is the check: only the request that inserts the entry gets a new pair,
+    // so the same refresh token sent twice at once can't be exchanged twice
+    let revoked = null;
+    try {
+      revoked = await RevokedToken.revoke(decoded);
+    } catch (err) {
+      // A concurrent exchange inserted the entry first
+      if (err.code !== 11000) throw err;
+    }
+    if (!revoked || revoked.upsertedCount === 0) {
+      return res.status(401).json({ error: 'Refresh token has been revoked' });
+    }
+
+    res.json({
+      success: true,
+      ...issueTokens(player)
+    });
+
+  } catch (error) {
+    logger.error('Failed to refresh token:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
 });
 
-router.post('/register', (req, res) => {
-  logger.info('Register attempt - auth system not implemented');
-  res.status(501).json({ 
-    error: 'Authentication system not implemented in MVP',
-    message: 'Use direct player creation via /api/user endpoint'
-  });
+/**
+ * POST /api/auth/logout - Revoke the access token and, if given, the refresh token
+ * Body: { refreshToken? }
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await RevokedToken.revoke(req.token);
+
+    if (req.body.refreshToken) {
+      try {
+        const decoded = verifyRefreshToken(req.body.refreshToken);
+        if (decoded.userId === req.userId) {
+          await RevokedToken.revoke(decoded);
+        }
+      } catch (err) {
+        // An invalid refresh token can't be used anyway
+      }
+    }
+
+    logger.info(`Player logged out: ${req.username}`);
+
+    res.json({ success: true, message: 'Logged out' });
+
+  } catch (error) {
+    logger.error('Failed to log out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
 });
 
-router.post('/logout', (req, res) => {
-  logger.info('Logout attempt - auth system not implemented');
-  res.status(501).json({ 
-    error: 'Authentication system not implemented in MVP',
-    message: 'No session management in MVP'
-  });
+/**
+ * PUT /api/auth/password - Change password, revoking every token issued before
+ * Body: { currentPassword, newPassword }
+ */
+router.put('/password', authenticateToken, validate(schemas.changePassword), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const player = await Player.findById(req.userId).select('+passwordHash');
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    if (!(await player.comparePassword(currentPassword))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await player.setPassword(newPassword);
+    player.tokenVersion += 1;
+    await player.save();
+
+    logger.info(`Player ${player.username} changed password`);
+
+    res.json({
+      success: true,
+      message: 'Password changed',
+      ...issueTokens(player)
+    });
+
+  } catch (error) {
+    logger.error('Failed to change password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
 });
 
-export default router;
\ No newline at end of file
+export default router;
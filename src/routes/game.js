@@ -2,36 +2,30 @@ import express from 'express';
 import Player from '../models/Player.js';
 import GameRound from '../models/GameRound.js';
 import Transaction from '../models/Transaction.js';
+import SeedChain from '../models/SeedChain.js';
+import GameSettings from '../models/GameSettings.js';
+import { getCrashPointConfig, verifyRound } from '../utils/crashPoint.js';
+import { schemas, validate } from '../utils/validation.js';
+import priceFetcher from '../utils/priceFetcher.js';
+import { getFeedPrivacy, toFeedPlayer } from '../utils/broadcast.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Who placed a bet or cashed out, hidden in anonymous mode like in the live feed
+function toRoundPlayer(player, privacy) {
+  const { playerId, playerName } = toFeedPlayer(player._id, player.name, privacy);
+  return { id: playerId, name: playerName };
+}
+
 /**
- * POST /api/game/bet - Place a bet
- * Body: { playerId, usdAmount, currency }
+ * POST /api/game/bet - Place a bet for the authenticated player
+ * Body: { usdAmount, currency, autoCashout? }
  */
-router.post('/bet', async (req, res) => {
+router.post('/bet', validate(schemas.placeBet), async (req, res) => {
   try {
-    const { playerId, usdAmount, currency } = req.body;
-
-    // Validate input
-    if (!playerId || !usdAmount || !currency) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: playerId, usdAmount, currency' 
-      });
-    }
-
-    if (typeof usdAmount !== 'number' || usdAmount <= 0) {
-      return res.status(400).json({ 
-        error: 'USD amount must be a positive number' 
-      });
-    }
-
-    if (!['BTC', 'ETH'].includes(currency)) {
-      return res.status(400).json({ 
-        error: 'Currency must be BTC or ETH' 
-      });
-    }
+    const playerId = req.userId;
+    const { usdAmount, currency, autoCashout } = req.body;
 
     // Verify player exists
     const player = await Player.findById(playerId);
@@ -39,14 +33,14 @@ router.post('/bet', async (req, res) => {
       return res.status(404).json({ error: 'Player not found' });
     }
 
-    // Get the game engine from the app (passed via middleware or global)
-    const gameEngine = req.app.locals.gameEngine;
-    if (!gameEngine) {
+    // Get the game from the app, it forwards the bet to the instance running the game loop
+    const game = req.app.locals.game;
+    if (!game) {
       return res.status(500).json({ error: 'Game engine not available' });
     }
 
     // Place the bet through game engine
-    const result = await gameEngine.placeBet(playerId, usdAmount, currency);
+    const result = await game.placeBet(playerId, usdAmount, currency, autoCashout);
 
     logger.info(`REST API bet placed: Player ${player.name} bet $${usdAmount} ${currency}`);
 
@@ -59,24 +53,22 @@ router.post('/bet', async (req, res) => {
   } catch (error) {
     logger.error('Failed to place bet via REST API:', error);
     res.status(400).json({ 
-      error: error.message || 'Failed to place bet' 
+      error: error.message || 'Failed to place bet',
+      // Set when a risk limit refused the bet, the round has no price to convert it at or takes no more bets
+      code: typeof error.code === 'string' ? error.code : undefined
     });
   }
 });
 
 /**
- * POST /api/game/cashout - Cash out current bet
- * Body: { playerId }
+ * POST /api/game/cashout - Cash out the authenticated player's current bet
  */
 router.post('/cashout', async (req, res) => {
-  try {
-    const { playerId } = req.body;
+  // Payout is based on when the request reached the server, not when it gets processed
+  const requestedAt = Date.now();
 
-    if (!playerId) {
-      return res.status(400).json({ 
-        error: 'Player ID is required' 
-      });
-    }
+  try {
+    const playerId = req.userId;
 
     // Verify player exists
     const player = await Player.findById(playerId);
@@ -84,14 +76,14 @@ router.post('/cashout', async (req, res) => {
       return res.status(404).json({ error: 'Player not found' });
     }
 
-    // Get the game engine from the app
-    const gameEngine = req.app.locals.gameEngine;
-    if (!gameEngine) {
+    // Get the game from the app
+    const game = req.app.locals.game;
+    if (!game) {
       return res.status(500).json({ error: 'Game engine not available' });
     }
 
     // Cash out through game engine
-    const result = await gameEngine.cashOut(playerId);
+    const result = await game.cashOut(playerId, requestedAt);
 
     logger.info(`REST API cashout: Player ${player.name} cashed out at ${result.multiplier}x`);
 
@@ -112,18 +104,20 @@ router.post('/cashout', async (req, res) => {
 /**
  * GET /api/game/status - Get current game status
  */
-router.get('/status', (req, res) => {
+router.get('/status', async (req, res) => {
   try {
-    const gameEngine = req.app.locals.gameEngine;
-    if (!gameEngine) {
+    const game = req.app.locals.game;
+    if (!game) {
       return res.status(500).json({ error: 'Game engine not available' });
     }
 
-    const gameState = gameEngine.getCurrentState();
-    
+    const gameState = await game.getCurrentState();
+    const socketHandler = req.app.locals.socketHandler;
+
     res.json({
       success: true,
-      gameState
+      gameState,
+      onlinePlayers: socketHandler ? await socketHandler.getOnlineCount() : 0
     });
 
   } catch (error) {
@@ -132,12 +126,48 @@ router.get('/status', (req, res) => {
   }
 });
 
+/**
+ * GET /api/game/fairness - Get the published hash chain commitments
+ */
+router.get('/fairness', async (req, res) => {
+  try {
+    const chains = await SeedChain.find()
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    // An admin may have changed the max multiplier, rounds store the one they were played with
+    const settings = await GameSettings.load();
+    const config = getCrashPointConfig();
+    if (settings && settings.maxMultiplier) config.maxMultiplier = settings.maxMultiplier;
+
+    res.json({
+      success: true,
+      algorithm: 'U = first 52 bits of HMAC_SHA256(serverSeed, `${clientSeed}:${roundNumber}`) / 2^52; crashPoint = clamp(floor(100 * (1 - houseEdge) / (1 - U)) / 100, minMultiplier, maxMultiplier)',
+      ...config,
+      chains: chains.map(chain => ({
+        id: chain._id,
+        terminalHash: chain.terminalHash,
+        clientSeed: chain.clientSeed,
+        length: chain.length,
+        roundsPlayed: chain.nextIndex - 1,
+        status: chain.status,
+        createdAt: chain.createdAt
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Failed to get fairness info:', error);
+    res.status(500).json({ error: 'Failed to get fairness info' });
+  }
+});
+
 /**
  * GET /api/game/rounds - Get recent game rounds
  */
 router.get('/rounds', async (req, res) => {
   try {
     const { limit = 10, offset = 0 } = req.query;
+    const privacy = getFeedPrivacy();
 
     const rounds = await GameRound.find()
       .sort({ roundNumber: -1 })
@@ -148,9 +178,13 @@ router.get('/rounds', async (req, res) => {
 
     const total = await GameRound.countDocuments();
 
+    // Bets were converted at each round's locked prices, today's are returned next to them
+    const currentPrices = await priceFetcher.getPrices();
+
     const roundsData = rounds.map(round => ({
       roundNumber: round.roundNumber,
-      crashPoint: round.crashPoint,
+      crashPoint: round.isFinished() ? round.crashPoint : null,
+      seedHash: round.seedHash,
       finalMultiplier: round.finalMultiplier,
       status: round.status,
       startTime: round.startTime,
@@ -159,14 +193,15 @@ router.get('/rounds', async (req, res) => {
       totalBetAmount: round.getTotalBetAmount(),
       betsCount: round.bets.length,
       cashoutsCount: round.cashouts.length,
+      prices: round.getLockedPrices(),
       bets: round.bets.map(bet => ({
-        player: bet.player.name,
+        player: toRoundPlayer(bet.player, privacy).name,
         usd: bet.usd,
         currency: bet.currency,
         cryptoAmt: bet.cryptoAmt
       })),
       cashouts: round.cashouts.map(cashout => ({
-        player: cashout.player.name,
+        player: toRoundPlayer(cashout.player, privacy).name,
         payout: cashout.payout,
         multiplier: cashout.multiplier
       }))
@@ -175,6 +210,7 @@ router.get('/rounds', async (req, res) => {
     res.json({
       success: true,
       rounds: roundsData,
+      currentPrices,
       pagination: {
         total,
         limit: parseInt(limit),
@@ -195,40 +231,52 @@ router.get('/rounds', async (req, res) => {
 router.get('/rounds/:roundNumber', async (req, res) => {
   try {
     const { roundNumber } = req.params;
+    const privacy = getFeedPrivacy();
 
     const round = await GameRound.findOne({ roundNumber: parseInt(roundNumber) })
-      .populate('bets.player', 'name wallet')
-      .populate('cashouts.player', 'name wallet');
+      .select('+seed')
+      .populate('bets.player', 'name')
+      .populate('cashouts.player', 'name');
 
     if (!round) {
       return res.status(404).json({ error: 'Round not found' });
     }
 
+    // Crash point and server seed stay hidden until the round is over
+    const finished = round.isFinished();
+
     const roundData = {
       roundNumber: round.roundNumber,
-      crashPoint: round.crashPoint,
+      crashPoint: finished ? round.crashPoint : null,
       finalMultiplier: round.finalMultiplier,
       status: round.status,
       startTime: round.startTime,
       endTime: round.endTime,
       duration: round.getDuration(),
       totalBetAmount: round.getTotalBetAmount(),
-      seed: round.seed,
+      seed: finished ? round.seed : null,
+      seedHash: round.seedHash,
+      clientSeed: round.clientSeed,
+      nonce: round.nonce,
+      chainIndex: round.chainIndex,
+      settledAt: round.settledAt,
+      prices: round.getLockedPrices(),
+      pricesLockedAt: round.pricesLockedAt,
+      currentPrices: await priceFetcher.getPrices(),
       bets: round.bets.map(bet => ({
-        player: {
-          id: bet.player._id,
-          name: bet.player.name
-        },
+        player: toRoundPlayer(bet.player, privacy),
         usd: bet.usd,
         currency: bet.currency,
         cryptoAmt: bet.cryptoAmt,
+        clientSeed: bet.clientSeed,
+        nonce: bet.nonce,
+        outcome: bet.outcome,
+        payout: bet.payout,
+        profit: bet.profit,
         timestamp: bet.timestamp
       })),
       cashouts: round.cashouts.map(cashout => ({
-        player: {
-          id: cashout.player._id,
-          name: cashout.player.name
-        },
+        player: toRoundPlayer(cashout.player, privacy),
         payout: cashout.payout,
         multiplier: cashout.multiplier,
         timestamp: cashout.timestamp
@@ -246,4 +294,49 @@ router.get('/rounds/:roundNumber', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/game/rounds/:roundNumber/verify - Recompute a finished round's crash point
+ */
+router.get('/rounds/:roundNumber/verify', async (req, res) => {
+  try {
+    const { roundNumber } = req.params;
+
+    const round = await GameRound.findOne({ roundNumber: parseInt(roundNumber) })
+      .select('+seed');
+
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+
+    if (!round.isFinished()) {
+      return res.status(409).json({
+        error: 'Round is still in progress, its seed has not been revealed yet'
+      });
+    }
+
+    const previousHash = await GameRound.getPreviousChainHash(round);
+    // The client seed must come from the previous round's bets, clientSeedDerivation lists them
+    const seedInputs = await GameRound.getClientSeedInputs(round);
+    const verification = verifyRound(round, previousHash, seedInputs);
+
+    res.json({
+      success: true,
+      round: {
+        roundNumber: round.roundNumber,
+        seed: round.seed,
+        seedHash: round.seedHash,
+        clientSeed: round.clientSeed,
+        nonce: round.nonce,
+        chainIndex: round.chainIndex,
+        previousHash
+      },
+      ...verification
+    });
+
+  } catch (error) {
+    logger.error('Failed to verify round:', error);
+    res.status(500).json({ error: 'Failed to verify round' });
+  }
+});
+
 export default router;
\ No newline at end of file
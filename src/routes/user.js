@@ -1,97 +1,99 @@
 import express from 'express';
 import Player from '../models/Player.js';
 import Transaction from '../models/Transaction.js';
+import accountLimits from '../services/AccountLimits.js';
+import payments from '../services/Payments.js';
 import priceFetcher from '../utils/priceFetcher.js';
+import { schemas, validate } from '../utils/validation.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Players can only read and change their own account, 'me' is an alias for the caller
+router.param('id', (req, res, next, id) => {
+  if (id === 'me') {
+    req.params.id = req.userId;
+    return next();
+  }
+  if (id !== req.userId) {
+    return res.status(403).json({ error: 'You can only access your own account' });
+  }
+  next();
+});
+
 /**
- * POST /api/user - Create a new player
+ * GET /api/user/:id - Get player details (use 'me' for the authenticated player)
  */
-router.post('/', async (req, res) => {
+router.get('/:id', async (req, res) => {
   try {
-    const { name } = req.body;
-
-    if (!name || name.trim().length === 0) {
-      return res.status(400).json({ error: 'Player name is required' });
-    }
+    const { id } = req.params;
 
-    // Check if player with this name already exists
-    const existingPlayer = await Player.findOne({ name: name.trim() });
-    if (existingPlayer) {
-      return res.status(409).json({ error: 'Player with this name already exists' });
+    const player = await Player.findById(id);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
     }
 
-    // Create new player with default wallet balances
-    const player = new Player({
-      name: name.trim(),
-      wallet: {
-        BTC: 0.01, // Starting balance: 0.01 BTC
-        ETH: 0.1   // Starting balance: 0.1 ETH
-      }
-    });
-
-    await player.save();
-
     // Get current prices for USD conversion
     const prices = await priceFetcher.getPrices();
     const usdValue = await player.getWalletUSDValue(prices);
 
-    logger.info(`Created new player: ${player.name} (${player._id})`);
-
-    res.status(201).json({
+    res.json({
       success: true,
       player: {
         id: player._id,
         name: player.name,
-        wallet: player.wallet,
+        status: player.getEffectiveStatus(),
+        wallet: player.getBalances(),
         usdValue: usdValue.toFixed(2),
         totalWins: player.totalWins,
         totalLosses: player.totalLosses,
-        createdAt: player.createdAt
+        clientSeed: player.clientSeed,
+        nonce: player.nonce,
+        createdAt: player.createdAt,
+        lastActive: player.lastActive
       }
     });
 
   } catch (error) {
-    logger.error('Failed to create player:', error);
-    res.status(500).json({ error: 'Failed to create player' });
+    logger.error('Failed to get player:', error);
+    res.status(500).json({ error: 'Failed to get player details' });
   }
 });
 
 /**
- * GET /api/user/:id - Get player details
+ * PUT /api/user/:id/client-seed - Change the player's provably fair client seed
+ * Body: { clientSeed }
  */
-router.get('/:id', async (req, res) => {
+router.put('/:id/client-seed', async (req, res) => {
   try {
     const { id } = req.params;
+    const { clientSeed } = req.body;
+
+    if (typeof clientSeed !== 'string' || !/^[A-Za-z0-9]{1,64}$/.test(clientSeed)) {
+      return res.status(400).json({
+        error: 'Client seed must be 1-64 letters or numbers'
+      });
+    }
 
     const player = await Player.findById(id);
     if (!player) {
       return res.status(404).json({ error: 'Player not found' });
     }
 
-    // Get current prices for USD conversion
-    const prices = await priceFetcher.getPrices();
-    const usdValue = await player.getWalletUSDValue(prices);
+    player.setClientSeed(clientSeed);
+    await player.save();
+
+    logger.info(`Player ${player.name} changed client seed`);
 
     res.json({
       success: true,
-      player: {
-        id: player._id,
-        name: player.name,
-        wallet: player.wallet,
-        usdValue: usdValue.toFixed(2),
-        totalWins: player.totalWins,
-        totalLosses: player.totalLosses,
-        createdAt: player.createdAt,
-        lastActive: player.lastActive
-      }
+      clientSeed: player.clientSeed,
+      nonce: player.nonce
     });
 
   } catch (error) {
-    logger.error('Failed to get player:', error);
-    res.status(500).json({ error: 'Failed to get player details' });
+    logger.error('Failed to update client seed:', error);
+    res.status(500).json({ error: 'Failed to update client seed' });
   }
 });
 
@@ -109,30 +111,10 @@ router.get('/:id/wallet', async (req, res) => {
 
     // Get current prices
     const prices = await priceFetcher.getPrices();
-    
-    // Calculate USD values for each currency
-    const walletWithUSD = {
-      BTC: {
-        amount: player.wallet.BTC,
-        price: prices.BTC,
-        usdValue: (player.wallet.BTC * prices.BTC).toFixed(2)
-      },
-      ETH: {
-        amount: player.wallet.ETH,
-        price: prices.ETH,
-        usdValue: (player.wallet.ETH * prices.ETH).toFixed(2)
-      }
-    };
-
-    const totalUSDValue = await player.getWalletUSDValue(prices);
 
     res.json({
       success: true,
-      playerId: player._id,
-      playerName: player.name,
-      wallet: walletWithUSD,
-      totalUSDValue: totalUSDValue.toFixed(2),
-      lastUpdated: new Date().toISOString()
+      ...(await player.getWalletView(prices))
     });
 
   } catch (error) {
@@ -156,7 +138,7 @@ router.get('/:id/transactions', async (req, res) => {
 
     // Build query
     const query = { player: id };
-    if (type && ['bet', 'cashout'].includes(type)) {
+    if (type && ['bet', 'cashout', 'settlement', 'refund', 'deposit', 'withdrawal'].includes(type)) {
       query.type = type;
     }
 
@@ -169,6 +151,9 @@ router.get('/:id/transactions', async (req, res) => {
 
     const total = await Transaction.countDocuments(query);
 
+    // priceAtTime is the rate a transaction was made at, the round's locked price for bets and cashouts
+    const prices = await priceFetcher.getPrices();
+
     res.json({
       success: true,
       playerId: id,
@@ -180,13 +165,23 @@ router.get('/:id/transactions', async (req, res) => {
         cryptoAmt: tx.cryptoAmt,
         currency: tx.currency,
         priceAtTime: tx.priceAtTime,
+        currentPrice: prices[tx.currency] ?? null,
         multiplier: tx.multiplier,
         timestamp: tx.timestamp,
         round: tx.round ? {
           roundNumber: tx.round.roundNumber,
           crashPoint: tx.round.crashPoint
         } : null,
-        profit: tx.getProfit()
+        profit: tx.getProfit(),
+        // Deposits and withdrawals
+        ...(tx.status ? {
+          status: tx.status,
+          statusReason: tx.statusReason,
+          fee: tx.fee,
+          address: tx.address,
+          chainTxId: tx.chainTxId,
+          confirmations: tx.confirmations
+        } : {})
       })),
       pagination: {
         total,
@@ -203,53 +198,166 @@ router.get('/:id/transactions', async (req, res) => {
 });
 
 /**
- * GET /api/user - List all players (for testing)
+ * GET /api/user/:id/limits - Deposit, loss, wager and session limits, pending changes and current usage
  */
-router.get('/', async (req, res) => {
+router.get('/:id/limits', async (req, res) => {
   try {
-    const { limit = 20, offset = 0 } = req.query;
+    const player = await Player.findById(req.params.id);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
 
-    const players = await Player.find()
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(parseInt(offset))
-      .select('name wallet totalWins totalLosses createdAt lastActive');
+    res.json({
+      success: true,
+      ...(await accountLimits.getView(player))
+    });
 
-    const total = await Player.countDocuments();
+  } catch (error) {
+    logger.error('Failed to get limits:', error);
+    res.status(500).json({ error: 'Failed to get limits' });
+  }
+});
 
-    // Get current prices for USD conversion
-    const prices = await priceFetcher.getPrices();
+/**
+ * PUT /api/user/:id/limits - Set limits. Lower limits apply now, raised or removed (null) ones after a cooldown
+ * Body: { depositDaily, depositWeekly, lossDaily, lossWeekly, wagerDaily, wagerWeekly, sessionMinutes }
+ */
+router.put('/:id/limits', validate(schemas.limits), async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.id);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
 
-    const playersWithUSD = await Promise.all(
-      players.map(async (player) => {
-        const usdValue = await player.getWalletUSDValue(prices);
-        return {
-          id: player._id,
-          name: player.name,
-          wallet: player.wallet,
-          usdValue: usdValue.toFixed(2),
-          totalWins: player.totalWins,
-          totalLosses: player.totalLosses,
-          createdAt: player.createdAt,
-          lastActive: player.lastActive
-        };
-      })
-    );
+    const changes = await accountLimits.setLimits(player, req.body);
 
     res.json({
       success: true,
-      players: playersWithUSD,
-      pagination: {
-        total,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: (parseInt(offset) + parseInt(limit)) < total
-      }
+      changes,
+      ...(await accountLimits.getView(player))
+    });
+
+  } catch (error) {
+    logger.error('Failed to set limits:', error);
+    res.status(500).json({ error: 'Failed to set limits' });
+  }
+});
+
+/**
+ * POST /api/user/:id/self-exclusion - Exclude yourself from playing for a number of days.
+ * It can't be lifted early, every session ends now.
+ * Body: { days, reason? }
+ */
+router.post('/:id/self-exclusion', validate(schemas.selfExclusion), async (req, res) => {
+  try {
+    const { days, reason } = req.body;
+
+    const player = await Player.findById(req.params.id);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    player.setStatus('self_excluded', reason || 'Self-excluded by player', until);
+    await player.save();
+
+    logger.info(`Player ${player.name} self-excluded until ${until.toISOString()}`);
+    const socketHandler = req.app.locals.socketHandler;
+    if (socketHandler) socketHandler.kickPlayer(player._id, player.getBlockReason());
+
+    res.json({
+      success: true,
+      status: player.status,
+      selfExcludedUntil: player.selfExcludedUntil
+    });
+
+  } catch (error) {
+    logger.error('Failed to self-exclude:', error);
+    res.status(500).json({ error: 'Failed to self-exclude' });
+  }
+});
+
+/**
+ * POST /api/user/:id/close - Close your account, every session ends now
+ * Body: { password, reason? }
+ */
+router.post('/:id/close', validate(schemas.closeAccount), async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.id).select('+passwordHash');
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    if (!(await player.comparePassword(req.body.password))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    player.setStatus('closed', req.body.reason || 'Closed by player');
+    await player.save();
+
+    logger.info(`Player ${player.name} closed their account`);
+    const socketHandler = req.app.locals.socketHandler;
+    if (socketHandler) socketHandler.kickPlayer(player._id, 'Account closed');
+
+    res.json({ success: true, status: player.status });
+
+  } catch (error) {
+    logger.error('Failed to close account:', error);
+    res.status(500).json({ error: 'Failed to close account' });
+  }
+});
+
+/**
+ * POST /api/user/:id/deposit-address - Your deposit address for a currency, created on first use.
+ * Deposits are credited once they have the currency's confirmations
+ * Body: { currency }
+ */
+router.post('/:id/deposit-address', validate(schemas.depositAddress), async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.id);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+    if (!player.canPlay()) {
+      return res.status(403).json({ error: player.getBlockReason() });
+    }
+
+    const { currency } = req.body;
+    const deposit = await payments.getDepositAddress(player, currency);
+    const { currencies } = payments.getConfig();
+
+    res.json({
+      success: true,
+      currency,
+      address: deposit.address,
+      confirmations: currencies[currency].depositConfirmations
     });
 
   } catch (error) {
-    logger.error('Failed to list players:', error);
-    res.status(500).json({ error: 'Failed to list players' });
+    logger.error('Failed to get deposit address:', error);
+    res.status(500).json({ error: 'Failed to get deposit address' });
+  }
+});
+
+/**
+ * POST /api/user/:id/withdrawals - Withdraw to an address. The amount and the currency's fee leave
+ * the wallet now; large withdrawals wait for review, the rest are sent right away
+ * Body: { currency, amount, address }
+ */
+router.post('/:id/withdrawals', validate(schemas.withdrawal), async (req, res) => {
+  try {
+    const { currency, amount, address } = req.body;
+    const withdrawal = await payments.requestWithdrawal(req.params.id, currency, amount, address);
+
+    res.status(201).json({ success: true, withdrawal: withdrawal.getPaymentView() });
+
+  } catch (error) {
+    logger.error('Failed to request withdrawal:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to request withdrawal',
+      // Set when there is no fresh price to value the withdrawal at
+      code: typeof error.code === 'string' ? error.code : undefined
+    });
   }
 });
 
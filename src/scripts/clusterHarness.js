@@ -0,0 +1,317 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { spawn } from 'child_process';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+/**
+ * Run several server instances against one MongoDB (MONGODB_URI) as a local cluster
+ * and watch the leader election through their /health endpoints.
+ *
+ * Registered bettors also place a bet in every round, each through a different instance.
+ * Every instance must report the same round, and once a round is over, the same bets for it
+ * with every bet an instance accepted among them.
+ *
+ * Usage:
+ *   node src/scripts/clusterHarness.js
+ *   node src/scripts/clusterHarness.js --instances 3 --base-port 3001
+ *   node src/scripts/clusterHarness.js --failover-after 30   # stop the leader after 30s and restart it as a follower
+ *   node src/scripts/clusterHarness.js --duration 120        # stop everything after 120s, runs until Ctrl+C by default
+ *   node src/scripts/clusterHarness.js --bettors 0           # only watch the election, 3 bettors by default
+ *
+ * Instance output is prefixed with its id. Exits with code 1 if two instances ever claimed
+ * leadership at once, the cluster went without a leader for longer than two lock lifetimes,
+ * or the instances disagreed about a round or its bets.
+ */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER = path.join(__dirname, '..', 'server.js');
+const POLL_INTERVAL_MS = 1000;
+const BET_USD = 1;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function prefixOutput(stream, id) {
+  readline.createInterface({ input: stream }).on('line', line => console.log(`[${id}] ${line}`));
+}
+
+function startInstance(instance) {
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PORT: String(instance.port),
+      INSTANCE_ID: instance.id,
+      CLUSTER_ENABLED: 'true',
+      // Every instance is polled each second, from one address
+      RATE_LIMIT_MAX_REQUESTS: process.env.RATE_LIMIT_MAX_REQUESTS || '100000',
+      // Bets are matched to bettors by the player IDs in the round history, which anonymous mode hides
+      FEED_PRIVACY_MODE: 'public'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  prefixOutput(child.stdout, instance.id);
+  prefixOutput(child.stderr, instance.id);
+
+  instance.child = child;
+  instance.exited = new Promise(resolve => child.on('exit', resolve));
+  logger.info(`Started ${instance.id} on port ${instance.port} (pid ${child.pid})`);
+}
+
+async function getHealth(instance) {
+  try {
+    const res = await fetch(`http://localhost:${instance.port}/health`, { signal: AbortSignal.timeout(POLL_INTERVAL_MS) });
+    return res.ok ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Call an instance's API, resolving with the response body or null if it didn't answer with success
+ */
+async function callApi(instance, method, route, { token, body } = {}) {
+  try {
+    const res = await fetch(`http://localhost:${instance.port}${route}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body && JSON.stringify(body),
+      signal: AbortSignal.timeout(POLL_INTERVAL_MS * 5)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      logger.warn(`${method} ${route} on ${instance.id} failed: ${res.status} ${data.error || ''}`);
+      return null;
+    }
+    return data;
+  } catch (error) {
+    logger.warn(`${method} ${route} on ${instance.id} failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Register players with a fresh name each run, spread over the instances
+ */
+async function registerBettors(instances, count) {
+  const run = Date.now().toString(36);
+  const bettors = [];
+  for (let i = 0; i < count; i++) {
+    const username = `harness${run}n${i}`;
+    const data = await callApi(instances[i % instances.length], 'POST', '/api/auth/register', {
+      body: { username, email: `${username}@example.com`, password: `${username}-password` }
+    });
+    if (!data) {
+      throw new Error(`Could not register bettor ${username}`);
+    }
+    bettors.push({ id: String(data.player.id), token: data.accessToken });
+  }
+  logger.info(`Registered ${bettors.length} bettors`);
+  return bettors;
+}
+
+// What must be the same on every instance at one moment
+function describeState(status) {
+  const round = status.gameState.currentRound;
+  return JSON.stringify({
+    round: round && round.roundNumber,
+    status: round && round.status,
+    onlinePlayers: status.onlinePlayers
+  });
+}
+
+// What must be the same on every instance once a round is over
+function describeRound(round) {
+  return JSON.stringify({
+    status: round.status,
+    crashPoint: round.crashPoint,
+    bets: round.bets.map(bet => `${bet.player.id} ${bet.cryptoAmt} ${bet.outcome}`).sort()
+  });
+}
+
+async function runCluster() {
+  const args = parseArgs(process.argv.slice(2));
+  const count = parseInt(args.instances) || 3;
+  const basePort = parseInt(args['base-port']) || 3001;
+  const failoverAfter = parseInt(args['failover-after']) || 0;
+  const duration = parseInt(args.duration) || 0;
+  const bettorCount = args.bettors === undefined ? 3 : parseInt(args.bettors) || 0;
+  const maxLeaderless = 2 * (parseInt(process.env.LEADER_LOCK_TTL_MS) || 10000);
+
+  const instances = Array.from({ length: count }, (_, i) => ({ id: `instance-${i + 1}`, port: basePort + i }));
+  instances.forEach(startInstance);
+
+  const startedAt = Date.now();
+  let failures = 0;
+  let lastLeaders = null;
+  let leaderlessSince = null;
+  let failedOver = false;
+  let stopping = false;
+
+  // Round checks: the bettors, rounds bet on with the players whose bet an instance accepted,
+  // and a state the instances disagree on, which counts once it lasts for two polls
+  let bettors = null;
+  let registering = false;
+  let checkingRounds = false;
+  const acceptedBets = new Map();
+  let disagreement = null;
+
+  async function placeBets(up, roundNumber) {
+    acceptedBets.set(roundNumber, []);
+    await Promise.all(bettors.map(async (bettor, i) => {
+      const instance = up[(i + roundNumber) % up.length];
+      const placed = await callApi(instance, 'POST', '/api/game/bet', {
+        token: bettor.token,
+        body: { usdAmount: BET_USD, currency: 'BTC' }
+      });
+      if (placed) acceptedBets.get(roundNumber).push(bettor.id);
+    }));
+  }
+
+  // Once a round bet on is over, every instance must report the same bets, including the accepted ones
+  async function checkFinishedRound(up, roundNumber, accepted) {
+    const token = bettors[0].token;
+    const rounds = await Promise.all(up.map(instance => callApi(instance, 'GET', `/api/game/rounds/${roundNumber}`, { token })));
+    if (rounds.some(data => !data || !['crashed', 'voided'].includes(data.round.status))) {
+      return; // Not settled yet or an instance didn't answer, next poll
+    }
+    acceptedBets.delete(roundNumber);
+
+    const descriptions = new Set(rounds.map(data => describeRound(data.round)));
+    if (descriptions.size > 1) {
+      logger.error(`Instances disagree about round ${roundNumber}: ${[...descriptions].join(' / ')}`);
+      failures++;
+    }
+    const stored = new Set(rounds[0].round.bets.map(bet => String(bet.player.id)));
+    for (const playerId of accepted.filter(id => !stored.has(id))) {
+      logger.error(`Round ${roundNumber} lost the accepted bet of player ${playerId}`);
+      failures++;
+    }
+  }
+
+  async function checkRounds(up) {
+    const token = bettors[0].token;
+    const statuses = await Promise.all(up.map(instance => callApi(instance, 'GET', '/api/game/status', { token })));
+    if (statuses.some(status => !status)) return;
+
+    const states = new Set(statuses.map(describeState));
+    if (states.size > 1) {
+      // Instances may straddle a phase change for one poll
+      const current = [...states].join(' / ');
+      if (disagreement === current) {
+        logger.error(`Instances disagree about the current round: ${current}`);
+        failures++;
+      }
+      disagreement = current;
+      return;
+    }
+    disagreement = null;
+
+    const round = statuses[0].gameState.currentRound;
+    if (!round) return;
+    if (round.bettingAllowed && !acceptedBets.has(round.roundNumber)) {
+      await placeBets(up, round.roundNumber);
+    }
+    for (const roundNumber of acceptedBets.keys()) {
+      if (roundNumber < round.roundNumber) {
+        await checkFinishedRound(up, roundNumber, acceptedBets.get(roundNumber));
+      }
+    }
+  }
+
+  async function poll() {
+    const health = await Promise.all(instances.map(getHealth));
+    const up = health.filter(Boolean);
+    const leaders = up.filter(h => h.leader).map(h => h.instanceId);
+
+    if (leaders.join() !== lastLeaders) {
+      lastLeaders = leaders.join();
+      logger.info(`Leader: ${leaders.length > 0 ? leaders.join(', ') : 'none'} (${up.length}/${count} instances up)`);
+    }
+
+    if (leaders.length > 1) {
+      logger.error(`Split brain: ${leaders.join(', ')} all claim leadership`);
+      failures++;
+    }
+
+    if (leaders.length === 0 && up.length > 0) {
+      leaderlessSince = leaderlessSince || Date.now();
+      if (Date.now() - leaderlessSince > maxLeaderless) {
+        logger.error(`No leader for ${Date.now() - leaderlessSince}ms`);
+        failures++;
+        leaderlessSince = Date.now();
+      }
+    } else {
+      leaderlessSince = null;
+    }
+
+    if (bettorCount > 0 && leaders.length === 1) {
+      if (!bettors && !registering) {
+        registering = true;
+        registerBettors(instances.filter((_, i) => health[i]), bettorCount)
+          .then(registered => { bettors = registered; })
+          .catch(error => {
+            // Round checks are off for the rest of the run
+            logger.error(error.message);
+            failures++;
+            bettors = [];
+          })
+          .finally(() => { registering = false; });
+      } else if (bettors && bettors.length > 0 && !checkingRounds) {
+        checkingRounds = true;
+        checkRounds(instances.filter((_, i) => health[i]))
+          .finally(() => { checkingRounds = false; });
+      }
+    }
+
+    // Stop the leader once, then bring it back as a follower
+    if (failoverAfter > 0 && !failedOver && leaders.length === 1 && Date.now() - startedAt >= failoverAfter * 1000) {
+      failedOver = true;
+      const leader = instances.find(instance => instance.id === leaders[0]);
+      logger.info(`Stopping leader ${leader.id} to test failover`);
+      leader.child.kill('SIGTERM');
+      leader.exited.then(() => {
+        if (!stopping) startInstance(leader);
+      });
+    }
+
+    if (duration > 0 && Date.now() - startedAt >= duration * 1000) {
+      await shutdown();
+    }
+  }
+
+  async function shutdown() {
+    if (stopping) return;
+    stopping = true;
+    clearInterval(pollTimer);
+
+    logger.info('Stopping all instances');
+    for (const instance of instances) {
+      if (instance.child.exitCode === null) instance.child.kill('SIGTERM');
+    }
+    await Promise.all(instances.map(instance => instance.exited));
+
+    logger.info(failures > 0 ? `Cluster check failed ${failures} times` : 'Cluster check passed');
+    process.exit(failures > 0 ? 1 : 0);
+  }
+
+  const pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Run the cluster
+runCluster();
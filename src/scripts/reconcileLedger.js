@@ -0,0 +1,65 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import mongoose from 'mongoose';
+import { initializeDatabase } from '../database/connection.js';
+import ledger from '../services/Ledger.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Recompute every player wallet from the ledger and report drift.
+ *
+ * Usage:
+ *   node src/scripts/reconcileLedger.js
+ *   node src/scripts/reconcileLedger.js --backfill   # post opening entries for players created before the ledger
+ *   node src/scripts/reconcileLedger.js --fix        # reset drifted cached wallets to the ledger balance
+ *
+ * Balances in currencies that are no longer enabled are listed but not checked.
+ * Exits with code 1 if any wallet drifted or any journal is unbalanced.
+ */
+async function reconcileLedger() {
+  const args = process.argv.slice(2);
+  let exitCode = 0;
+
+  try {
+    await initializeDatabase();
+
+    if (args.includes('--backfill')) {
+      const count = await ledger.backfillOpenings();
+      logger.info(`Backfilled opening balances for ${count} players`);
+    }
+
+    const report = await ledger.reconcile({ fix: args.includes('--fix') });
+
+    for (const total of report.totals) {
+      logger.info(`${total.accountType} ${total.currency}: ${total.balance}`);
+    }
+    for (const item of report.drift) {
+      logger.error(`Player ${item.name} (${item.playerId}) ${item.currency}: cached ${item.cached}, ledger ${item.ledger}`);
+    }
+    for (const item of report.skipped) {
+      logger.warn(`Player ${item.name} (${item.playerId}) ${item.currency} is not enabled, not checked: cached ${item.cached}, ledger ${item.ledger}`);
+    }
+    for (const journal of report.unbalancedJournals) {
+      logger.error(`Journal ${journal.journal} does not balance: ${journal.currency} lines sum to ${journal.total}`);
+    }
+
+    logger.info(`Checked ${report.checkedPlayers} players: ${report.drift.length} drifted, ${report.skipped.length} balances in disabled currencies skipped, ${report.unbalancedJournals.length} unbalanced journals`);
+    if (report.fixed > 0) {
+      logger.info(`Reset ${report.fixed} cached wallets to their ledger balance`);
+    }
+    if ((report.drift.length > 0 && report.fixed === 0) || report.unbalancedJournals.length > 0) {
+      exitCode = 1;
+    }
+
+  } catch (error) {
+    logger.error('Failed to reconcile ledger:', error);
+    exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+  process.exit(exitCode);
+}
+
+// Run reconciliation
+reconcileLedger();
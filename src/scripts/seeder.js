@@ -3,8 +3,14 @@ dotenv.config();
 
 import { initializeDatabase } from '../database/connection.js';
 import Player from '../models/Player.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import ledger from '../services/Ledger.js';
+import { isSupportedCurrency } from '../utils/currencies.js';
 import logger from '../utils/logger.js';
 
+// Password of every seeded player
+const SEED_PASSWORD = 'password123';
+
 /**
  * Seed the database with test players
  */
@@ -15,12 +21,14 @@ async function seedDatabase() {
 
     // Clear existing players (optional - remove this in production)
     await Player.deleteMany({});
-    logger.info('Cleared existing players');
+    await LedgerEntry.deleteMany({});
+    logger.info('Cleared existing players and ledger entries');
 
     // Create test players
     const testPlayers = [
       {
         name: 'Alice Crypto',
+        username: 'alice',
         wallet: {
           BTC: 0.05,  // 0.05 BTC
           ETH: 0.5    // 0.5 ETH
@@ -28,6 +36,7 @@ async function seedDatabase() {
       },
       {
         name: 'Bob Trader',
+        username: 'bob',
         wallet: {
           BTC: 0.02,  // 0.02 BTC
           ETH: 0.3    // 0.3 ETH
@@ -35,6 +44,7 @@ async function seedDatabase() {
       },
       {
         name: 'Charlie Whale',
+        username: 'charlie',
         wallet: {
           BTC: 0.1,   // 0.1 BTC
           ETH: 1.0    // 1.0 ETH
@@ -42,13 +52,26 @@ async function seedDatabase() {
       }
     ];
 
-    const players = await Player.insertMany(testPlayers);
+    // Players start empty, their balances are credited through the ledger
     logger.info('Created test players:');
-    
-    players.forEach(player => {
-      logger.info(`- ${player.name} (${player._id})`);
-      logger.info(`  BTC: ${player.wallet.BTC}, ETH: ${player.wallet.ETH}`);
-    });
+
+    for (const { name, username, wallet } of testPlayers) {
+      const player = new Player({ name, username, email: `${username}@example.com` });
+      await player.setPassword(SEED_PASSWORD);
+      await player.save();
+      // Only currencies enabled in the registry
+      const opening = Object.fromEntries(Object.entries(wallet).filter(([currency]) => isSupportedCurrency(currency)));
+      const { players } = await ledger.postOpening(player._id, opening);
+      const balances = players.get(player._id.toString()).getBalances();
+      logger.info(`- ${player.name} (${player._id}), login ${username} / ${SEED_PASSWORD}`);
+      logger.info(`  ${Object.entries(balances).map(([currency, amount]) => `${currency}: ${amount}`).join(', ')}`);
+    }
+
+    // Operator account for the admin API
+    const admin = new Player({ name: 'Admin', username: 'admin', email: 'admin@example.com', role: 'admin' });
+    await admin.setPassword(SEED_PASSWORD);
+    await admin.save();
+    logger.info(`- ${admin.name} (${admin._id}), login admin / ${SEED_PASSWORD}, admin API access`);
 
     logger.info('Database seeding completed successfully');
     process.exit(0);
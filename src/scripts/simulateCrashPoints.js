@@ -0,0 +1,94 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { deriveCrashPoint, generateClientSeed, generateSeed, getCrashPointConfig } from '../utils/crashPoint.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Simulate crash points and check the empirical distribution against the configured house edge.
+ *
+ * Usage:
+ *   node src/scripts/simulateCrashPoints.js --rounds 5000000
+ *
+ * For every cashout target t the expected return is P(crash >= t) * t = 1 - edge.
+ * A target fails when the empirical return is more than 4 standard errors away
+ * from that; the script exits with code 1 if any target or the instant-bust rate fails.
+ */
+const TARGETS = [1.01, 1.1, 1.5, 2, 3, 5, 10, 20, 50];
+const MAX_DEVIATIONS = 4;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function simulate() {
+  const args = parseArgs(process.argv.slice(2));
+  const rounds = parseInt(args.rounds) || 1000000;
+  const config = getCrashPointConfig();
+  const targets = TARGETS.filter(t => t <= config.maxMultiplier);
+
+  logger.info(`Simulating ${rounds} rounds`, config);
+
+  const serverSeed = generateSeed();
+  const clientSeed = generateClientSeed();
+  const survived = new Array(targets.length).fill(0);
+  let instantBusts = 0;
+  let capped = 0;
+  let sum = 0;
+
+  for (let nonce = 1; nonce <= rounds; nonce++) {
+    const { crashPoint, instantBust } = deriveCrashPoint(serverSeed, clientSeed, nonce, config);
+    sum += crashPoint;
+    if (instantBust) instantBusts++;
+    if (crashPoint >= config.maxMultiplier) capped++;
+    for (let i = 0; i < targets.length; i++) {
+      if (crashPoint >= targets[i]) survived[i]++;
+    }
+  }
+
+  let failures = 0;
+  const expectedRtp = 1 - config.houseEdge;
+
+  targets.forEach((target, i) => {
+    const p = survived[i] / rounds;
+    const rtp = p * target;
+    const expectedP = expectedRtp / target;
+    const stdError = target * Math.sqrt(expectedP * (1 - expectedP) / rounds);
+    const deviations = stdError > 0 ? Math.abs(rtp - expectedRtp) / stdError : 0;
+    const ok = deviations <= MAX_DEVIATIONS;
+    if (!ok) failures++;
+
+    logger[ok ? 'info' : 'error'](
+      `Target ${target}x: P(crash >= target) ${p.toFixed(6)} (expected ${expectedP.toFixed(6)}), ` +
+      `RTP ${(rtp * 100).toFixed(3)}% (expected ${(expectedRtp * 100).toFixed(3)}%, ${deviations.toFixed(2)} SE)`
+    );
+  });
+
+  const bustRate = instantBusts / rounds;
+  const bustStdError = Math.sqrt(config.houseEdge * (1 - config.houseEdge) / rounds);
+  const bustDeviations = bustStdError > 0 ? Math.abs(bustRate - config.houseEdge) / bustStdError : 0;
+  if (bustDeviations > MAX_DEVIATIONS) failures++;
+
+  logger[bustDeviations <= MAX_DEVIATIONS ? 'info' : 'error'](
+    `Instant busts: ${(bustRate * 100).toFixed(3)}% (expected ${(config.houseEdge * 100).toFixed(3)}%, ${bustDeviations.toFixed(2)} SE)`
+  );
+  logger.info(`Capped at ${config.maxMultiplier}x: ${(capped / rounds * 100).toFixed(4)}%, mean crash point ${(sum / rounds).toFixed(4)}x`);
+
+  if (failures > 0) {
+    logger.error(`${failures} distribution checks failed`);
+    process.exit(1);
+  }
+
+  logger.info('Crash point distribution matches the configured house edge');
+  process.exit(0);
+}
+
+// Run simulation
+simulate();
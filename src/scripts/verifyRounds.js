@@ -0,0 +1,175 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs';
+import mongoose from 'mongoose';
+import { initializeDatabase } from '../database/connection.js';
+import GameRound from '../models/GameRound.js';
+import SeedChain from '../models/SeedChain.js';
+import { verifyRound } from '../utils/crashPoint.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Verify completed rounds in bulk.
+ *
+ * Usage:
+ *   node src/scripts/verifyRounds.js --from 1 --to 500
+ *   node src/scripts/verifyRounds.js --from 1 --to 500 --export rounds.json
+ *   node src/scripts/verifyRounds.js --file rounds.json
+ *
+ * Exits with code 1 if any round fails verification.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function toPlainRound(round) {
+  return {
+    roundNumber: round.roundNumber,
+    crashPoint: round.crashPoint,
+    seed: round.seed,
+    seedHash: round.seedHash,
+    clientSeed: round.clientSeed,
+    nonce: round.nonce,
+    houseEdge: round.houseEdge,
+    maxMultiplier: round.maxMultiplier,
+    chain: round.chain ? round.chain.toString() : null,
+    chainIndex: round.chainIndex,
+    // The next round's client seed is combined from these
+    bets: round.bets.map(({ clientSeed, nonce }) => ({ clientSeed, nonce }))
+  };
+}
+
+/**
+ * Load completed rounds from the database, along with the terminal hash and public client seed
+ * of every chain they use
+ */
+async function loadFromDatabase(from, to) {
+  await initializeDatabase();
+
+  const query = { status: { $in: ['crashed', 'completed', 'voided'] } };
+  if (from || to) {
+    query.roundNumber = {};
+    if (from) query.roundNumber.$gte = parseInt(from);
+    if (to) query.roundNumber.$lte = parseInt(to);
+  }
+
+  const rounds = await GameRound.find(query)
+    .select('+seed')
+    .sort({ roundNumber: 1 });
+
+  const chainIds = [...new Set(rounds.filter(r => r.chain).map(r => r.chain.toString()))];
+  const chains = await SeedChain.find({ _id: { $in: chainIds } });
+
+  return {
+    rounds: rounds.map(toPlainRound),
+    terminalHashes: Object.fromEntries(chains.map(chain => [chain._id.toString(), chain.terminalHash])),
+    chainClientSeeds: Object.fromEntries(chains.map(chain => [chain._id.toString(), chain.clientSeed])),
+    // Rounds at the start of the range link to seeds and bets outside it
+    lookupPrevious: round => GameRound.getPreviousChainHash(round),
+    lookupSeedInputs: round => GameRound.getClientSeedInputs(round)
+  };
+}
+
+function loadFromFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const rounds = Array.isArray(data) ? data : data.rounds;
+  if (!Array.isArray(rounds)) {
+    throw new Error('Export file must contain an array of rounds');
+  }
+
+  return {
+    rounds: [...rounds].sort((a, b) => a.roundNumber - b.roundNumber),
+    terminalHashes: data.terminalHashes || {},
+    chainClientSeeds: data.chainClientSeeds || {},
+    lookupPrevious: async () => null,
+    lookupSeedInputs: async () => null
+  };
+}
+
+async function verifyRounds() {
+  const args = parseArgs(process.argv.slice(2));
+  let exitCode = 0;
+
+  try {
+    const { rounds, terminalHashes, chainClientSeeds, lookupPrevious, lookupSeedInputs } = args.file
+      ? loadFromFile(args.file)
+      : await loadFromDatabase(args.from, args.to);
+
+    logger.info(`Verifying ${rounds.length} rounds`);
+
+    if (args.export) {
+      fs.writeFileSync(args.export, JSON.stringify({ terminalHashes, chainClientSeeds, rounds }, null, 2));
+      logger.info(`Exported rounds to ${args.export}`);
+    }
+
+    // Seeds already seen, keyed by chain and index, and bets keyed by round number,
+    // so chain links and client seeds resolve without extra queries
+    const seenSeeds = new Map();
+    const seenBets = new Map([[0, []]]);
+    const mismatches = [];
+
+    for (const round of rounds) {
+      let previousHash = null;
+      if (round.chain && round.chainIndex) {
+        previousHash = round.chainIndex === 1
+          ? terminalHashes[round.chain]
+          : seenSeeds.get(`${round.chain}:${round.chainIndex - 1}`);
+        if (!previousHash) {
+          previousHash = await lookupPrevious(round);
+        }
+        seenSeeds.set(`${round.chain}:${round.chainIndex}`, round.seed);
+      }
+
+      let seedInputs = null;
+      const previousBets = seenBets.get(round.roundNumber - 1);
+      if (previousBets && chainClientSeeds[round.chain]) {
+        seedInputs = { previousBets, chainClientSeed: chainClientSeeds[round.chain] };
+      } else {
+        seedInputs = await lookupSeedInputs(round);
+      }
+      // Older exports have no bets
+      if (round.bets) seenBets.set(round.roundNumber, round.bets);
+
+      const result = verifyRound(round, previousHash, seedInputs);
+      if (!result.valid) {
+        mismatches.push(result);
+        logger.error(`Round ${round.roundNumber} failed verification`, {
+          checks: result.checks,
+          storedCrashPoint: result.storedCrashPoint,
+          calculatedCrashPoint: result.derivation.crashPoint
+        });
+      } else {
+        if (!previousHash) {
+          logger.warn(`Round ${round.roundNumber}: previous chain seed unavailable, chain link not checked`);
+        }
+        if (!seedInputs) {
+          logger.warn(`Round ${round.roundNumber}: previous round's bets unavailable, client seed not checked`);
+        }
+      }
+    }
+
+    logger.info(`Verified ${rounds.length} rounds: ${rounds.length - mismatches.length} valid, ${mismatches.length} mismatched`);
+    if (mismatches.length > 0) {
+      logger.error(`Mismatched rounds: ${mismatches.map(m => m.roundNumber).join(', ')}`);
+      exitCode = 1;
+    }
+
+  } catch (error) {
+    logger.error('Failed to verify rounds:', error);
+    exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+  process.exit(exitCode);
+}
+
+// Run verification
+verifyRounds();
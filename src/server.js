@@ -13,9 +13,17 @@ import { initializeDatabase } from './database/connection.js'
 import authRoutes from './routes/auth.js'
 import gameRoutes from './routes/game.js'
 import userRoutes from './routes/user.js'
+import adminRoutes from './routes/admin.js'
 import { GameEngine } from './services/GameEngine.js'
 import { SocketHandler } from './services/SocketHandler.js'
+import { AutoBetRunner } from './services/AutoBetRunner.js'
+import { ClusterBridge } from './services/ClusterBridge.js'
+import { GameCoordinator } from './services/GameCoordinator.js'
+import ledger from './services/Ledger.js'
+import payments from './services/Payments.js'
+import priceFetcher from './utils/priceFetcher.js'
 import { errorHandler } from './middleware/errorHandler.js'
+import { authenticateToken, requireAdmin } from './middleware/auth.js'
 
 const app = express()
 const server = createServer(app)
@@ -45,37 +53,113 @@ app.use(
 app.use(express.json())
 app.use(express.urlencoded({ extended: true }))
 
-// Health check
+// Health check, also tells which instance answered and whether it runs the game loop
 app.get('/health', (req, res) =>
-  res.json({ status: 'OK', timestamp: new Date().toISOString() })
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    instanceId: game.instanceId,
+    leader: game.isLeader
+  })
 )
 
+// Price oracle health: every enabled currency's price and age, and how each source is doing.
+// 503 while a price is stale, rounds opening then take no bets in its currency
+app.get('/health/prices', (req, res) => {
+  const status = priceFetcher.getStatus()
+  res.status(status.healthy ? 200 : 503).json(status)
+})
+
 // API routes
 app.use('/api/auth', authRoutes)
-app.use('/api/game', gameRoutes)
-app.use('/api/user', userRoutes)
+app.use('/api/game', authenticateToken, gameRoutes)
+app.use('/api/user', authenticateToken, userRoutes)
+app.use('/api/admin', authenticateToken, requireAdmin, adminRoutes)
 
 // Error handler (last)
 app.use(errorHandler)
 
-// Initialize everything
-const gameEngine = new GameEngine(io)
-const socketHandler = new SocketHandler(io, gameEngine)
+// Initialize everything. The engine broadcasts through the cluster bridge so
+// clients connected to any instance get its events
+const cluster = new ClusterBridge(io)
+const gameEngine = new GameEngine(cluster.emitter)
+const autoBetRunner = new AutoBetRunner(gameEngine)
+const game = new GameCoordinator(gameEngine, autoBetRunner, cluster)
+const socketHandler = new SocketHandler(io, game, autoBetRunner, cluster.emitter)
+
+// Make the game and socket handler available to routes
+app.locals.game = game
+app.locals.socketHandler = socketHandler
+
+// Periodically recompute wallets from the ledger and flag drift, 0 disables
+const reconcileInterval = parseInt(process.env.LEDGER_RECONCILE_INTERVAL_MS ?? '3600000')
+let reconcileTimer = null
+
+async function reconcileWallets() {
+  // One report per cluster is enough
+  if (!game.isLeader) return
+
+  try {
+    const report = await ledger.reconcile()
+    if (report.drift.length > 0 || report.unbalancedJournals.length > 0) {
+      logger.error('Ledger reconciliation found drift', {
+        drift: report.drift,
+        unbalancedJournals: report.unbalancedJournals
+      })
+    } else {
+      logger.info(`Ledger reconciliation passed for ${report.checkedPlayers} players`)
+    }
+    if (report.skipped.length > 0) {
+      logger.warn('Ledger reconciliation skipped balances in disabled currencies', { skipped: report.skipped })
+    }
+  } catch (err) {
+    logger.error('Ledger reconciliation failed:', err)
+  }
+}
 
-// Make game engine available to routes
-app.locals.gameEngine = gameEngine
+// Poll the payment gateway for deposits and withdrawal confirmations, 0 disables
+const paymentSyncInterval = parseInt(process.env.PAYMENT_SYNC_INTERVAL_MS ?? '30000')
+let paymentSyncTimer = null
+
+async function syncPayments() {
+  // The leader syncs for the whole cluster, payments runs one sync at a time
+  if (!game.isLeader) return
+
+  try {
+    await payments.sync()
+  } catch (err) {
+    logger.error('Payment sync failed:', err)
+  }
+}
+
+// Deposits and withdrawals change balances outside the game
+payments.on('wallet_changed', (player) => socketHandler.pushWalletUpdate(player))
 
 async function startServer() {
   try {
+    // Refuses to start without a payment gateway, or with the mock one in production
+    payments.getGateway()
+
     await initializeDatabase()
     logger.info('Database initialized successfully')
 
-    gameEngine.start()
-    logger.info('Game engine started')
+    // Runs the game loop here, or on whichever instance wins the leader election
+    await game.start()
+    logger.info('Game started')
 
     socketHandler.initialize()
     logger.info('Socket handlers initialized')
 
+    // Every instance keeps its own prices fresh
+    priceFetcher.start()
+
+    if (reconcileInterval > 0) {
+      reconcileTimer = setInterval(reconcileWallets, reconcileInterval)
+    }
+    if (paymentSyncInterval > 0) {
+      paymentSyncTimer = setInterval(syncPayments, paymentSyncInterval)
+    }
+
     const PORT = process.env.PORT || 3000
     server.listen(PORT, () =>
       logger.info(`Server running on port ${PORT}`)
@@ -87,9 +171,13 @@ async function startServer() {
 }
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down')
-  gameEngine.stop()
+  await socketHandler.stop()
+  clearInterval(reconcileTimer)
+  clearInterval(paymentSyncTimer)
+  priceFetcher.stop()
+  await game.stop()
   server.close(() => {
     logger.info('Server closed')
     process.exit(0)
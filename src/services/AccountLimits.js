@@ -0,0 +1,167 @@
+import Player, { LIMIT_NAMES } from '../models/Player.js';
+import Transaction from '../models/Transaction.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rolling window of each limit period
+const PERIODS = {
+  Daily: DAY_MS,
+  Weekly: 7 * DAY_MS
+};
+
+/**
+ * Responsible gaming limits: players cap their own deposits, losses, wagers and session time.
+ * Usage is worked out from the player's transaction history over a rolling day or week.
+ */
+class AccountLimits {
+  constructor() {
+    this.names = LIMIT_NAMES;
+  }
+
+  /**
+   * How long raising or removing a limit waits before it applies
+   */
+  getCooldownMs() {
+    const hours = parseFloat(process.env.LIMIT_INCREASE_COOLDOWN_HOURS);
+    return (hours >= 0 ? hours : 24) * 60 * 60 * 1000;
+  }
+
+  /**
+   * USD a player deposited, wagered and lost over the last day and week.
+   * Refunded bets don't count, bets still in play count as lost until they are cashed out.
+   * @param {ClientSession} [session] - Transaction session, to count what the transaction already sees
+   * @returns {Promise<Object>} { Daily: { deposited, wagered, lost }, Weekly: {...} }
+   */
+  async getUsage(playerId, now = new Date(), session) {
+    const usage = {};
+    for (const [period, windowMs] of Object.entries(PERIODS)) {
+      const totals = await Transaction.getTotalsSince(playerId, new Date(now.getTime() - windowMs), session);
+      const bets = (totals.bet || 0) - (totals.refund || 0);
+      usage[period] = {
+        deposited: totals.deposit || 0,
+        wagered: bets,
+        lost: Math.max(0, bets - (totals.cashout || 0))
+      };
+    }
+    return usage;
+  }
+
+  /**
+   * Apply limit changes whose cooldown is over and save them
+   */
+  async refresh(player, session) {
+    if (player.applyDueLimitChanges()) {
+      await Player.updateOne(
+        { _id: player._id },
+        { $set: { limits: player.limits, pendingLimits: player.pendingLimits } },
+        { session }
+      );
+    }
+    return player;
+  }
+
+  /**
+   * Minutes left in the player's session, null without a session limit
+   */
+  getSessionMinutesLeft(player, now = new Date()) {
+    const limit = player.limits && player.limits.sessionMinutes;
+    if (!limit || !player.sessionStartedAt) return null;
+    return limit - (now - player.sessionStartedAt) / 60000;
+  }
+
+  isSessionOver(player, now = new Date()) {
+    const left = this.getSessionMinutesLeft(player, now);
+    return left !== null && left <= 0;
+  }
+
+  /**
+   * Refuse a bet that would break one of the player's limits.
+   * Run it in the bet's transaction after a write to the player document, so concurrent
+   * bets of the player conflict and each one counts the bets committed before it.
+   * @param {Player} player - Player with limits, pendingLimits and sessionStartedAt loaded
+   * @param {number} usdAmount - Stake in USD, counted as wagered and as a potential loss
+   * @param {ClientSession} [session] - Transaction session of the bet
+   * @throws {Error} Naming the limit that would be exceeded
+   */
+  async checkBet(player, usdAmount, session) {
+    await this.refresh(player, session);
+
+    if (this.isSessionOver(player)) {
+      throw new Error('Session time limit reached, log in again after a break');
+    }
+
+    const usage = await this.getUsage(player._id, new Date(), session);
+    for (const period of Object.keys(PERIODS)) {
+      const wagerLimit = player.limits[`wager${period}`];
+      if (wagerLimit !== undefined && wagerLimit !== null && usage[period].wagered + usdAmount > wagerLimit) {
+        throw new Error(`${period} wager limit of $${wagerLimit} reached ($${usage[period].wagered.toFixed(2)} wagered)`);
+      }
+
+      const lossLimit = player.limits[`loss${period}`];
+      if (lossLimit !== undefined && lossLimit !== null && usage[period].lost + usdAmount > lossLimit) {
+        throw new Error(`${period} loss limit of $${lossLimit} reached ($${usage[period].lost.toFixed(2)} lost)`);
+      }
+    }
+  }
+
+  /**
+   * Refuse a deposit that would break the player's deposit limits
+   * @throws {Error} Naming the limit that would be exceeded
+   */
+  async checkDeposit(player, usdAmount) {
+    await this.refresh(player);
+
+    const usage = await this.getUsage(player._id);
+    for (const period of Object.keys(PERIODS)) {
+      const limit = player.limits[`deposit${period}`];
+      if (limit !== undefined && limit !== null && usage[period].deposited + usdAmount > limit) {
+        throw new Error(`${period} deposit limit of $${limit} reached ($${usage[period].deposited.toFixed(2)} deposited)`);
+      }
+    }
+  }
+
+  /**
+   * Change a player's limits. Lowering or adding a limit applies now, raising or removing one after the cooldown.
+   * @param {Player} player - Player to change
+   * @param {Object} changes - Limit name to new value, null removes the limit
+   * @returns {Promise<Array>} What happened to each change
+   */
+  async setLimits(player, changes) {
+    player.applyDueLimitChanges();
+
+    const cooldownMs = this.getCooldownMs();
+    const results = Object.entries(changes).map(([name, value]) =>
+      player.requestLimitChange(name, value, cooldownMs)
+    );
+
+    await Player.updateOne(
+      { _id: player._id },
+      { $set: { limits: player.limits, pendingLimits: player.pendingLimits } }
+    );
+    logger.info(`Player ${player._id} changed limits`, changes);
+
+    return results;
+  }
+
+  /**
+   * Limits in effect, changes waiting out their cooldown and current usage
+   */
+  async getView(player) {
+    await this.refresh(player);
+    const limits = player.limits ? player.limits.toObject() : {};
+
+    return {
+      limits: Object.fromEntries(this.names.map(name => [name, limits[name] ?? null])),
+      pending: player.pendingLimits.map(({ name, value, effectiveAt }) => ({ name, value: value ?? null, effectiveAt })),
+      usage: await this.getUsage(player._id),
+      sessionStartedAt: player.sessionStartedAt || null,
+      sessionMinutesLeft: this.getSessionMinutesLeft(player),
+      cooldownHours: this.getCooldownMs() / 3600000
+    };
+  }
+}
+
+// Export singleton instance
+const accountLimits = new AccountLimits();
+export default accountLimits;
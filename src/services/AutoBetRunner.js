@@ -0,0 +1,253 @@
+import { EventEmitter } from 'events';
+import AutoBetPlan from '../models/AutoBetPlan.js';
+import Player from '../models/Player.js';
+import GameRound from '../models/GameRound.js';
+import { PriceError } from '../utils/priceFetcher.js';
+import logger from '../utils/logger.js';
+
+// Bet failures the plan's next round can get past: betting closed before the plan's turn came or the player
+// bet by hand, no fresh price, the round's liability cap, or a transaction that lost a race.
+// Anything else, such as a low balance, a limit or a blocked account, keeps failing and stops the plan
+function isTransient(error) {
+  return error instanceof PriceError ||
+    ['BETTING_CLOSED', 'ROUND_LIABILITY_EXCEEDED'].includes(error.code) ||
+    Boolean(error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError'));
+}
+
+/**
+ * Runs players' auto-bet plans on top of the game engine.
+ * Plans live in the database and are re-read every round, so they survive a restart.
+ *
+ * Emits 'progress' with (playerId, progress) after every change to a plan.
+ */
+export class AutoBetRunner extends EventEmitter {
+  constructor(gameEngine) {
+    super();
+    this.gameEngine = gameEngine;
+    this.onBettingOpen = (round) => this.placeBets(round);
+    this.onRoundCrashed = (round) => this.settleRound(round);
+    this.onRoundVoided = (round) => this.releaseRound(round);
+  }
+
+  /**
+   * Catch up on rounds that finished while the runner wasn't listening, then listen to the game engine
+   */
+  async start() {
+    await this.recoverPlans();
+
+    this.gameEngine.on('betting_open', this.onBettingOpen);
+    this.gameEngine.on('round_crashed', this.onRoundCrashed);
+    this.gameEngine.on('round_voided', this.onRoundVoided);
+    logger.info('Auto-bet runner started');
+  }
+
+  /**
+   * Stop listening to the game engine
+   */
+  stop() {
+    this.gameEngine.off('betting_open', this.onBettingOpen);
+    this.gameEngine.off('round_crashed', this.onRoundCrashed);
+    this.gameEngine.off('round_voided', this.onRoundVoided);
+  }
+
+  /**
+   * Settle or release plans whose pending round was settled or voided before a restart.
+   * Plans pending on rounds that are still unfinished are left to the engine's recovery.
+   */
+  async recoverPlans() {
+    try {
+      const roundIds = await AutoBetPlan.distinct('pendingRound', { pendingRound: { $ne: null } });
+      if (roundIds.length === 0) return;
+
+      const rounds = await GameRound.find({ _id: { $in: roundIds } });
+      const found = new Set(rounds.map(round => round._id.toString()));
+
+      for (const round of rounds) {
+        if (round.status === 'voided') {
+          await this.releaseRound(round);
+        } else if (round.isSettled()) {
+          await this.settleRound(round);
+        }
+      }
+
+      // Rounds that no longer exist can't be settled
+      const missing = roundIds.filter(id => !found.has(id.toString()));
+      if (missing.length > 0) {
+        await AutoBetPlan.updateMany(
+          { pendingRound: { $in: missing } },
+          { $unset: { pendingRound: 1, pendingBet: 1 } }
+        );
+      }
+
+    } catch (error) {
+      logger.error('Failed to recover auto-bet plans:', error);
+    }
+  }
+
+  /**
+   * Register a new plan for a player
+   */
+  async startPlan(playerId, config) {
+    const player = await Player.findById(playerId).select('status selfExcludedUntil');
+    if (!player) {
+      throw new Error('Player not found');
+    }
+    if (!player.canPlay()) {
+      throw new Error(player.getBlockReason());
+    }
+
+    const plan = new AutoBetPlan({
+      player: playerId,
+      baseBet: config.baseBet,
+      currency: config.currency,
+      targetMultiplier: config.targetMultiplier,
+      onWin: config.onWin,
+      onLoss: config.onLoss,
+      maxRounds: config.maxRounds,
+      stopLoss: config.stopLoss,
+      takeProfit: config.takeProfit,
+      currentBet: config.baseBet
+    });
+
+    if (plan.targetMultiplier > this.gameEngine.crashPointConfig.maxMultiplier) {
+      throw new Error(`Target multiplier cannot exceed ${this.gameEngine.crashPointConfig.maxMultiplier}x`);
+    }
+
+    try {
+      await plan.save();
+    } catch (error) {
+      // The unique index on active plans
+      if (error.code === 11000) {
+        throw new Error('An auto-bet plan is already running');
+      }
+      throw error;
+    }
+    logger.info(`Player ${playerId} started auto-bet plan ${plan._id}`);
+
+    this.emitProgress(plan);
+    return plan;
+  }
+
+  /**
+   * Stop a player's running plan. A bet already placed still plays out.
+   */
+  async stopPlan(playerId, reason = 'Stopped by player') {
+    const plan = await AutoBetPlan.findOne({ player: playerId, status: 'active' });
+    if (!plan) {
+      throw new Error('No auto-bet plan is running');
+    }
+
+    plan.stop(reason);
+    await plan.save();
+    logger.info(`Auto-bet plan ${plan._id} stopped: ${reason}`);
+
+    this.emitProgress(plan);
+    return plan;
+  }
+
+  /**
+   * Get a player's most recent plan
+   */
+  async getPlan(playerId) {
+    return AutoBetPlan.findOne({ player: playerId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Place the next bet of every active plan when a round opens for betting
+   */
+  async placeBets(round) {
+    try {
+      const plans = await AutoBetPlan.find({ status: 'active', pendingRound: null });
+
+      // One at a time to avoid a burst of transactions at the start of every betting phase
+      for (const found of plans) {
+        // The plan records the round before the bet is placed: if the process dies in between,
+        // settling the round finds no bet and releases the plan, while a placed bet is never lost
+        const plan = await AutoBetPlan.claimRound(found._id, round._id, found.currentBet);
+        if (!plan) continue;
+
+        try {
+          await this.gameEngine.placeBet(plan.player, plan.currentBet, plan.currency, plan.targetMultiplier);
+        } catch (error) {
+          // Release the round either way, a plan that keeps running bets again next round
+          plan.pendingRound = undefined;
+          plan.pendingBet = undefined;
+          if (isTransient(error)) {
+            logger.info(`Auto-bet plan ${plan._id} skips round ${round.roundNumber}: ${error.message}`);
+          } else {
+            logger.warn(`Auto-bet plan ${plan._id} could not bet: ${error.message}`);
+            plan.stop(`Bet failed: ${error.message}`);
+          }
+          await plan.save();
+        }
+
+        this.emitProgress(plan);
+      }
+
+    } catch (error) {
+      logger.error('Failed to place auto bets:', error);
+    }
+  }
+
+  /**
+   * Record the outcome of every plan bet in a crashed round and stop plans that hit a limit
+   */
+  async settleRound(round) {
+    try {
+      const plans = await AutoBetPlan.find({ pendingRound: round._id });
+
+      for (const plan of plans) {
+        // Claimed the round but the bet never went through
+        const bet = round.bets.find(b => b.player.toString() === plan.player.toString());
+        if (!bet) {
+          logger.warn(`Auto-bet plan ${plan._id} has no bet in round ${round.roundNumber}, releasing it`);
+          plan.pendingRound = undefined;
+          plan.pendingBet = undefined;
+          await plan.save();
+          this.emitProgress(plan);
+          continue;
+        }
+
+        const cashout = round.cashouts.find(
+          c => c.player.toString() === plan.player.toString()
+        );
+        plan.recordResult(Boolean(cashout), cashout ? cashout.payout : 0);
+
+        const limitReached = plan.status === 'active' && plan.getLimitReached();
+        if (limitReached) {
+          plan.stop(limitReached, 'completed');
+          logger.info(`Auto-bet plan ${plan._id} finished: ${limitReached}`);
+        }
+
+        await plan.save();
+        this.emitProgress(plan);
+      }
+
+    } catch (error) {
+      logger.error('Failed to settle auto bets:', error);
+    }
+  }
+
+  /**
+   * Forget the pending bet of every plan in a voided round, the stake was refunded
+   */
+  async releaseRound(round) {
+    try {
+      const plans = await AutoBetPlan.find({ pendingRound: round._id });
+
+      for (const plan of plans) {
+        plan.pendingRound = undefined;
+        plan.pendingBet = undefined;
+        await plan.save();
+        this.emitProgress(plan);
+      }
+
+    } catch (error) {
+      logger.error('Failed to release auto bets:', error);
+    }
+  }
+
+  emitProgress(plan) {
+    this.emit('progress', plan.player.toString(), plan.toProgress());
+  }
+}
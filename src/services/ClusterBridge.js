@@ -0,0 +1,225 @@
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import ClusterMessage from '../models/ClusterMessage.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Connects the server instances of a cluster through a capped MongoDB collection that every instance tails.
+ *
+ * - emitter: drop-in for the Socket.IO server's emit() and to(room).emit(). Events go to this instance's
+ *   clients and are relayed to every other instance, which emits them to its own clients.
+ * - request(): run an action on the leader and wait for its result.
+ *
+ * When clustering is disabled the emitter only reaches local clients and nothing is published.
+ */
+export class ClusterBridge {
+  constructor(io) {
+    this.io = io;
+    this.enabled = process.env.CLUSTER_ENABLED === 'true';
+    this.instanceId = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.requestTimeout = parseInt(process.env.CLUSTER_REQUEST_TIMEOUT_MS) || 5000; // 5 seconds
+    this.requestHandler = null;
+    this.pendingRequests = new Map();
+    this.cursor = null;
+    this.lastMessageId = null;
+    this.running = false;
+    // Publish one message at a time so they land on the bus in the order they were sent
+    this.publishQueue = Promise.resolve();
+
+    this.emitter = {
+      emit: (event, data) => this.relay(null, event, data),
+      to: (room) => ({
+        emit: (event, data) => this.relay(room, event, data)
+      })
+    };
+  }
+
+  /**
+   * Start tailing the bus from now on
+   */
+  async start() {
+    if (!this.enabled || this.running) return;
+    this.running = true;
+
+    // A tailable cursor needs a document to start from, our own hello marks where we joined
+    const hello = await ClusterMessage.create({ from: this.instanceId, type: 'hello' });
+    this.lastMessageId = hello._id;
+    this.tail();
+
+    logger.info(`Cluster bridge started as instance ${this.instanceId}`);
+  }
+
+  /**
+   * Stop tailing and fail requests still waiting for a reply
+   */
+  async stop() {
+    this.running = false;
+    if (this.cursor) {
+      await this.cursor.close().catch(() => {});
+      this.cursor = null;
+    }
+
+    for (const pending of this.pendingRequests.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Server is shutting down'));
+    }
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Set the function that runs requests sent to the leader.
+   * It receives (action, args) and returns a promise of the result, or null when this instance won't handle it.
+   */
+  onRequest(handler) {
+    this.requestHandler = handler;
+  }
+
+  /**
+   * Follow the bus, reopening the cursor if it dies.
+   * Messages are read in natural order, the order the server inserted them. ObjectIds don't sort that way:
+   * they are made by each publisher from its own clock, so filtering on them could skip another instance's
+   * messages. A reopened cursor reads from the start of the collection and skips up to the last message handled.
+   */
+  async tail() {
+    while (this.running) {
+      try {
+        await this.ensureResumable();
+        this.cursor = ClusterMessage.find()
+          .tailable(true, { awaitData: true })
+          .lean()
+          .cursor();
+
+        let caughtUp = false;
+        for await (const message of this.cursor) {
+          if (!caughtUp) {
+            caughtUp = message._id.equals(this.lastMessageId);
+            continue;
+          }
+          this.lastMessageId = message._id;
+          this.handleMessage(message);
+        }
+
+      } catch (error) {
+        if (this.running) {
+          logger.error('Cluster bus cursor failed:', error);
+        }
+      }
+
+      if (this.running) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  /**
+   * The last message handled has to be in the collection to resume after it. If the capped collection
+   * already dropped it, whatever came in between is lost: say so and carry on from the newest message.
+   */
+  async ensureResumable() {
+    if (await ClusterMessage.exists({ _id: this.lastMessageId })) return;
+
+    const newest = await ClusterMessage.findOne().sort({ $natural: -1 }).select('_id').lean();
+    if (!newest) {
+      const hello = await ClusterMessage.create({ from: this.instanceId, type: 'hello' });
+      this.lastMessageId = hello._id;
+      return;
+    }
+    logger.error('Cluster bus messages were dropped before this instance read them, resuming from the newest one');
+    this.lastMessageId = newest._id;
+  }
+
+  handleMessage(message) {
+    if (message.from === this.instanceId) return;
+    if (message.to && message.to !== this.instanceId) return;
+
+    switch (message.type) {
+      case 'broadcast': {
+        const data = message.payload === undefined ? undefined : JSON.parse(message.payload);
+        (message.room ? this.io.to(message.room) : this.io).emit(message.event, data);
+        break;
+      }
+      case 'request':
+        this.handleRequest(message);
+        break;
+      case 'reply':
+        this.handleReply(message);
+        break;
+      case 'hello':
+        logger.info(`Instance ${message.from} joined the cluster`);
+        break;
+    }
+  }
+
+  /**
+   * Run a request if this instance takes it and send the result back to the instance that asked
+   */
+  async handleRequest(message) {
+    const args = JSON.parse(message.payload);
+    const result = this.requestHandler && this.requestHandler(message.action, args);
+    if (!result) return;
+
+    const reply = { to: message.from, type: 'reply', requestId: message.requestId };
+    try {
+      reply.payload = JSON.stringify(await result);
+    } catch (error) {
+      reply.error = error.message;
+      if (typeof error.code === 'string') reply.errorCode = error.code;
+    }
+    this.publish(reply);
+  }
+
+  handleReply(message) {
+    const pending = this.pendingRequests.get(message.requestId);
+    if (!pending) return;
+
+    this.pendingRequests.delete(message.requestId);
+    clearTimeout(pending.timer);
+    if (message.error) {
+      const error = new Error(message.error);
+      if (message.errorCode) error.code = message.errorCode;
+      pending.reject(error);
+    } else {
+      pending.resolve(message.payload === undefined ? undefined : JSON.parse(message.payload));
+    }
+  }
+
+  /**
+   * Ask the leader to run an action
+   * @param {string} action - Action name the leader's request handler knows
+   * @param {Array} args - JSON serializable arguments
+   * @returns {Promise<*>} The action's result, rejected with its error message and code
+   */
+  request(action, args) {
+    if (!this.running) {
+      return Promise.reject(new Error('Game server unavailable'));
+    }
+
+    const requestId = uuidv4();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error('Game server did not respond, try again'));
+      }, this.requestTimeout);
+      this.pendingRequests.set(requestId, { resolve, reject, timer });
+
+      this.publish({ type: 'request', requestId, action, payload: JSON.stringify(args) });
+    });
+  }
+
+  /**
+   * Emit an event to this instance's clients and relay it to the rest of the cluster
+   */
+  relay(room, event, data) {
+    (room ? this.io.to(room) : this.io).emit(event, data);
+
+    if (this.running) {
+      this.publish({ type: 'broadcast', room, event, payload: JSON.stringify(data) });
+    }
+  }
+
+  publish(message) {
+    this.publishQueue = this.publishQueue
+      .then(() => ClusterMessage.create({ ...message, from: this.instanceId }))
+      .catch(error => logger.error(`Failed to publish cluster ${message.type} message:`, error));
+  }
+}
@@ -0,0 +1,160 @@
+import { EventEmitter } from 'events';
+import { LeaderElection } from './LeaderElection.js';
+import GameSettings from '../models/GameSettings.js';
+import logger from '../utils/logger.js';
+
+// Engine calls a follower forwards to the leader
+const FORWARDED_ACTIONS = [
+  'placeBet', 'cashOut', 'getSnapshot', 'getCurrentState',
+  'start', 'stop', 'pauseAfterRound', 'voidCurrentRound', 'applySettings', 'getControlState'
+];
+
+/**
+ * Front door to the game for routes and sockets, on every instance of a cluster.
+ * Only the elected leader runs the game engine and the auto-bet runner;
+ * on other instances bets, cashouts and state requests are forwarded to the leader over the cluster bridge.
+ * Without clustering this instance is always the leader.
+ *
+ * Re-emits the engine's 'wallet_changed' events.
+ */
+export class GameCoordinator extends EventEmitter {
+  constructor(gameEngine, autoBetRunner, bridge) {
+    super();
+    this.gameEngine = gameEngine;
+    this.autoBetRunner = autoBetRunner;
+    this.bridge = bridge;
+    this.election = bridge.enabled ? new LeaderElection(bridge.instanceId) : null;
+    // Serializes taking over and handing off the game loop
+    this.transition = Promise.resolve();
+
+    this.gameEngine.on('wallet_changed', (player) => this.emit('wallet_changed', player));
+  }
+
+  get isLeader() {
+    return this.election ? this.election.isLeader : true;
+  }
+
+  get instanceId() {
+    return this.bridge.instanceId;
+  }
+
+  /**
+   * Join the cluster and start campaigning for leadership, or start the game right away without clustering
+   */
+  async start() {
+    if (!this.election) {
+      await this.lead();
+      return;
+    }
+
+    this.bridge.onRequest((action, args) => {
+      if (!this.election.isLeader || !FORWARDED_ACTIONS.includes(action)) return null;
+      return this.gameEngine[action](...args);
+    });
+    await this.bridge.start();
+
+    this.election.on('elected', () => {
+      this.transition = this.transition.then(() => this.lead());
+    });
+    this.election.on('demoted', () => {
+      this.transition = this.transition.then(() => this.resign());
+    });
+    await this.election.start();
+  }
+
+  /**
+   * Stop the game loop and leave the cluster, handing leadership over right away
+   */
+  async stop() {
+    if (this.election) {
+      await this.election.stop();
+      await this.transition;
+    } else {
+      await this.resign('Server shutting down');
+    }
+    await this.bridge.stop();
+  }
+
+  /**
+   * Take over the game loop
+   */
+  async lead() {
+    try {
+      await this.autoBetRunner.start();
+
+      // An admin stopped the game, it stays stopped until an admin starts it
+      const settings = await GameSettings.load();
+      if (settings && settings.stopped) {
+        logger.info(`Instance ${this.instanceId} is leader, the game is stopped by an admin`);
+        return;
+      }
+
+      await this.gameEngine.start();
+      logger.info(`Instance ${this.instanceId} is running the game loop`);
+
+    } catch (error) {
+      logger.error('Failed to start the game loop:', error);
+    }
+  }
+
+  /**
+   * Hand the game loop off, ending or voiding the round in progress
+   */
+  async resign(reason = 'Leadership moved to another server') {
+    await this.gameEngine.stop(reason);
+    this.autoBetRunner.stop();
+    logger.info(`Instance ${this.instanceId} stopped running the game loop`);
+  }
+
+  /**
+   * Run an engine call here when leading, otherwise on the leader
+   */
+  async call(action, ...args) {
+    if (this.isLeader) {
+      return this.gameEngine[action](...args);
+    }
+    return this.bridge.request(action, args);
+  }
+
+  placeBet(playerId, usdAmount, currency, autoCashout) {
+    return this.call('placeBet', playerId.toString(), usdAmount, currency, autoCashout);
+  }
+
+  cashOut(playerId, requestedAt = Date.now()) {
+    return this.call('cashOut', playerId.toString(), requestedAt);
+  }
+
+  getSnapshot(playerId) {
+    return this.call('getSnapshot', playerId && playerId.toString());
+  }
+
+  getCurrentState() {
+    return this.call('getCurrentState');
+  }
+
+  // Admin controls, see routes/admin.js
+
+  startEngine() {
+    return this.call('start');
+  }
+
+  stopEngine(reason) {
+    return this.call('stop', reason);
+  }
+
+  pauseEngine() {
+    return this.call('pauseAfterRound');
+  }
+
+  voidCurrentRound(reason) {
+    return this.call('voidCurrentRound', reason);
+  }
+
+  applySettings(settings) {
+    return this.call('applySettings', settings);
+  }
+
+  getControlState() {
+    return this.call('getControlState');
+  }
+}
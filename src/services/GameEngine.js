@@ -1,25 +1,74 @@
-import { generateCrashPoint, generateSeed } from '../utils/crashPoint.js';
+import { EventEmitter } from 'events';
+import { generateCrashPoint, combineClientSeeds, getCrashPointConfig, sha256 } from '../utils/crashPoint.js';
 import GameRound from '../models/GameRound.js';
+import SeedChain from '../models/SeedChain.js';
 import Player from '../models/Player.js';
 import Transaction from '../models/Transaction.js';
-import priceFetcher from '../utils/priceFetcher.js';
+import GameSettings from '../models/GameSettings.js';
+import ledger from './Ledger.js';
+import accountLimits from './AccountLimits.js';
+import { RiskManager } from './RiskManager.js';
+import { withTransaction } from '../database/connection.js';
+import priceFetcher, { PriceError } from '../utils/priceFetcher.js';
+import { getCurrencySymbols, isSupportedCurrency, unsupportedCurrencyMessage } from '../utils/currencies.js';
+import { formatAmount, fromUnits, multiplyUnits, toUnits, unitsToUsd, usdToUnits } from '../utils/money.js';
+import { getGrowthRate, multiplierAt, elapsedForMultiplier } from '../utils/multiplier.js';
+import { playerRoom, getFeedPrivacy, toFeedPlayer } from '../utils/broadcast.js';
 import logger from '../utils/logger.js';
 
-export class GameEngine {
+/**
+ * A bet the current round won't take: betting closed or the player already has a bet in it.
+ * code is BETTING_CLOSED, the bet can go into the next round.
+ */
+export class BettingClosedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BettingClosedError';
+    this.code = 'BETTING_CLOSED';
+  }
+}
+
+/**
+ * Runs the round loop. Broadcasts go through io, the Socket.IO server or anything with the same
+ * emit() and to(room).emit(), such as the cluster bridge's emitter. Besides broadcasting it emits
+ * 'betting_open', 'round_crashed' and 'round_voided' with the round document for in-process listeners,
+ * and 'wallet_changed' with the updated player after every balance change it makes.
+ */
+export class GameEngine extends EventEmitter {
   constructor(io) {
+    super();
     this.io = io;
     this.currentRound = null;
     this.roundNumber = 0;
     this.isRunning = false;
     this.gameTimer = null;
     this.multiplierTimer = null;
+    this.countdownTimer = null;
     this.currentMultiplier = 1.0;
+    this.crashTime = null;
+    this.pendingCashouts = new Set();
+    this.autoCashoutQueue = Promise.resolve();
+    this.endingRound = null;
+    this.pauseRequested = false;
+    this.sequence = 0;
     
     // Game configuration
-    this.roundDuration = parseInt(process.env.GAME_ROUND_DURATION_MS) || 10000; // 10 seconds
     this.multiplierTick = parseInt(process.env.MULTIPLIER_TICK_MS) || 100; // 100ms
-    this.multiplierIncrement = 0.01;
-    this.bettingWindow = 5000; // 5 seconds for betting after round starts
+    this.multiplierBroadcastInterval = parseInt(process.env.MULTIPLIER_BROADCAST_MS) || 1000; // 1 second
+    this.growthRate = getGrowthRate();
+    this.bettingPhaseDuration = parseInt(process.env.BETTING_PHASE_MS) || 5000; // 5 seconds of betting before the multiplier starts
+    this.crashedPhaseDuration = parseInt(process.env.CRASHED_PHASE_MS) || 3000; // 3 second break after a crash
+    this.countdownInterval = parseInt(process.env.BETTING_COUNTDOWN_MS) || 1000; // 1 second
+    this.seedChainLength = parseInt(process.env.SEED_CHAIN_LENGTH) || 10000;
+    this.seedChain = null;
+    this.crashPointConfig = getCrashPointConfig();
+    // Bet, payout and round liability limits
+    this.risk = new RiskManager();
+    // { round, value } bankroll cached for the bets of one round
+    this.roundBankroll = null;
+    this.feedPrivacy = getFeedPrivacy();
+    // What to do with a round left unfinished by a crash: 'void' refunds it, 'resume' plays it out
+    this.recoveryPolicy = process.env.ROUND_RECOVERY_POLICY === 'resume' ? 'resume' : 'void';
   }
 
   /**
@@ -27,13 +76,33 @@ export class GameEngine {
    */
   async start() {
     if (this.isRunning) {
+      // Starting a pausing engine keeps it going
+      if (this.pauseRequested) {
+        this.pauseRequested = false;
+        logger.info('Game engine pause cancelled');
+        this.broadcastStatus();
+        return;
+      }
       logger.warn('Game engine is already running');
       return;
     }
 
     this.isRunning = true;
+    this.pauseRequested = false;
     logger.info('Starting game engine...');
-    
+
+    // Another instance may have led in the meantime, don't reuse its cached round or chain position
+    this.currentRound = null;
+    this.seedChain = null;
+
+    // Pick up settings changed through the admin API
+    try {
+      const settings = await GameSettings.load();
+      if (settings) this.applySettings(settings);
+    } catch (error) {
+      logger.error('Failed to load game settings:', error);
+    }
+
     // Get the latest round number from database
     try {
       const latestRound = await GameRound.findOne().sort({ roundNumber: -1 });
@@ -44,19 +113,224 @@ export class GameEngine {
       this.roundNumber = 0;
     }
 
+    // Finish rounds a previous process left behind, a resumed round starts the loop itself
+    let resumed = false;
+    try {
+      resumed = await this.recoverRounds();
+    } catch (error) {
+      logger.error('Failed to recover unfinished rounds:', error);
+    }
+
+    this.broadcastStatus();
+
     // Start first round immediately
-    this.startNewRound();
+    if (!resumed) {
+      this.startNewRound();
+    }
   }
 
   /**
-   * Stop the game engine
+   * Find rounds left waiting, active or unsettled by a crashed process and finish them.
+   * Crashed rounds are always settled. Rounds that never crashed are voided and refunded,
+   * or with the 'resume' policy the latest one is taken over and played out.
+   * @returns {Promise<boolean>} Whether a round was resumed and is now the current round
    */
-  stop() {
-    if (!this.isRunning) return;
+  async recoverRounds() {
+    const rounds = await GameRound.find({
+      $or: [
+        { status: { $in: ['waiting', 'active'] } },
+        { status: { $in: ['crashed', 'completed'] }, settledAt: null }
+      ]
+    }).select('+seed').sort({ roundNumber: 1 });
+
+    if (rounds.length === 0) return false;
+    logger.warn(`Recovering ${rounds.length} unfinished rounds with the '${this.recoveryPolicy}' policy`);
+
+    let resumed = false;
+    for (const round of rounds) {
+      const latest = round.roundNumber === this.roundNumber;
+
+      if (round.isFinished()) {
+        this.currentRound = round;
+        await this.settleRound(round);
+        this.emit('round_crashed', round);
+        this.reportRecovery(round, 'settled');
+      } else if (this.recoveryPolicy === 'resume' && latest) {
+        await this.resumeRound(round);
+        this.reportRecovery(round, 'resumed');
+        resumed = true;
+      } else {
+        this.currentRound = round;
+        await this.voidRound(round, 'Server restarted during the round');
+        this.reportRecovery(round, 'voided');
+      }
+    }
+
+    return resumed;
+  }
+
+  /**
+   * Log and broadcast what recovery did with a round
+   */
+  reportRecovery(round, action) {
+    logger.warn(`Round ${round.roundNumber} recovered: ${action}`);
+    this.broadcast('round_recovered', {
+      roundNumber: round.roundNumber,
+      action,
+      status: round.status,
+      totalBets: round.bets.length,
+      refundedBets: round.bets.filter(bet => bet.outcome === 'refunded').length
+    });
+  }
+
+  /**
+   * Take over a round from a crashed process: reopen betting if it never started,
+   * otherwise continue the multiplier on its original curve. A round whose crash time
+   * passed while the server was down crashes straight away.
+   * @param {GameRound} round - Unfinished round, with its seed selected
+   */
+  async resumeRound(round) {
+    this.currentRound = round;
+    this.pendingCashouts.clear();
+
+    if (round.status === 'waiting') {
+      const bettingEndTime = new Date(Date.now() + this.bettingPhaseDuration);
+      await GameRound.updateOne({ _id: round._id }, { $set: { bettingEndTime } });
+      round.bettingEndTime = bettingEndTime;
+      this.openBetting();
+      return;
+    }
+
+    const crashDelay = elapsedForMultiplier(round.crashPoint, round.growthRate);
+    this.crashTime = round.startTime.getTime() + crashDelay;
+    this.currentMultiplier = this.getMultiplierAt();
+
+    this.broadcast('round_start', {
+      roundNumber: round.roundNumber,
+      status: 'active',
+      startTime: round.startTime,
+      serverTime: Date.now(),
+      growthRate: round.growthRate,
+      seedHash: round.seedHash,
+      clientSeed: round.clientSeed,
+      nonce: round.nonce,
+      liabilityCap: round.liabilityCap,
+      totalBets: round.bets.length
+    });
+
+    // Auto-cashouts the curve passed while the server was down are paid by the first tick
+    this.startMultiplierTicker();
+    this.gameTimer = setTimeout(() => {
+      this.endRound();
+    }, Math.max(0, this.crashTime - Date.now()));
+  }
+
+  /**
+   * Stop the game engine. The round in progress is voided: bets still open are refunded
+   * and cashouts already paid stand, no bet is settled as lost before its crash point.
+   * @param {string} [reason] - Why the engine stopped, sent to clients
+   * @returns {Promise} Resolves once the current round is wrapped up
+   */
+  stop(reason = 'Game stopped') {
+    if (!this.isRunning) return Promise.resolve();
 
     this.isRunning = false;
-    logger.info('Stopping game engine...');
+    this.pauseRequested = false;
+    logger.info(`Stopping game engine: ${reason}`);
+
+    this.clearRoundTimers();
+    this.broadcastStatus(reason);
+
+    const round = this.currentRound;
+    if (this.endingRound) {
+      return this.endingRound.catch(() => {});
+    }
+    if (round && ['waiting', 'active'].includes(round.status)) {
+      // Auto-cashouts the curve already reached are paid before the void
+      return this.autoCashoutQueue.then(() => this.voidRound(round, reason)).catch(error => {
+        // Left to the recovery of the next start
+        logger.error(`Failed to void round ${round.roundNumber}:`, error);
+      });
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Stop once the current round is over instead of opening a new one
+   */
+  pauseAfterRound() {
+    if (!this.isRunning) {
+      throw new Error('Game engine is not running');
+    }
+
+    // Between rounds there is nothing to wait for
+    if (!this.currentRound || this.currentRound.isFinished()) {
+      return this.stop('Game paused');
+    }
+
+    this.pauseRequested = true;
+    logger.info(`Game engine pauses after round ${this.currentRound.roundNumber}`);
+    this.broadcastStatus();
+    return Promise.resolve();
+  }
+
+  /**
+   * Void the current round and refund its open bets, then carry on with the next round
+   * @param {string} reason - Why the round is voided
+   * @returns {Promise<Object>} Settlement summary of the voided round
+   */
+  async voidCurrentRound(reason) {
+    const round = this.currentRound;
+    if (!this.isRunning || !round || !['waiting', 'active'].includes(round.status)) {
+      throw new Error('No round in progress');
+    }
+    if (this.endingRound) {
+      throw new Error('Round is already ending');
+    }
+
+    // No more countdown, multiplier ticks, auto-cashouts or crash for this round
+    this.clearRoundTimers();
+
+    // Share the end-of-round guard so a late crash timer can't end the round twice
+    this.endingRound = this.abortRound(round, reason).finally(() => {
+      this.endingRound = null;
+    });
+    return this.endingRound;
+  }
+
+  async abortRound(round, reason) {
+    try {
+      const summary = await this.voidRound(round, reason);
+      this.scheduleNextRound();
+      return summary;
+
+    } catch (error) {
+      logger.error('Failed to void round:', error);
+
+      // Retry, the next round can't open until this one is voided
+      if (this.isRunning) {
+        this.gameTimer = setTimeout(() => {
+          this.voidCurrentRound(reason).catch(() => {});
+        }, 5000);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Open the next round after the crashed phase, or stop if a pause was requested
+   */
+  scheduleNextRound() {
+    if (!this.isRunning) return;
+
+    if (this.pauseRequested) {
+      this.stop('Game paused');
+      return;
+    }
+    this.gameTimer = setTimeout(() => this.startNewRound(), this.crashedPhaseDuration);
+  }
 
+  clearRoundTimers() {
     if (this.gameTimer) {
       clearTimeout(this.gameTimer);
       this.gameTimer = null;
@@ -67,215 +341,771 @@ export class GameEngine {
       this.multiplierTimer = null;
     }
 
-    // End current round if active
-    if (this.currentRound && this.currentRound.status === 'active') {
-      this.endRound();
+    this.stopBettingCountdown();
+  }
+
+  /**
+   * Apply runtime settings, they take effect from the next round.
+   * Fields that are left out keep their current value, a null risk limit goes back to the environment's.
+   * @param {Object} settings - bettingPhaseMs, crashedPhaseMs, maxMultiplier and the risk limits
+   *   minBet, maxBet, maxPayout, houseBankroll, maxRoundLiabilityPct
+   * @returns {Object} The configuration now in effect
+   */
+  applySettings(settings) {
+    if (settings.bettingPhaseMs) this.bettingPhaseDuration = settings.bettingPhaseMs;
+    if (settings.crashedPhaseMs !== undefined && settings.crashedPhaseMs !== null) this.crashedPhaseDuration = settings.crashedPhaseMs;
+    this.risk.applySettings(settings);
+    if (settings.maxMultiplier) {
+      this.crashPointConfig = { ...this.crashPointConfig, maxMultiplier: settings.maxMultiplier };
+    }
+
+    logger.info('Game settings applied', this.getConfig());
+    return this.getConfig();
+  }
+
+  /**
+   * Configuration the next round is played with
+   */
+  getConfig() {
+    return {
+      bettingPhaseMs: this.bettingPhaseDuration,
+      crashedPhaseMs: this.crashedPhaseDuration,
+      maxMultiplier: this.crashPointConfig.maxMultiplier,
+      ...this.risk.getConfig()
+    };
+  }
+
+  /**
+   * Whether the loop runs, is about to pause, and the round it is on
+   */
+  getControlState() {
+    return {
+      isRunning: this.isRunning,
+      pauseRequested: this.pauseRequested,
+      roundNumber: this.roundNumber,
+      phase: this.currentRound ? this.currentRound.status : 'idle',
+      config: this.getConfig()
+    };
+  }
+
+  /**
+   * Tell clients whether rounds are being played
+   */
+  broadcastStatus(reason) {
+    this.broadcast('game_status', {
+      isRunning: this.isRunning,
+      pauseRequested: this.pauseRequested,
+      reason
+    });
+  }
+
+  /**
+   * Take the next server seed from the active hash chain,
+   * rolling over to a fresh chain when the current one runs out
+   */
+  async takeServerSeed() {
+    if (!this.seedChain || !this.seedChain.hasRemaining()) {
+      this.seedChain = await SeedChain.getActiveChain(this.seedChainLength);
+      logger.info(`Using seed chain ${this.seedChain._id} (terminal hash ${this.seedChain.terminalHash})`);
     }
+
+    const { index, seed } = this.seedChain.takeSeed();
+    await this.seedChain.save();
+
+    return { chain: this.seedChain, index, seed };
   }
 
   /**
-   * Start a new game round
+   * Start a new game round in the betting phase
    */
   async startNewRound() {
     if (!this.isRunning) return;
 
     try {
       this.roundNumber++;
-      const seed = generateSeed();
-      const crashPoint = generateCrashPoint(seed, this.roundNumber);
+
+      // Server seed is committed by the chain, client seeds come from the previous round's bets.
+      // Read them back from the database, as a verifier will, rather than from memory
+      const { chain, index, seed } = await this.takeServerSeed();
+      const previousBets = await GameRound.getSeedContributions(this.roundNumber - 1);
+      const clientSeed = combineClientSeeds(previousBets, chain.clientSeed);
+      const crashPoint = generateCrashPoint(seed, clientSeed, this.roundNumber, this.crashPointConfig);
+
+      const prices = await this.lockPrices();
+
+      const bettingStartTime = new Date();
+      const bettingEndTime = new Date(bettingStartTime.getTime() + this.bettingPhaseDuration);
 
       // Create new round in database
       this.currentRound = new GameRound({
         roundNumber: this.roundNumber,
         crashPoint,
         seed,
-        startTime: new Date(),
-        status: 'active'
+        seedHash: sha256(seed),
+        clientSeed,
+        nonce: this.roundNumber,
+        houseEdge: this.crashPointConfig.houseEdge,
+        maxMultiplier: this.crashPointConfig.maxMultiplier,
+        chain: chain._id,
+        chainIndex: index,
+        growthRate: this.growthRate,
+        prices,
+        pricesLockedAt: bettingStartTime,
+        bettingStartTime,
+        bettingEndTime,
+        status: 'waiting'
       });
 
       await this.currentRound.save();
-      logger.info(`Started round ${this.roundNumber} with crash point ${crashPoint}`);
+      logger.info(`Round ${this.roundNumber} open for betting with crash point ${crashPoint}`);
+
+      this.openBetting();
 
-      // Reset multiplier
-      this.currentMultiplier = 1.0;
+    } catch (error) {
+      logger.error('Failed to start new round:', error);
+      // Try to start another round after a delay
+      this.gameTimer = setTimeout(() => this.startNewRound(), 5000);
+    }
+  }
 
-      // Broadcast round start
-      this.io.emit('round_start', {
+  /**
+   * Fresh USD price of every enabled currency, locked for the round about to open.
+   * A currency without one is left out, bets in it are refused until a later round.
+   */
+  async lockPrices() {
+    const prices = {};
+    for (const symbol of getCurrencySymbols()) {
+      try {
+        prices[symbol] = await priceFetcher.getPrice(symbol);
+      } catch (error) {
+        logger.warn(`No ${symbol} price locked for round ${this.roundNumber}: ${error.message}`);
+      }
+    }
+    return prices;
+  }
+
+  /**
+   * Open the current round for betting and schedule the start of the multiplier
+   */
+  openBetting() {
+    // Reset multiplier
+    this.currentMultiplier = 1.0;
+    this.crashTime = null;
+    this.pendingCashouts.clear();
+
+    // Broadcast betting phase with the seed commitment
+    this.broadcast('round_waiting', {
+      roundNumber: this.currentRound.roundNumber,
+      status: 'waiting',
+      bettingStartTime: this.currentRound.bettingStartTime,
+      bettingEndTime: this.currentRound.bettingEndTime,
+      bettingDuration: this.currentRound.bettingEndTime - this.currentRound.bettingStartTime,
+      serverTime: Date.now(),
+      seedHash: this.currentRound.seedHash,
+      clientSeed: this.currentRound.clientSeed,
+      nonce: this.currentRound.nonce,
+      // Every bet and cashout of the round converts at these
+      prices: this.currentRound.getLockedPrices(),
+      pricesLockedAt: this.currentRound.pricesLockedAt
+    });
+
+    this.startBettingCountdown();
+    this.emit('betting_open', this.currentRound);
+
+    // Close betting and start the multiplier
+    this.gameTimer = setTimeout(() => {
+      this.startActivePhase();
+    }, Math.max(0, this.currentRound.bettingEndTime.getTime() - Date.now()));
+  }
+
+  /**
+   * Broadcast the time left in the betting phase
+   */
+  startBettingCountdown() {
+    const round = this.currentRound;
+
+    const broadcast = () => {
+      if (this.currentRound !== round || round.status !== 'waiting') {
+        this.stopBettingCountdown();
+        return;
+      }
+
+      this.broadcast('betting_countdown', {
+        roundNumber: round.roundNumber,
+        remainingMs: Math.max(0, round.bettingEndTime.getTime() - Date.now()),
+        serverTime: Date.now()
+      });
+    };
+
+    broadcast();
+    this.countdownTimer = setInterval(broadcast, this.countdownInterval);
+  }
+
+  /**
+   * Stop the betting countdown broadcast
+   */
+  stopBettingCountdown() {
+    if (this.countdownTimer) {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+    }
+  }
+
+  /**
+   * Close betting and start the multiplier
+   */
+  async startActivePhase() {
+    if (!this.currentRound || this.currentRound.status !== 'waiting') return;
+
+    try {
+      this.stopBettingCountdown();
+
+      // The in-memory round is only ever written with targeted updates after it's created,
+      // so concurrent bet and cashout writes are never overwritten
+      // Only a round still waiting can start, it may have been voided in the meantime
+      // The liability cap is worked out in the same transaction from the stored bets and the
+      // house ledger balance: a bet committing concurrently conflicts, so every bet is counted
+      const round = this.currentRound;
+      const startTime = new Date();
+      const started = await withTransaction(async (session) => {
+        const result = await GameRound.updateOne(
+          { _id: round._id, status: 'waiting' },
+          { $set: { status: 'active', startTime } },
+          { session }
+        );
+        if (result.modifiedCount !== 1) return null;
+
+        const stored = await GameRound.findById(round._id).select('bets').session(session);
+        const bankroll = await this.risk.getBankroll(round.getLockedPrices(), session);
+        const liabilityCap = this.risk.getLiabilityCap(stored.getTotalBetAmount(), bankroll);
+        await GameRound.updateOne({ _id: round._id }, { $set: { liabilityCap } }, { session });
+        return { bets: stored.bets, liabilityCap };
+      });
+      if (!started) return;
+
+      const { liabilityCap } = started;
+      round.status = 'active';
+      round.startTime = startTime;
+      round.liabilityCap = liabilityCap;
+      // A bet that committed just before betting closed may not be in memory yet
+      round.bets = started.bets;
+
+      // Derive when the curve reaches the crash point
+      const crashDelay = elapsedForMultiplier(this.currentRound.crashPoint, this.currentRound.growthRate);
+      this.crashTime = this.currentRound.startTime.getTime() + crashDelay;
+
+      logger.info(`Round ${this.roundNumber} started with ${this.currentRound.bets.length} bets` +
+        (liabilityCap ? `, open bets are cashed out at ${liabilityCap}x` : ''));
+
+      // Broadcast round start with the curve parameters so clients can render it locally
+      this.broadcast('round_start', {
         roundNumber: this.roundNumber,
+        status: 'active',
         startTime: this.currentRound.startTime,
-        bettingWindow: this.bettingWindow
+        serverTime: Date.now(),
+        growthRate: this.currentRound.growthRate,
+        seedHash: this.currentRound.seedHash,
+        clientSeed: this.currentRound.clientSeed,
+        nonce: this.currentRound.nonce,
+        liabilityCap: this.currentRound.liabilityCap,
+        totalBets: this.currentRound.bets.length
       });
 
       // Start multiplier ticker
       this.startMultiplierTicker();
 
-      // Schedule round end
+      // Schedule the crash
       this.gameTimer = setTimeout(() => {
         this.endRound();
-      }, this.roundDuration);
+      }, Math.max(0, this.crashTime - Date.now()));
 
     } catch (error) {
-      logger.error('Failed to start new round:', error);
-      // Try to start another round after a delay
-      setTimeout(() => this.startNewRound(), 5000);
+      logger.error('Failed to start round:', error);
     }
   }
 
   /**
-   * Start the multiplier ticker
+   * Multiplier on the curve at a given time
+   * @param {number} [at] - Timestamp in ms, defaults to now
+   * @returns {number} Multiplier, capped at the crash point
+   */
+  getMultiplierAt(at = Date.now()) {
+    if (!this.currentRound || !this.currentRound.startTime) return 1.0;
+    const elapsed = at - this.currentRound.startTime.getTime();
+    return Math.min(multiplierAt(elapsed, this.currentRound.growthRate), this.currentRound.crashPoint);
+  }
+
+  /**
+   * Start the multiplier ticker.
+   * The multiplier is a function of time, the ticker only samples and broadcasts it.
    */
   startMultiplierTicker() {
+    let lastBroadcast = 0;
+
     this.multiplierTimer = setInterval(() => {
       if (!this.currentRound || this.currentRound.status !== 'active') {
         clearInterval(this.multiplierTimer);
         return;
       }
 
+      const now = Date.now();
+
+      // Settle auto-cashouts the curve has reached before checking for the crash
+      this.processAutoCashouts(Math.min(now, this.crashTime));
+
       // Check if we've reached the crash point
-      if (this.currentMultiplier >= this.currentRound.crashPoint) {
+      if (now >= this.crashTime) {
         this.endRound();
         return;
       }
 
-      // Increment multiplier
-      this.currentMultiplier += this.multiplierIncrement;
-      this.currentMultiplier = Math.round(this.currentMultiplier * 100) / 100;
+      this.currentMultiplier = this.getMultiplierAt(now);
 
-      // Broadcast multiplier update every second (10 ticks)
-      if (Math.round(this.currentMultiplier * 100) % 100 === 0) {
-        this.io.emit('multiplier_update', {
+      // Broadcast multiplier update so clients can correct drift in their local curve
+      if (now - lastBroadcast >= this.multiplierBroadcastInterval) {
+        lastBroadcast = now;
+        this.broadcast('multiplier_update', {
           roundNumber: this.roundNumber,
           multiplier: this.currentMultiplier,
-          crashPoint: this.currentRound.crashPoint
+          elapsed: now - this.currentRound.startTime.getTime(),
+          serverTime: now
         });
       }
 
     }, this.multiplierTick);
   }
 
+  /**
+   * Queue settlement of every auto-cashout whose target the curve has reached, including
+   * cashouts forced by the maximum payout or the round's liability cap.
+   * Targets at or above the crash point are never reached and lose with the round.
+   * @param {number} at - Timestamp in ms to evaluate the curve at
+   */
+  processAutoCashouts(at) {
+    const round = this.currentRound;
+    if (!round || round.status !== 'active') return;
+
+    const reached = multiplierAt(at - round.startTime.getTime(), round.growthRate);
+    const due = [];
+    for (const bet of round.bets) {
+      const target = round.getCashoutTarget(bet);
+      if (target && target.multiplier <= reached && target.multiplier < round.crashPoint && !this.hasCashedOut(bet.player)) {
+        due.push({ bet, target });
+      }
+    }
+    if (due.length === 0) return;
+
+    due.forEach(({ bet }) => this.pendingCashouts.add(bet.player.toString()));
+
+    // Queue settlements so endRound can wait for all of them
+    this.autoCashoutQueue = this.autoCashoutQueue.then(async () => {
+      for (const { bet, target } of due) {
+        try {
+          await this.settleCashout(round, bet, target.multiplier, true, target.forced);
+        } catch (error) {
+          logger.error(`Failed to auto cash out player ${bet.player}:`, error);
+          this.pendingCashouts.delete(bet.player.toString());
+        }
+      }
+    });
+  }
+
+  /**
+   * Check if a player has cashed out, or is being cashed out, in the current round
+   */
+  hasCashedOut(playerId) {
+    const key = playerId.toString();
+    return this.pendingCashouts.has(key) ||
+      this.currentRound.cashouts.some(cashout => cashout.player.toString() === key);
+  }
+
   /**
    * End the current round
    */
   async endRound() {
-    if (!this.currentRound || this.currentRound.status !== 'active') return;
+    if (!this.currentRound || this.currentRound.isSettled()) return;
+    if (!['active', 'crashed'].includes(this.currentRound.status)) return;
+
+    // The crash timer and the ticker can both get here, only end the round once
+    if (!this.endingRound) {
+      this.endingRound = this.finishRound().finally(() => {
+        this.endingRound = null;
+      });
+    }
+    return this.endingRound;
+  }
 
+  /**
+   * Crash the round if it is still running, settle it and schedule the next one
+   */
+  async finishRound() {
     try {
-      // Stop timers
-      if (this.gameTimer) {
-        clearTimeout(this.gameTimer);
-        this.gameTimer = null;
+      this.clearRoundTimers();
+
+      // A retry after a failed settlement skips straight to settling
+      if (this.currentRound.status === 'active') {
+        await this.crashRound();
       }
-      if (this.multiplierTimer) {
-        clearInterval(this.multiplierTimer);
-        this.multiplierTimer = null;
+
+      await this.settleRound(this.currentRound);
+      this.emit('round_crashed', this.currentRound);
+
+      // Schedule next round after the crashed phase
+      this.scheduleNextRound();
+
+    } catch (error) {
+      logger.error('Failed to end round:', error);
+
+      // Retry, the next round can't open until this one is settled
+      if (this.isRunning) {
+        this.gameTimer = setTimeout(() => this.endRound(), 5000);
       }
+    }
+  }
 
-      // Update round status
-      this.currentRound.status = 'completed';
-      this.currentRound.endTime = new Date();
-      this.currentRound.finalMultiplier = this.currentMultiplier;
-      await this.currentRound.save();
+  /**
+   * Mark the current round as crashed and reveal its seed
+   */
+  async crashRound() {
+    // Round crashed at the crash point unless the engine was stopped early
+    const endTime = new Date();
+    const crashed = endTime.getTime() >= this.crashTime;
+    this.currentMultiplier = crashed
+      ? this.currentRound.crashPoint
+      : this.getMultiplierAt(endTime.getTime());
 
-      logger.info(`Round ${this.roundNumber} ended at multiplier ${this.currentMultiplier}x (crash point: ${this.currentRound.crashPoint}x)`);
+    // Auto-cashouts below the crash point win even if no tick saw the curve pass them
+    this.processAutoCashouts(crashed ? this.crashTime : endTime.getTime());
+    await this.autoCashoutQueue;
 
-      // Broadcast round end
-      this.io.emit('round_end', {
-        roundNumber: this.roundNumber,
-        crashPoint: this.currentRound.crashPoint,
-        finalMultiplier: this.currentMultiplier,
-        endTime: this.currentRound.endTime,
-        totalBets: this.currentRound.bets.length,
-        totalCashouts: this.currentRound.cashouts.length
+    // Update round status
+    await GameRound.updateOne(
+      { _id: this.currentRound._id },
+      { $set: { status: 'crashed', endTime, finalMultiplier: this.currentMultiplier } }
+    );
+    this.currentRound.status = 'crashed';
+    this.currentRound.endTime = endTime;
+    this.currentRound.finalMultiplier = this.currentMultiplier;
+
+    logger.info(`Round ${this.roundNumber} ended at multiplier ${this.currentMultiplier}x (crash point: ${this.currentRound.crashPoint}x)`);
+
+    // Broadcast round end
+    this.broadcast('round_end', {
+      roundNumber: this.roundNumber,
+      status: 'crashed',
+      crashPoint: this.currentRound.crashPoint,
+      finalMultiplier: this.currentMultiplier,
+      endTime: this.currentRound.endTime,
+      seed: this.currentRound.seed,
+      seedHash: this.currentRound.seedHash,
+      clientSeed: this.currentRound.clientSeed,
+      nonce: this.currentRound.nonce,
+      totalBets: this.currentRound.bets.length,
+      totalCashouts: this.currentRound.cashouts.length
+    });
+  }
+
+  /**
+   * Settle every bet of a crashed round as won or lost: store the outcomes on the round,
+   * write a settlement transaction per bet, update player stats and move losing stakes to the house.
+   * Safe to retry, a round that is already settled is only reloaded.
+   * @param {GameRound} round - Crashed round
+   */
+  async settleRound(round) {
+    const settledAt = new Date();
+
+    const settled = await withTransaction(async (session) => {
+      // Work from the stored bets and cashouts: a cashout that committed before the crash
+      // may not be in memory yet, and would otherwise be settled as a loss
+      const stored = await GameRound.findById(round._id).select('bets cashouts prices').session(session);
+      const outcomes = stored.getBetOutcomes(false);
+
+      const marked = await GameRound.markSettled(round._id, outcomes, settledAt, session);
+      if (!marked) return null;
+
+      if (outcomes.length > 0) {
+        await Transaction.insertMany(
+          outcomes.map(o => Transaction.createSettlement(o.player, round._id, o)),
+          { session }
+        );
+
+        await Player.bulkWrite(outcomes.map(o => ({
+          updateOne: {
+            filter: { _id: o.player },
+            update: { $inc: o.outcome === 'won' ? { totalWins: 1 } : { totalLosses: 1 } }
+          }
+        })), { session });
+      }
+
+      // Losing stakes left in the round's pending bets go to the house
+      await ledger.closeRound(round._id, session);
+      return { outcomes, bets: stored.bets, cashouts: stored.cashouts };
+    });
+
+    if (settled) {
+      round.settledAt = settledAt;
+      round.bets = settled.bets;
+      round.cashouts = settled.cashouts;
+      round.applyOutcomes(settled.outcomes);
+    } else {
+      // Settled by an earlier attempt, pick up what it stored
+      const stored = await GameRound.findById(round._id).select('bets settledAt');
+      round.settledAt = stored.settledAt;
+      round.bets = stored.bets;
+      logger.warn(`Round ${round.roundNumber} was already settled`);
+    }
+
+    const summary = round.getSettlementSummary();
+    logger.info(`Round ${round.roundNumber} settled: ${summary.winners} won, ${summary.losers} lost, house profit $${summary.houseProfit.toFixed(2)}`);
+
+    this.broadcast('round_settled', {
+      ...summary,
+      bets: this.feedPrivacy === 'anonymous'
+        ? summary.bets.map(({ playerId, ...bet }) => bet)
+        : summary.bets
+    });
+
+    // Every player gets their own result privately
+    for (const bet of summary.bets) {
+      this.io.to(playerRoom(bet.playerId)).emit('bet_settled', {
+        roundNumber: round.roundNumber,
+        crashPoint: round.crashPoint,
+        ...bet
       });
+    }
 
-      // Schedule next round
-      if (this.isRunning) {
-        setTimeout(() => this.startNewRound(), 3000); // 3 second break between rounds
+    return summary;
+  }
+
+  /**
+   * Void a round that never crashed: bets that weren't cashed out are refunded,
+   * cashouts already paid stand. Safe to retry, a round that is already voided is only reloaded.
+   * @param {GameRound} round - Waiting or active round
+   * @param {string} reason - Why the round is voided
+   */
+  async voidRound(round, reason) {
+    const voidedAt = new Date();
+
+    const result = await withTransaction(async (session) => {
+      // Work from the stored bets and cashouts: one committed just before the void may not be
+      // in memory yet, and one committing concurrently conflicts with this transaction
+      const stored = await GameRound.findById(round._id).select('bets cashouts prices').session(session);
+      const outcomes = stored.getBetOutcomes(true);
+
+      const marked = await GameRound.markVoided(round._id, outcomes, voidedAt, reason, session);
+      if (!marked) return null;
+
+      const players = new Map();
+      for (const o of outcomes) {
+        if (o.outcome === 'refunded') {
+          const transaction = Transaction.createRefund(o.player, round._id, o.usd, o.cryptoAmt, o.currency, o.price);
+          await transaction.save({ session });
+
+          const stake = toUnits(o.cryptoAmt, o.currency);
+          const refund = await ledger.postRefund(o.player, round._id, stake, o.currency, transaction._id, session);
+          refund.players.forEach((player, id) => players.set(id, player));
+        } else {
+          const transaction = Transaction.createSettlement(o.player, round._id, o);
+          await transaction.save({ session });
+          await Player.updateOne({ _id: o.player }, { $inc: { totalWins: 1 } }, { session });
+        }
       }
 
-    } catch (error) {
-      logger.error('Failed to end round:', error);
+      await ledger.closeRound(round._id, session);
+      return { players, outcomes, bets: stored.bets, cashouts: stored.cashouts };
+    });
+
+    if (result) {
+      round.status = 'voided';
+      round.voidReason = reason;
+      round.endTime = voidedAt;
+      round.settledAt = voidedAt;
+      round.bets = result.bets;
+      round.cashouts = result.cashouts;
+      round.applyOutcomes(result.outcomes);
+      result.players.forEach(player => this.emit('wallet_changed', player));
+    } else {
+      // Voided by an earlier attempt, pick up what it stored
+      const stored = await GameRound.findById(round._id).select('status voidReason endTime bets settledAt');
+      Object.assign(round, {
+        status: stored.status,
+        voidReason: stored.voidReason,
+        endTime: stored.endTime,
+        settledAt: stored.settledAt,
+        bets: stored.bets
+      });
+      logger.warn(`Round ${round.roundNumber} was already voided`);
+    }
+
+    const summary = round.getSettlementSummary();
+    logger.info(`Round ${round.roundNumber} voided (${reason}): ${summary.refunded} bets refunded`);
+
+    this.broadcast('round_voided', {
+      roundNumber: round.roundNumber,
+      reason,
+      seed: round.seed,
+      seedHash: round.seedHash,
+      crashPoint: round.crashPoint,
+      totalBets: summary.totalBets,
+      refunded: summary.refunded
+    });
+
+    for (const bet of summary.bets) {
+      this.io.to(playerRoom(bet.playerId)).emit('bet_settled', {
+        roundNumber: round.roundNumber,
+        voided: true,
+        ...bet
+      });
+    }
+
+    this.emit('round_voided', round);
+    return summary;
+  }
+
+  /**
+   * Bankroll the bets of a round are checked against, read from the ledger once per round.
+   * The liability cap itself is worked out from a fresh read when betting closes.
+   */
+  async getRoundBankroll(round) {
+    const id = round._id.toString();
+    if (!this.roundBankroll || this.roundBankroll.round !== id) {
+      this.roundBankroll = { round: id, value: await this.risk.getBankroll(round.getLockedPrices()) };
     }
+    return this.roundBankroll.value;
   }
 
   /**
    * Place a bet for a player
+   * @param {string} playerId - Player placing the bet
+   * @param {number} usdAmount - Bet size in USD
+   * @param {string} currency - Currency to bet with
+   * @param {number} [autoCashout] - Multiplier to cash out at automatically
    */
-  async placeBet(playerId, usdAmount, currency) {
+  async placeBet(playerId, usdAmount, currency, autoCashout) {
     if (!this.currentRound) {
-      throw new Error('No active round');
+      throw new BettingClosedError('No active round');
     }
 
     if (!this.currentRound.isBettingAllowed()) {
-      throw new Error('Betting window has closed for this round');
+      throw new BettingClosedError('Betting is closed for this round');
     }
 
-    // Validate inputs
-    if (usdAmount < 0.01) {
-      throw new Error('Minimum bet is $0.01');
+    // Validate inputs, bets reach the engine from HTTP, sockets and other instances
+    if (typeof usdAmount !== 'number' || !Number.isFinite(usdAmount) || usdAmount <= 0) {
+      throw new Error('USD amount must be a positive number');
+    }
+    if (Math.round(usdAmount * 100) / 100 !== usdAmount) {
+      throw new Error('USD amount must be in whole cents');
     }
 
-    if (!['BTC', 'ETH'].includes(currency)) {
-      throw new Error('Invalid currency. Must be BTC or ETH');
+    if (!isSupportedCurrency(currency)) {
+      throw new Error(unsupportedCurrencyMessage());
     }
 
-    try {
-      // Get player and current prices
-      const [player, currentPrice] = await Promise.all([
-        Player.findById(playerId),
-        priceFetcher.getPrice(currency)
-      ]);
+    if (autoCashout !== undefined && autoCashout !== null) {
+      if (typeof autoCashout !== 'number' || autoCashout < 1.01 || autoCashout > this.crashPointConfig.maxMultiplier) {
+        throw new Error(`Auto cashout must be between 1.01x and ${this.crashPointConfig.maxMultiplier}x`);
+      }
+      // Targets are settled on the 2 decimal place curve
+      autoCashout = Math.floor(autoCashout * 100) / 100;
+    }
+
+    const round = this.currentRound;
 
-      if (!player) {
+    try {
+      // The account may have been suspended or excluded since the player logged in
+      const account = await Player.findById(playerId).select('status selfExcludedUntil limits pendingLimits sessionStartedAt');
+      if (!account) {
         throw new Error('Player not found');
       }
+      if (!account.canPlay()) {
+        throw new Error(account.getBlockReason());
+      }
 
-      // Convert USD to crypto amount
-      const cryptoAmount = usdAmount / currentPrice;
-
-      // Check if player has sufficient balance
-      if (!player.hasSufficientBalance(cryptoAmount, currency)) {
-        throw new Error(`Insufficient ${currency} balance`);
+      // Bets convert at the price locked when betting opened, the same for everyone in the round
+      const lockedPrice = round.getLockedPrice(currency);
+      if (!lockedPrice) {
+        throw new PriceError('PRICE_UNAVAILABLE', `No ${currency} price for round ${round.roundNumber}, bet in ${currency} next round`);
       }
 
-      // Deduct from player's wallet
-      player.deductFromWallet(cryptoAmount, currency);
-      await player.save();
+      // Convert USD to crypto amount, rounded down to the currency's smallest unit
+      const stake = usdToUnits(usdAmount, lockedPrice, currency);
+      const cryptoAmount = fromUnits(stake, currency);
 
-      // Add bet to round
-      this.currentRound.addBet(playerId, usdAmount, cryptoAmount, currency);
-      await this.currentRound.save();
+      const bankroll = await this.getRoundBankroll(round);
+      const { maxCashout } = this.risk.checkBet(round, usdAmount, stake, currency, bankroll);
 
-      // Create transaction record
-      const transaction = Transaction.createBet(
-        playerId,
-        this.currentRound._id,
-        usdAmount,
-        cryptoAmount,
-        currency,
-        currentPrice
-      );
-      await transaction.save();
+      // Record the bet, its transaction and the ledger movement in one transaction:
+      // the ledger debit is a single conditional update on the balance, so
+      // concurrent bets can't both spend the same funds
+      const { player, bet, transaction } = await withTransaction(async (session) => {
+        const seeded = await Player.consumeNonce(playerId, session);
+        if (!seeded) {
+          throw new Error('Player not found');
+        }
+
+        // Checked after the nonce write: a concurrent bet of the player conflicts on it and retries,
+        // so limits count every bet committed before this one, in any round or instance
+        await accountLimits.checkBet(account, usdAmount, session);
+
+        // The update consumed a nonce, the bet uses the one before it
+        const bet = round.createBet(playerId, usdAmount, cryptoAmount, currency, {
+          clientSeed: seeded.clientSeed,
+          nonce: seeded.nonce - 1,
+          autoCashout,
+          maxCashout
+        });
+        const added = await GameRound.pushBet(round._id, bet.toObject(), session);
+        if (!added) {
+          throw new BettingClosedError('Betting is closed or you already have a bet on this round');
+        }
+
+        // Create transaction record
+        const transaction = Transaction.createBet(
+          playerId,
+          round._id,
+          usdAmount,
+          cryptoAmount,
+          currency,
+          lockedPrice
+        );
+        await transaction.save({ session });
+
+        // Stake moves from the player's wallet into the round's pending bets
+        const { players } = await ledger.postBet(playerId, round._id, stake, currency, transaction._id, session);
 
-      logger.info(`Player ${playerId} bet $${usdAmount} (${cryptoAmount} ${currency}) on round ${this.roundNumber}`);
+        return { player: players.get(playerId.toString()), bet, transaction };
+      });
+
+      // Closing betting may have loaded the bet from the database already
+      if (!round.bets.some(b => b.player.toString() === playerId.toString())) {
+        round.bets.push(bet);
+      }
+
+      logger.info(`Player ${playerId} bet $${usdAmount} (${formatAmount(stake, currency)}) on round ${round.roundNumber}`);
+
+      this.emit('wallet_changed', player);
 
       // Broadcast bet placed
-      this.io.emit('bet_placed', {
-        roundNumber: this.roundNumber,
-        playerId,
-        playerName: player.name,
+      this.broadcast('bet_placed', {
+        roundNumber: round.roundNumber,
+        ...toFeedPlayer(playerId, player.name, this.feedPrivacy),
         usdAmount,
         cryptoAmount,
         currency,
+        autoCashout,
         timestamp: new Date()
       });
 
       return {
         success: true,
+        roundNumber: round.roundNumber,
         transactionId: transaction.txHash,
         cryptoAmount,
-        currentPrice,
-        remainingBalance: player.wallet[currency]
+        lockedPrice,
+        autoCashout,
+        maxCashout,
+        remainingBalance: player.getBalance(currency)
       };
 
     } catch (error) {
@@ -286,13 +1116,15 @@ export class GameEngine {
 
   /**
    * Cash out a player's bet
+   * @param {string} playerId - Player cashing out
+   * @param {number} [requestedAt] - Server timestamp the request was received at, the payout uses the curve at this time
    */
-  async cashOut(playerId) {
+  async cashOut(playerId, requestedAt = Date.now()) {
     if (!this.currentRound || this.currentRound.status !== 'active') {
       throw new Error('No active round or round has ended');
     }
 
-    if (this.currentMultiplier >= this.currentRound.crashPoint) {
+    if (requestedAt >= this.crashTime) {
       throw new Error('Round has crashed, cannot cash out');
     }
 
@@ -307,73 +1139,218 @@ export class GameEngine {
       }
 
       // Check if already cashed out
-      const existingCashout = this.currentRound.cashouts.find(
-        cashout => cashout.player.toString() === playerId.toString()
-      );
-
-      if (existingCashout) {
+      if (this.hasCashedOut(playerId)) {
         throw new Error('Already cashed out for this round');
       }
 
-      // Calculate payout
-      const cryptoPayout = playerBet.cryptoAmt * this.currentMultiplier;
-      const currentPrice = await priceFetcher.getPrice(playerBet.currency);
-      const usdPayout = cryptoPayout * currentPrice;
+      // A target the curve already passed pays exactly the target
+      let multiplier = this.getMultiplierAt(requestedAt);
+      const target = this.currentRound.getCashoutTarget(playerBet);
+      const auto = Boolean(target && multiplier >= target.multiplier);
+      if (auto) {
+        multiplier = target.multiplier;
+      }
 
-      // Get player and update wallet
-      const player = await Player.findById(playerId);
-      if (!player) {
-        throw new Error('Player not found');
+      const key = playerId.toString();
+      this.pendingCashouts.add(key);
+      try {
+        return await this.settleCashout(this.currentRound, playerBet, multiplier, auto, auto && target.forced);
+      } catch (error) {
+        this.pendingCashouts.delete(key);
+        throw error;
       }
 
-      player.addToWallet(cryptoPayout, playerBet.currency);
-      player.totalWins += 1;
-      await player.save();
+    } catch (error) {
+      logger.error('Failed to cash out:', error);
+      throw error;
+    }
+  }
 
-      // Add cashout to round
-      this.currentRound.addCashout(playerId, usdPayout, this.currentMultiplier);
-      await this.currentRound.save();
+  /**
+   * Pay out a bet at a multiplier
+   * @param {Object} round - Round the bet belongs to
+   * @param {Object} playerBet - Bet subdocument
+   * @param {number} multiplier - Multiplier to pay out at
+   * @param {boolean} auto - Whether this is an automatic cashout
+   * @param {boolean} [forced] - Whether a risk limit rather than the player's target triggered it
+   */
+  async settleCashout(round, playerBet, multiplier, auto, forced = false) {
+    const playerId = playerBet.player;
+
+    // Calculate payout, rounded down to the currency's smallest unit
+    const stake = toUnits(playerBet.cryptoAmt, playerBet.currency);
+    const payout = multiplyUnits(stake, multiplier);
+    const cryptoPayout = fromUnits(payout, playerBet.currency);
+    // Valued at the round's locked price like the bet, so USD profit is the stake times the multiplier.
+    // Rounds from before prices were locked use the bet's own rate
+    const lockedPrice = round.getLockedPrice(playerBet.currency) || playerBet.usd / Number(playerBet.cryptoAmt);
+    const usdPayout = unitsToUsd(payout, lockedPrice, playerBet.currency);
+
+    // Record the cashout and credit the wallet in one transaction,
+    // the cashout can only be pushed once per player so it can't pay out twice
+    const { player, cashout, transaction } = await withTransaction(async (session) => {
+      const cashout = round.createCashout(playerId, usdPayout, multiplier, auto, forced);
+      const added = await GameRound.pushCashout(round._id, cashout.toObject(), session);
+      if (!added) {
+        throw new Error('Already cashed out for this round');
+      }
 
       // Create transaction record
       const transaction = Transaction.createCashout(
         playerId,
-        this.currentRound._id,
+        round._id,
         usdPayout,
         cryptoPayout,
         playerBet.currency,
-        currentPrice,
-        this.currentMultiplier
+        lockedPrice,
+        multiplier
       );
-      await transaction.save();
+      await transaction.save({ session });
 
-      logger.info(`Player ${playerId} cashed out at ${this.currentMultiplier}x for $${usdPayout.toFixed(2)}`);
+      // Stake comes back from pending bets and the house pays the winnings
+      const { players } = await ledger.postCashout(
+        playerId, round._id, stake, payout, playerBet.currency, transaction._id, session
+      );
 
-      // Broadcast cashout
-      this.io.emit('player_cashout', {
-        roundNumber: this.roundNumber,
-        playerId,
-        playerName: player.name,
-        multiplier: this.currentMultiplier,
-        usdPayout: usdPayout.toFixed(2),
-        cryptoPayout,
-        currency: playerBet.currency,
-        timestamp: new Date()
-      });
+      return { player: players.get(playerId.toString()), cashout, transaction };
+    });
 
-      return {
-        success: true,
-        transactionId: transaction.txHash,
-        multiplier: this.currentMultiplier,
-        usdPayout,
-        cryptoPayout,
-        currency: playerBet.currency,
-        newBalance: player.wallet[playerBet.currency]
-      };
+    round.cashouts.push(cashout);
 
-    } catch (error) {
-      logger.error('Failed to cash out:', error);
-      throw error;
+    logger.info(`Player ${playerId} ${forced ? 'force ' : auto ? 'auto ' : ''}cashed out at ${multiplier}x for $${usdPayout.toFixed(2)}`);
+
+    this.emit('wallet_changed', player);
+
+    // Broadcast cashout
+    this.broadcast('player_cashout', {
+      roundNumber: round.roundNumber,
+      ...toFeedPlayer(playerId, player.name, this.feedPrivacy),
+      multiplier,
+      auto,
+      forced,
+      usdPayout: usdPayout.toFixed(2),
+      cryptoPayout,
+      currency: playerBet.currency,
+      timestamp: new Date()
+    });
+
+    return {
+      success: true,
+      roundNumber: round.roundNumber,
+      transactionId: transaction.txHash,
+      multiplier,
+      auto,
+      forced,
+      usdPayout,
+      cryptoPayout,
+      currency: playerBet.currency,
+      newBalance: player.getBalance(playerBet.currency)
+    };
+  }
+
+  /**
+   * Broadcast a public event to every client, stamped with the next sequence number
+   * so clients can tell when they missed one
+   */
+  broadcast(event, data) {
+    this.sequence++;
+    this.io.emit(event, { ...data, seq: this.sequence });
+  }
+
+  /**
+   * Full snapshot of the current round for a (re)connecting client: phase, timing and curve
+   * parameters, the public bets and cashouts so far and the player's own bet.
+   * The crash point and server seed are only included once the round is over.
+   * @param {string} [playerId] - Player the snapshot is for
+   */
+  async getSnapshot(playerId) {
+    const round = this.currentRound;
+    const serverTime = Date.now();
+
+    const snapshot = {
+      seq: this.sequence,
+      serverTime,
+      isRunning: this.isRunning,
+      roundNumber: this.roundNumber,
+      phase: round ? round.status : 'idle',
+      round: null,
+      bets: [],
+      cashouts: [],
+      myBet: null
+    };
+    if (!round) return snapshot;
+
+    const finished = round.isFinished();
+    snapshot.round = {
+      roundNumber: round.roundNumber,
+      status: round.status,
+      bettingStartTime: round.bettingStartTime,
+      bettingEndTime: round.bettingEndTime,
+      bettingTimeLeft: round.status === 'waiting' && round.bettingEndTime
+        ? Math.max(0, round.bettingEndTime.getTime() - serverTime)
+        : 0,
+      bettingAllowed: round.isBettingAllowed(),
+      startTime: round.startTime,
+      elapsed: round.status === 'active' ? serverTime - round.startTime.getTime() : null,
+      growthRate: round.growthRate,
+      liabilityCap: round.liabilityCap,
+      prices: round.getLockedPrices(),
+      pricesLockedAt: round.pricesLockedAt,
+      currentMultiplier: round.status === 'active' ? this.getMultiplierAt(serverTime) : this.currentMultiplier,
+      seedHash: round.seedHash,
+      clientSeed: round.clientSeed,
+      nonce: round.nonce,
+      endTime: finished ? round.endTime : null,
+      crashPoint: finished ? round.crashPoint : null,
+      seed: finished ? round.seed : null
+    };
+
+    // Names for the public feed, not needed when it is anonymous
+    const names = new Map();
+    if (this.feedPrivacy !== 'anonymous' && round.bets.length > 0) {
+      const players = await Player.find({ _id: { $in: round.bets.map(bet => bet.player) } }).select('name');
+      players.forEach(player => names.set(player._id.toString(), player.name));
     }
+    const feedPlayer = (id) => toFeedPlayer(id, names.get(id.toString()), this.feedPrivacy);
+
+    snapshot.bets = round.bets.map(bet => ({
+      ...feedPlayer(bet.player),
+      usdAmount: bet.usd,
+      cryptoAmount: bet.cryptoAmt,
+      currency: bet.currency,
+      autoCashout: bet.autoCashout,
+      timestamp: bet.timestamp
+    }));
+    snapshot.cashouts = round.cashouts.map(cashout => ({
+      ...feedPlayer(cashout.player),
+      multiplier: cashout.multiplier,
+      usdPayout: cashout.payout,
+      auto: cashout.auto,
+      forced: cashout.forced,
+      timestamp: cashout.timestamp
+    }));
+
+    if (playerId) {
+      const key = playerId.toString();
+      const bet = round.bets.find(b => b.player.toString() === key);
+      if (bet) {
+        const cashout = round.cashouts.find(c => c.player.toString() === key);
+        snapshot.myBet = {
+          usdAmount: bet.usd,
+          cryptoAmount: bet.cryptoAmt,
+          currency: bet.currency,
+          autoCashout: bet.autoCashout,
+          maxCashout: bet.maxCashout,
+          cashedOut: Boolean(cashout),
+          cashout: cashout ? { multiplier: cashout.multiplier, usdPayout: cashout.payout, auto: cashout.auto, forced: cashout.forced } : null,
+          // Still riding on the curve and can be cashed out
+          open: !cashout && !finished,
+          outcome: bet.outcome
+        };
+      }
+    }
+
+    return snapshot;
   }
 
   /**
@@ -386,7 +1363,12 @@ export class GameEngine {
         roundNumber: this.currentRound.roundNumber,
         status: this.currentRound.status,
         startTime: this.currentRound.startTime,
-        currentMultiplier: this.currentMultiplier,
+        bettingEndTime: this.currentRound.bettingEndTime,
+        seedHash: this.currentRound.seedHash,
+        currentMultiplier: this.currentRound.status === 'active' ? this.getMultiplierAt() : this.currentMultiplier,
+        growthRate: this.currentRound.growthRate,
+        prices: this.currentRound.getLockedPrices(),
+        serverTime: Date.now(),
         betsCount: this.currentRound.bets.length,
         cashoutsCount: this.currentRound.cashouts.length,
         bettingAllowed: this.currentRound.isBettingAllowed()
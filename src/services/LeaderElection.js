@@ -0,0 +1,75 @@
+import { EventEmitter } from 'events';
+import ClusterLock from '../models/ClusterLock.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Elects one instance as leader through a lease in MongoDB.
+ * Every instance tries to take the lease on an interval; the holder renews it
+ * and steps down as soon as it can no longer prove it still holds it.
+ *
+ * Emits 'elected' when this instance becomes leader and 'demoted' when it stops being one.
+ */
+export class LeaderElection extends EventEmitter {
+  constructor(instanceId, lockName = 'game-engine') {
+    super();
+    this.instanceId = instanceId;
+    this.lockName = lockName;
+    this.isLeader = false;
+    this.timer = null;
+    this.lastRenewal = 0;
+    this.lockTtl = parseInt(process.env.LEADER_LOCK_TTL_MS) || 10000; // 10 seconds
+    this.renewInterval = parseInt(process.env.LEADER_RENEW_MS) || Math.floor(this.lockTtl / 3);
+  }
+
+  /**
+   * Try to take the lease now and keep trying on an interval
+   */
+  async start() {
+    await this.tick();
+    this.timer = setInterval(() => this.tick(), this.renewInterval);
+  }
+
+  /**
+   * Stop campaigning and give the lease up if this instance holds it
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (!this.isLeader) return;
+    this.setLeader(false);
+    try {
+      await ClusterLock.release(this.lockName, this.instanceId);
+    } catch (error) {
+      logger.error('Failed to release leader lock:', error);
+    }
+  }
+
+  /**
+   * Take or renew the lease
+   */
+  async tick() {
+    try {
+      const held = await ClusterLock.acquire(this.lockName, this.instanceId, this.lockTtl);
+      if (held) {
+        this.lastRenewal = Date.now();
+      }
+      this.setLeader(held);
+
+    } catch (error) {
+      logger.error('Failed to renew leader lock:', error);
+      // Another instance may take over once the lease runs out, stop leading before it can
+      if (this.isLeader && Date.now() - this.lastRenewal >= this.lockTtl - this.renewInterval) {
+        this.setLeader(false);
+      }
+    }
+  }
+
+  setLeader(isLeader) {
+    if (isLeader === this.isLeader) return;
+
+    this.isLeader = isLeader;
+    logger.info(`Instance ${this.instanceId} ${isLeader ? 'elected leader' : 'is no longer leader'}`);
+    this.emit(isLeader ? 'elected' : 'demoted');
+  }
+}
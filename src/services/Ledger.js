@@ -0,0 +1,320 @@
+import { v4 as uuidv4 } from 'uuid';
+import LedgerEntry, {
+  HOUSE_ACCOUNT, WITHDRAWAL_ACCOUNT, EXTERNAL_ACCOUNT, playerAccount, pendingAccount
+} from '../models/LedgerEntry.js';
+import Player from '../models/Player.js';
+import logger from '../utils/logger.js';
+import { isSupportedCurrency } from '../utils/currencies.js';
+import { decimalToString, fromUnits, toDecimal128, toUnits } from '../utils/money.js';
+
+/**
+ * Double-entry ledger. Every movement of money is posted as a balanced journal;
+ * Player.wallet is only a cached view of the player accounts, kept in step in the same session.
+ * Amounts are exact: lines are built in smallest units (see utils/money.js) and stored as Decimal128.
+ */
+class Ledger {
+  /**
+   * Post a balanced journal and update the cached wallets of the players it touches
+   * @param {string} type - Entry type (bet, cashout, ...)
+   * @param {Array<Object>} lines - { account, accountType, player?, currency, amount } with amount in smallest units
+   * @param {Object} [refs] - round, transaction and description to store on every line
+   * @param {ClientSession} [session] - Transaction session
+   * @returns {Promise<{journal: string, players: Map<string, Object>}>} Journal id and updated players
+   */
+  async post(type, lines, refs = {}, session) {
+    const totals = {};
+    for (const line of lines) {
+      totals[line.currency] = (totals[line.currency] || 0n) + line.amount;
+    }
+    for (const [currency, total] of Object.entries(totals)) {
+      if (total !== 0n) {
+        throw new Error(`Unbalanced ${type} journal: ${currency} lines sum to ${fromUnits(total, currency)}`);
+      }
+    }
+
+    const journal = uuidv4();
+    const timestamp = new Date();
+
+    // Update the cached wallets first, a debit fails if the balance can't cover it
+    const players = new Map();
+    for (const line of lines.filter(l => l.accountType === 'player')) {
+      const player = await Player.applyWalletChange(line.player, line.amount, line.currency, session);
+      if (!player) {
+        const exists = await Player.exists({ _id: line.player }).session(session || null);
+        throw new Error(exists ? `Insufficient ${line.currency} balance` : 'Player not found');
+      }
+      players.set(line.player.toString(), player);
+    }
+
+    await LedgerEntry.insertMany(
+      lines.filter(line => line.amount !== 0n).map(line => ({
+        ...line,
+        amount: toDecimal128(line.amount, line.currency),
+        journal,
+        type,
+        round: refs.round,
+        transaction: refs.transaction,
+        description: refs.description,
+        timestamp
+      })),
+      { session }
+    );
+
+    return { journal, players };
+  }
+
+  playerLine(playerId, currency, units) {
+    return { account: playerAccount(playerId), accountType: 'player', player: playerId, currency, amount: units };
+  }
+
+  houseLine(currency, units) {
+    return { account: HOUSE_ACCOUNT, accountType: 'house', currency, amount: units };
+  }
+
+  pendingLine(roundId, currency, units) {
+    return { account: pendingAccount(roundId), accountType: 'pending', round: roundId, currency, amount: units };
+  }
+
+  withdrawalLine(currency, units) {
+    return { account: WITHDRAWAL_ACCOUNT, accountType: 'withdrawal', currency, amount: units };
+  }
+
+  externalLine(currency, units) {
+    return { account: EXTERNAL_ACCOUNT, accountType: 'external', currency, amount: units };
+  }
+
+  /**
+   * Balance of the house account per currency, as decimal strings: what the house won and paid,
+   * starting balances and withdrawal fees included
+   */
+  async getHouseBalances(session) {
+    return LedgerEntry.getBalances(HOUSE_ACCOUNT, session);
+  }
+
+  /**
+   * Credit a player's starting balance from the house bankroll
+   * @param {Object} wallet - Amount per currency, in the currency's units
+   */
+  async postOpening(playerId, wallet, session) {
+    const lines = [];
+    for (const [currency, amount] of Object.entries(wallet)) {
+      const units = toUnits(amount, currency);
+      if (units > 0n) {
+        lines.push(this.playerLine(playerId, currency, units), this.houseLine(currency, -units));
+      }
+    }
+    if (lines.length === 0) return null;
+    return this.post('opening', lines, { description: 'Starting balance' }, session);
+  }
+
+  /**
+   * Move a stake from the player's wallet into the round's pending bets.
+   * Stakes and payouts here and below are BigInt smallest units
+   */
+  async postBet(playerId, roundId, stake, currency, transactionId, session) {
+    return this.post('bet', [
+      this.playerLine(playerId, currency, -stake),
+      this.pendingLine(roundId, currency, stake)
+    ], { round: roundId, transaction: transactionId }, session);
+  }
+
+  /**
+   * Pay out a cashout: the stake comes back out of pending bets and the house covers the winnings
+   */
+  async postCashout(playerId, roundId, stake, payout, currency, transactionId, session) {
+    return this.post('cashout', [
+      this.pendingLine(roundId, currency, -stake),
+      this.houseLine(currency, -(payout - stake)),
+      this.playerLine(playerId, currency, payout)
+    ], { round: roundId, transaction: transactionId }, session);
+  }
+
+  /**
+   * Give a stake back to the player out of pending bets, for a voided round
+   */
+  async postRefund(playerId, roundId, stake, currency, transactionId, session) {
+    return this.post('refund', [
+      this.pendingLine(roundId, currency, -stake),
+      this.playerLine(playerId, currency, stake)
+    ], { round: roundId, transaction: transactionId }, session);
+  }
+
+  /**
+   * Credit a confirmed deposit to the player's wallet
+   */
+  async postDeposit(playerId, amount, currency, transactionId, session) {
+    return this.post('deposit', [
+      this.externalLine(currency, -amount),
+      this.playerLine(playerId, currency, amount)
+    ], { transaction: transactionId }, session);
+  }
+
+  /**
+   * Hold a withdrawal and its fee out of the player's wallet until it is confirmed or returned
+   */
+  async postWithdrawal(playerId, amount, fee, currency, transactionId, session) {
+    return this.post('withdrawal', [
+      this.playerLine(playerId, currency, -(amount + fee)),
+      this.withdrawalLine(currency, amount + fee)
+    ], { transaction: transactionId }, session);
+  }
+
+  /**
+   * A withdrawal confirmed on chain: the amount leaves the game and the house keeps the fee
+   */
+  async postWithdrawalSent(amount, fee, currency, transactionId, session) {
+    return this.post('withdrawal_sent', [
+      this.withdrawalLine(currency, -(amount + fee)),
+      this.externalLine(currency, amount),
+      this.houseLine(currency, fee)
+    ], { transaction: transactionId }, session);
+  }
+
+  /**
+   * Give a rejected or failed withdrawal and its fee back to the player
+   */
+  async postWithdrawalRelease(playerId, amount, fee, currency, transactionId, session) {
+    return this.post('withdrawal_release', [
+      this.withdrawalLine(currency, -(amount + fee)),
+      this.playerLine(playerId, currency, amount + fee)
+    ], { transaction: transactionId }, session);
+  }
+
+  /**
+   * Sweep whatever is left in a round's pending bets (the losing stakes) to the house
+   */
+  async closeRound(roundId, session) {
+    const balances = await LedgerEntry.getBalances(pendingAccount(roundId), session);
+    const lines = [];
+    for (const [currency, balance] of Object.entries(balances)) {
+      const units = toUnits(balance, currency);
+      if (units !== 0n) {
+        lines.push(this.pendingLine(roundId, currency, -units), this.houseLine(currency, units));
+      }
+    }
+    if (lines.length === 0) return null;
+    return this.post('round_close', lines, { round: roundId, description: 'Losing stakes to house' }, session);
+  }
+
+  /**
+   * Post opening journals for players that predate the ledger, using their cached wallet as the opening balance
+   * @returns {Promise<number>} Number of players backfilled
+   */
+  async backfillOpenings() {
+    const withEntries = await LedgerEntry.distinct('player', { accountType: 'player' });
+    const players = await Player.find({ _id: { $nin: withEntries } }).select('wallet');
+
+    let count = 0;
+    for (const player of players) {
+      const wallet = player.getBalances();
+      const lines = [];
+      for (const [currency, amount] of Object.entries(wallet)) {
+        const units = toUnits(amount, currency);
+        if (units > 0n) {
+          // Cached wallet already holds the balance, only record where it came from
+          lines.push(this.playerLine(player._id, currency, units), this.houseLine(currency, -units));
+        }
+      }
+      if (lines.length === 0) continue;
+
+      const journal = uuidv4();
+      await LedgerEntry.insertMany(lines.map(line => ({
+        ...line,
+        amount: toDecimal128(line.amount, line.currency),
+        journal,
+        type: 'opening',
+        description: 'Backfilled opening balance'
+      })));
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Recompute every player wallet from ledger entries and compare it with the cached wallet
+   * @param {Object} [options]
+   * @param {boolean} [options.fix] - Overwrite drifted cached wallets with the ledger balance
+   * @returns {Promise<Object>} Report with drifted wallets, balances skipped because their currency is disabled,
+   *   unbalanced journals and account type totals
+   */
+  async reconcile({ fix = false } = {}) {
+    const ledgerBalances = await LedgerEntry.aggregate([
+      { $match: { accountType: 'player' } },
+      { $group: { _id: { player: '$player', currency: '$currency' }, balance: { $sum: '$amount' } } }
+    ]);
+
+    const expected = new Map();
+    for (const row of ledgerBalances) {
+      const key = row._id.player.toString();
+      if (!expected.has(key)) expected.set(key, {});
+      expected.get(key)[row._id.currency] = decimalToString(row.balance);
+    }
+
+    const drift = [];
+    const skipped = [];
+    const players = await Player.find().select('name wallet');
+    for (const player of players) {
+      const balances = expected.get(player._id.toString()) || {};
+      const wallet = player.getBalances();
+      const currencies = new Set([...Object.keys(wallet), ...Object.keys(balances)]);
+      for (const currency of currencies) {
+        // A currency that was disabled has no known decimals to compare in, report it instead
+        if (!isSupportedCurrency(currency)) {
+          skipped.push({
+            playerId: player._id,
+            name: player.name,
+            currency,
+            cached: wallet[currency] || '0',
+            ledger: balances[currency] || '0'
+          });
+          continue;
+        }
+
+        const cached = toUnits(wallet[currency], currency);
+        const ledger = toUnits(balances[currency], currency);
+        if (cached !== ledger) {
+          drift.push({
+            playerId: player._id,
+            name: player.name,
+            currency,
+            cached: fromUnits(cached, currency),
+            ledger: fromUnits(ledger, currency),
+            difference: fromUnits(cached - ledger, currency)
+          });
+        }
+      }
+    }
+
+    if (fix) {
+      for (const item of drift) {
+        await Player.updateOne(
+          { _id: item.playerId },
+          { $set: { [`wallet.${item.currency}`]: toDecimal128(toUnits(item.ledger, item.currency), item.currency) } }
+        );
+        logger.warn(`Reset cached ${item.currency} wallet of player ${item.playerId} from ${item.cached} to ${item.ledger}`);
+      }
+    }
+
+    const unbalancedJournals = await LedgerEntry.aggregate([
+      { $group: { _id: { journal: '$journal', currency: '$currency' }, total: { $sum: '$amount' } } },
+      { $match: { total: { $ne: 0 } } }
+    ]);
+
+    const totals = await LedgerEntry.aggregate([
+      { $group: { _id: { accountType: '$accountType', currency: '$currency' }, balance: { $sum: '$amount' } } }
+    ]);
+
+    return {
+      checkedPlayers: players.length,
+      drift,
+      skipped,
+      unbalancedJournals: unbalancedJournals.map(row => ({ journal: row._id.journal, currency: row._id.currency, total: decimalToString(row.total) })),
+      totals: totals.map(row => ({ accountType: row._id.accountType, currency: row._id.currency, balance: decimalToString(row.balance) })),
+      fixed: fix ? drift.length : 0
+    };
+  }
+}
+
+// Export singleton instance
+const ledger = new Ledger();
+export default ledger;
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import { PaymentGateway } from './PaymentGateway.js';
+
+/**
+ * In-memory gateway for development and tests, no chain involved. It keeps a block height that only
+ * moves when mine() is called, so confirmations are under the caller's control:
+ *
+ *   const { address } = await gateway.createAddress('BTC');
+ *   gateway.receive(address, '0.05');   // incoming deposit, 0 confirmations
+ *   gateway.mine(2);                    // now 2 confirmations
+ *   gateway.failTransfer(txId);         // a sent withdrawal is dropped
+ *
+ * State lives in the process, so with several instances drive the mock on the leader. Withdrawals sent
+ * before a restart are unknown to it afterwards and get flagged for review.
+ */
+export class MockGateway extends PaymentGateway {
+  constructor() {
+    super('mock');
+    this.height = 0;
+    // address -> currency
+    this.addresses = new Map();
+    this.deposits = [];
+    // reference -> sent transfer
+    this.withdrawals = new Map();
+    this.failed = new Set();
+    // Set to an Error to make the next sendWithdrawal throw it
+    this.nextSendError = null;
+  }
+
+  newTxId() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  confirmationsAt(height) {
+    return height === null ? 0 : this.height - height;
+  }
+
+  async createAddress(currency) {
+    const address = `mock${currency.toLowerCase()}${crypto.randomBytes(16).toString('hex')}`;
+    this.addresses.set(address, currency);
+    return { address };
+  }
+
+  async validateAddress(currency, address) {
+    return typeof address === 'string' && /^[A-Za-z0-9]{26,90}$/.test(address);
+  }
+
+  async listDeposits(currency) {
+    return this.deposits
+      .filter(deposit => deposit.currency === currency)
+      .map(deposit => ({
+        txId: deposit.txId,
+        address: deposit.address,
+        currency: deposit.currency,
+        amount: deposit.amount,
+        confirmations: this.confirmationsAt(deposit.height)
+      }));
+  }
+
+  async sendWithdrawal({ currency, address, amount, reference }) {
+    if (this.nextSendError) {
+      const error = this.nextSendError;
+      this.nextSendError = null;
+      throw error;
+    }
+
+    if (!this.withdrawals.has(reference)) {
+      // Goes into the next block
+      this.withdrawals.set(reference, { txId: this.newTxId(), currency, address, amount, height: this.height });
+    }
+    return { txId: this.withdrawals.get(reference).txId };
+  }
+
+  async getTransfer(currency, txId) {
+    const transfer = [...this.withdrawals.values()].find(sent => sent.txId === txId);
+    if (!transfer) {
+      // Sent before a restart, the mock forgot it
+      return { confirmations: 0, failed: false, unknown: true };
+    }
+    if (this.failed.has(txId)) {
+      return { confirmations: 0, failed: true, reason: 'Dropped by the network' };
+    }
+    return { confirmations: this.confirmationsAt(transfer.height), failed: false };
+  }
+
+  /**
+   * Simulate an incoming transfer to a deposit address
+   * @param {string} address - Deposit address
+   * @param {string} amount - Amount in the address's currency
+   * @param {string} [currency] - Needed for addresses created before a restart, the mock forgets them
+   * @returns {string} Transaction id
+   */
+  receive(address, amount, currency = this.addresses.get(address)) {
+    if (!currency) {
+      throw new Error(`Unknown deposit address ${address}`);
+    }
+    const txId = this.newTxId();
+    this.deposits.push({ txId, address, currency, amount: String(amount), height: this.height });
+    return txId;
+  }
+
+  /**
+   * Add blocks, confirming every transfer one more time per block
+   */
+  mine(blocks = 1) {
+    this.height += blocks;
+    return this.height;
+  }
+
+  /**
+   * Make a sent withdrawal fail
+   */
+  failTransfer(txId) {
+    this.failed.add(txId);
+  }
+}
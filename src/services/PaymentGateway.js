@@ -0,0 +1,64 @@
+/**
+ * What the payment service needs from a wallet provider or node. Implementations override every method.
+ * Amounts are plain decimal strings in the currency's units, as produced by fromUnits in utils/money.js.
+ *
+ * Deposits are polled: listDeposits returns recent transfers to addresses the gateway generated,
+ * with their confirmations, and the payment service credits each one once it has enough.
+ * Withdrawals are sent with sendWithdrawal and followed with getTransfer until they are final.
+ */
+export class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  notImplemented(method) {
+    return new Error(`The ${this.name} payment gateway does not implement ${method}`);
+  }
+
+  /**
+   * Generate a new deposit address
+   * @param {string} currency - Currency symbol
+   * @param {string} playerId - Player the address is for, for gateways that label addresses
+   * @returns {Promise<{address: string}>}
+   */
+  async createAddress(currency, playerId) {
+    throw this.notImplemented('createAddress');
+  }
+
+  /**
+   * Check that an address can receive a currency
+   * @returns {Promise<boolean>}
+   */
+  async validateAddress(currency, address) {
+    throw this.notImplemented('validateAddress');
+  }
+
+  /**
+   * Recent incoming transfers to the gateway's deposit addresses. Returning a transfer again is fine,
+   * the payment service records each one once and updates its confirmations.
+   * @param {string} currency - Currency symbol
+   * @returns {Promise<Array<{txId: string, address: string, currency: string, amount: string, confirmations: number}>>}
+   */
+  async listDeposits(currency) {
+    throw this.notImplemented('listDeposits');
+  }
+
+  /**
+   * Send a withdrawal. reference is unique per withdrawal: a gateway must not send twice for the same
+   * reference, so a retry after a timeout can't pay out twice.
+   * @param {Object} withdrawal - { currency, address, amount, reference }
+   * @returns {Promise<{txId: string}>} Transaction id on chain
+   */
+  async sendWithdrawal(withdrawal) {
+    throw this.notImplemented('sendWithdrawal');
+  }
+
+  /**
+   * State of a transfer sent with sendWithdrawal. unknown is true when the gateway has no record of it:
+   * it may still be on chain, so the withdrawal is flagged for review rather than failed.
+   * @returns {Promise<{confirmations: number, failed: boolean, unknown?: boolean, reason?: string}>}
+   */
+  async getTransfer(currency, txId) {
+    throw this.notImplemented('getTransfer');
+  }
+}
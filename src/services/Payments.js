@@ -0,0 +1,451 @@
+import { EventEmitter } from 'events';
+import Player from '../models/Player.js';
+import Transaction from '../models/Transaction.js';
+import DepositAddress from '../models/DepositAddress.js';
+import ledger from './Ledger.js';
+import accountLimits from './AccountLimits.js';
+import { MockGateway } from './MockGateway.js';
+import { withTransaction } from '../database/connection.js';
+import priceFetcher from '../utils/priceFetcher.js';
+import { getCurrency, getCurrencySymbols, isSupportedCurrency, unsupportedCurrencyMessage } from '../utils/currencies.js';
+import { decimalToString, formatAmount, fromUnits, toUnits, unitsToUsd } from '../utils/money.js';
+import logger from '../utils/logger.js';
+
+// Gateways PAYMENT_GATEWAY can name. Ones not meant for real money are refused in production
+const GATEWAYS = {
+  mock: { create: () => new MockGateway(), production: false }
+};
+
+// A withdrawal marked broadcast this long without a chain transaction id was probably cut off
+// mid-send, it is sent again under the same reference
+const RESEND_AFTER_MS = 5 * 60 * 1000;
+
+/**
+ * Deposits and withdrawals through a payment gateway (see PaymentGateway.js).
+ *
+ * Deposits arrive at per-player addresses and are recorded as pending deposit transactions by sync().
+ * Once they have the currency's depositConfirmations they are credited from the external account,
+ * unless the player's deposit limit or account state stops them: those are held for an admin.
+ *
+ * Withdrawals move the amount and fee out of the wallet into the withdrawal account when requested.
+ * Requests worth WITHDRAWAL_REVIEW_THRESHOLD_USD or more wait for an admin, the rest are sent right away.
+ * A sent withdrawal is final once it has the currency's confirmations; rejected or failed ones are returned.
+ *
+ * Emits 'wallet_changed' with the updated player after every balance change.
+ */
+class Payments extends EventEmitter {
+  constructor() {
+    super();
+    this.gateway = null;
+    // Sync in progress, and the one queued behind it
+    this.syncing = null;
+    this.nextSync = null;
+  }
+
+  /**
+   * Gateway named by PAYMENT_GATEWAY. There is no default, the server doesn't start without one:
+   * the mock gateway lets admins make up deposits, so it has to be chosen explicitly
+   * and is refused when NODE_ENV is production.
+   */
+  getGateway() {
+    if (!this.gateway) {
+      const name = process.env.PAYMENT_GATEWAY;
+      if (!name) {
+        throw new Error(`PAYMENT_GATEWAY is not set, choose one of ${Object.keys(GATEWAYS).join(', ')}`);
+      }
+      const gateway = GATEWAYS[name];
+      if (!gateway) {
+        throw new Error(`Unknown payment gateway ${name}`);
+      }
+      if (!gateway.production && process.env.NODE_ENV === 'production') {
+        throw new Error(`The ${name} payment gateway is for development and tests, it can't be used with NODE_ENV=production`);
+      }
+      this.gateway = gateway.create();
+      logger.info(`Payment gateway: ${name}`);
+    }
+    return this.gateway;
+  }
+
+  /**
+   * USD value from which a withdrawal needs an admin's approval
+   */
+  getReviewThreshold() {
+    const threshold = parseFloat(process.env.WITHDRAWAL_REVIEW_THRESHOLD_USD);
+    return threshold >= 0 ? threshold : 1000;
+  }
+
+  /**
+   * Deposit and withdrawal settings of every enabled currency
+   */
+  getConfig() {
+    return {
+      gateway: this.getGateway().name,
+      withdrawalReviewThreshold: this.getReviewThreshold(),
+      currencies: Object.fromEntries(getCurrencySymbols().map(symbol => {
+        const { depositConfirmations, withdrawalFee, minWithdrawal } = getCurrency(symbol);
+        return [symbol, { depositConfirmations, withdrawalFee, minWithdrawal }];
+      }))
+    };
+  }
+
+  /**
+   * The player's deposit address for a currency, generated on first use
+   * @returns {Promise<DepositAddress>}
+   */
+  async getDepositAddress(player, currency) {
+    if (!isSupportedCurrency(currency)) {
+      throw new Error(unsupportedCurrencyMessage());
+    }
+    if (!player.canPlay()) {
+      throw new Error(player.getBlockReason());
+    }
+
+    const gateway = this.getGateway();
+    const existing = await DepositAddress.findForPlayer(player._id, currency, gateway.name);
+    if (existing) return existing;
+
+    const { address } = await gateway.createAddress(currency, player._id.toString());
+    try {
+      const created = await DepositAddress.create({ player: player._id, currency, address, gateway: gateway.name });
+      logger.info(`Player ${player._id} got ${currency} deposit address ${address}`);
+      return created;
+    } catch (error) {
+      // A concurrent request created one first
+      if (error.code === 11000) {
+        return DepositAddress.findForPlayer(player._id, currency, gateway.name);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record new deposits, credit the ones with enough confirmations and follow sent withdrawals.
+   * Runs on the leader only. One sync runs at a time, two would record the same deposit twice:
+   * a call made during a sync waits for it and syncs once more, calls made meanwhile share that one.
+   * @returns {Promise<void>}
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+      return this.syncing;
+    }
+
+    if (!this.nextSync) {
+      this.nextSync = this.syncing.then(() => {
+        this.nextSync = null;
+        return this.sync();
+      });
+    }
+    return this.nextSync;
+  }
+
+  async runSync() {
+    for (const currency of getCurrencySymbols()) {
+      try {
+        await this.syncDeposits(currency);
+      } catch (error) {
+        logger.error(`Failed to sync ${currency} deposits:`, error);
+      }
+    }
+
+    try {
+      await this.syncWithdrawals();
+    } catch (error) {
+      logger.error('Failed to sync withdrawals:', error);
+    }
+  }
+
+  async syncDeposits(currency) {
+    const required = getCurrency(currency).depositConfirmations;
+    const transfers = await this.getGateway().listDeposits(currency);
+
+    for (const transfer of transfers) {
+      let deposit = await Transaction.findOne({
+        type: 'deposit', chainTxId: transfer.txId, address: transfer.address, currency
+      });
+
+      if (!deposit) {
+        const owner = await DepositAddress.findByAddress(transfer.address, currency);
+        if (!owner) continue;
+
+        // The deposit is on chain either way, a stale price only affects the USD it's recorded at
+        const price = await priceFetcher.getPrice(currency, { allowStale: true });
+        const units = toUnits(transfer.amount, currency, 'down');
+        const received = { ...transfer, currency, amount: fromUnits(units, currency) };
+        deposit = Transaction.createDeposit(owner.player, received, unitsToUsd(units, price, currency), price);
+        await deposit.save();
+        logger.info(`Player ${owner.player} deposit of ${formatAmount(units, currency)} seen in ${transfer.txId}`);
+      } else if (deposit.status === 'pending' && deposit.confirmations !== transfer.confirmations) {
+        deposit.confirmations = transfer.confirmations;
+        await Transaction.updateOne({ _id: deposit._id }, { $set: { confirmations: transfer.confirmations } });
+      }
+
+      if (deposit.status === 'pending' && transfer.confirmations >= required) {
+        await this.creditDeposit(deposit);
+      }
+    }
+  }
+
+  /**
+   * Credit a confirmed deposit, or hold it if the player's deposit limit or account state doesn't allow it
+   * @param {Transaction} deposit - Pending or held deposit
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Credit a held deposit regardless, for admins
+   * @returns {Promise<Transaction>} Deposit in its new state
+   */
+  async creditDeposit(deposit, { force = false } = {}) {
+    const player = await Player.findById(deposit.player).select('name status selfExcludedUntil limits pendingLimits');
+    if (!player) {
+      throw new Error('Player not found');
+    }
+
+    if (!force) {
+      let reason = player.canPlay() ? null : player.getBlockReason();
+      if (!reason) {
+        try {
+          await accountLimits.checkDeposit(player, deposit.usd);
+        } catch (error) {
+          reason = error.message;
+        }
+      }
+      if (reason) {
+        const held = await Transaction.transition(deposit._id, 'pending', 'held', { statusReason: reason });
+        if (held) logger.warn(`Deposit ${deposit.txHash} of player ${player._id} held: ${reason}`);
+        return held || deposit;
+      }
+    }
+
+    const credited = await withTransaction(async (session) => {
+      const confirmed = await Transaction.transition(
+        deposit._id, force ? ['pending', 'held'] : 'pending', 'confirmed', { completedAt: new Date() }, session
+      );
+      if (!confirmed) return null;
+
+      const units = toUnits(confirmed.cryptoAmt, confirmed.currency);
+      const { players } = await ledger.postDeposit(confirmed.player, units, confirmed.currency, confirmed._id, session);
+      return { deposit: confirmed, player: players.get(confirmed.player.toString()) };
+    });
+    if (!credited) return deposit;
+
+    logger.info(`Credited deposit ${deposit.txHash}: ${credited.deposit.cryptoAmt} ${deposit.currency} to player ${player._id}`);
+    this.emit('wallet_changed', credited.player);
+    return credited.deposit;
+  }
+
+  /**
+   * Credit a held deposit, for admins
+   */
+  async releaseDeposit(id, adminId) {
+    const deposit = await Transaction.findOne({ _id: id, type: 'deposit' });
+    if (!deposit) {
+      throw new Error('Deposit not found');
+    }
+    if (deposit.status !== 'held') {
+      throw new Error(`Deposit is ${deposit.status}, only held deposits can be released`);
+    }
+    await Transaction.updateOne({ _id: id }, { $set: { reviewedBy: adminId, reviewedAt: new Date() } });
+    return this.creditDeposit(deposit, { force: true });
+  }
+
+  /**
+   * Request a withdrawal. The amount and the currency's fee leave the wallet right away.
+   * @param {string} playerId - Player withdrawing
+   * @param {string} currency - Currency symbol
+   * @param {string|number} amount - Amount the player receives, in the currency's units
+   * @param {string} address - Address to send to
+   * @returns {Promise<Transaction>} Withdrawal, pending review or already sent
+   */
+  async requestWithdrawal(playerId, currency, amount, address) {
+    if (!isSupportedCurrency(currency)) {
+      throw new Error(unsupportedCurrencyMessage());
+    }
+    const definition = getCurrency(currency);
+
+    const units = toUnits(amount, currency, 'down');
+    if (fromUnits(units, currency) !== decimalToString(amount)) {
+      throw new Error(`${currency} amounts have at most ${definition.decimals} decimals`);
+    }
+    if (units <= 0n || (definition.minWithdrawal && units < toUnits(definition.minWithdrawal, currency))) {
+      throw new Error(`Minimum withdrawal is ${definition.minWithdrawal || fromUnits(1n, currency)} ${currency}`);
+    }
+    if (!await this.getGateway().validateAddress(currency, address)) {
+      throw new Error(`Invalid ${currency} address`);
+    }
+
+    const fee = toUnits(definition.withdrawalFee, currency);
+    const price = await priceFetcher.getPrice(currency);
+    const usd = unitsToUsd(units, price, currency);
+    const reviewRequired = usd >= this.getReviewThreshold();
+
+    const { withdrawal, player } = await withTransaction(async (session) => {
+      const withdrawal = Transaction.createWithdrawal(
+        playerId, usd, fromUnits(units, currency), fromUnits(fee, currency), currency, address, price, reviewRequired
+      );
+      await withdrawal.save({ session });
+
+      const { players } = await ledger.postWithdrawal(playerId, units, fee, currency, withdrawal._id, session);
+      return { withdrawal, player: players.get(playerId.toString()) };
+    });
+
+    logger.info(`Player ${playerId} requested a withdrawal of ${formatAmount(units, currency)} ($${usd})${reviewRequired ? ', pending review' : ''}`);
+    this.emit('wallet_changed', player);
+
+    if (reviewRequired) return withdrawal;
+    return this.sendWithdrawal(withdrawal);
+  }
+
+  /**
+   * Approve a withdrawal waiting for review and send it
+   */
+  async approveWithdrawal(id, adminId) {
+    const approved = await Transaction.transition(id, 'pending', 'approved', { reviewedBy: adminId, reviewedAt: new Date() });
+    if (!approved) {
+      throw new Error(await this.describeState(id, 'pending'));
+    }
+    logger.info(`Withdrawal ${approved.txHash} approved by ${adminId}`);
+    return this.sendWithdrawal(approved);
+  }
+
+  /**
+   * Reject a withdrawal waiting for review, the amount and fee go back to the player
+   */
+  async rejectWithdrawal(id, adminId, reason) {
+    const rejected = await this.returnWithdrawal(id, 'pending', 'rejected', {
+      statusReason: reason || 'Rejected',
+      reviewedBy: adminId,
+      reviewedAt: new Date()
+    });
+    if (!rejected) {
+      throw new Error(await this.describeState(id, 'pending'));
+    }
+    logger.info(`Withdrawal ${rejected.txHash} rejected by ${adminId}: ${rejected.statusReason}`);
+    return rejected;
+  }
+
+  /**
+   * Send an approved withdrawal through the gateway. It is marked broadcast first so only one caller
+   * sends it; if the gateway fails it goes back to approved and the next sync retries it.
+   */
+  async sendWithdrawal(withdrawal) {
+    const claimed = await Transaction.transition(withdrawal._id, 'approved', 'broadcast');
+    if (!claimed) return withdrawal;
+    return this.dispatchWithdrawal(claimed);
+  }
+
+  async dispatchWithdrawal(claimed) {
+    try {
+      const { txId } = await this.getGateway().sendWithdrawal({
+        currency: claimed.currency,
+        address: claimed.address,
+        amount: claimed.cryptoAmt,
+        reference: claimed.txHash
+      });
+      const sent = await Transaction.findByIdAndUpdate(
+        claimed._id,
+        { $set: { chainTxId: txId, confirmations: 0 }, $unset: { statusReason: 1 } },
+        { new: true }
+      );
+      logger.info(`Withdrawal ${claimed.txHash} sent in ${txId}`);
+      return sent;
+
+    } catch (error) {
+      logger.error(`Failed to send withdrawal ${claimed.txHash}:`, error);
+      return Transaction.transition(claimed._id, 'broadcast', 'approved', { statusReason: error.message });
+    }
+  }
+
+  /**
+   * Retry approved withdrawals and settle sent ones that are confirmed or failed
+   */
+  async syncWithdrawals() {
+    const approved = await Transaction.find({ type: 'withdrawal', status: 'approved' });
+    for (const withdrawal of approved) {
+      await this.sendWithdrawal(withdrawal);
+    }
+
+    const unsent = await Transaction.find({
+      type: 'withdrawal',
+      status: 'broadcast',
+      chainTxId: { $exists: false },
+      updatedAt: { $lt: new Date(Date.now() - RESEND_AFTER_MS) }
+    });
+    for (const withdrawal of unsent) {
+      await this.dispatchWithdrawal(withdrawal);
+    }
+
+    const sent = await Transaction.find({ type: 'withdrawal', status: 'broadcast', chainTxId: { $exists: true } });
+    for (const withdrawal of sent) {
+      const transfer = await this.getGateway().getTransfer(withdrawal.currency, withdrawal.chainTxId);
+
+      // The gateway lost track of the transfer, e.g. the mock after a restart. The funds may
+      // still be on chain, so returning them could pay twice: it stays broadcast for an admin to check
+      if (transfer.unknown) {
+        if (!withdrawal.flaggedAt) {
+          await Transaction.updateOne(
+            { _id: withdrawal._id, status: 'broadcast' },
+            { $set: { flaggedAt: new Date(), statusReason: 'The payment gateway has no record of the transfer' } }
+          );
+          logger.error(`Withdrawal ${withdrawal.txHash} sent in ${withdrawal.chainTxId} is unknown to the payment gateway, flagged for review`);
+        }
+        continue;
+      }
+
+      if (transfer.failed) {
+        const failed = await this.returnWithdrawal(withdrawal._id, 'broadcast', 'failed', {
+          statusReason: transfer.reason || 'Transfer failed'
+        });
+        if (failed) logger.warn(`Withdrawal ${withdrawal.txHash} failed: ${failed.statusReason}`);
+        continue;
+      }
+
+      if (transfer.confirmations >= getCurrency(withdrawal.currency).depositConfirmations) {
+        await withTransaction(async (session) => {
+          const confirmed = await Transaction.transition(
+            withdrawal._id, 'broadcast', 'confirmed', { confirmations: transfer.confirmations, completedAt: new Date() }, session
+          );
+          if (!confirmed) return;
+          await ledger.postWithdrawalSent(
+            toUnits(confirmed.cryptoAmt, confirmed.currency), toUnits(confirmed.fee, confirmed.currency),
+            confirmed.currency, confirmed._id, session
+          );
+        });
+        logger.info(`Withdrawal ${withdrawal.txHash} confirmed`);
+      } else if (transfer.confirmations !== withdrawal.confirmations) {
+        await Transaction.updateOne({ _id: withdrawal._id }, { $set: { confirmations: transfer.confirmations } });
+      }
+    }
+  }
+
+  /**
+   * Move a withdrawal to rejected or failed and give its amount and fee back
+   * @returns {Promise<Transaction|null>} Null if it wasn't in the expected state
+   */
+  async returnWithdrawal(id, from, to, changes) {
+    const result = await withTransaction(async (session) => {
+      const returned = await Transaction.transition(id, from, to, { ...changes, completedAt: new Date() }, session);
+      if (!returned) return null;
+
+      const { players } = await ledger.postWithdrawalRelease(
+        returned.player, toUnits(returned.cryptoAmt, returned.currency), toUnits(returned.fee, returned.currency),
+        returned.currency, returned._id, session
+      );
+      return { withdrawal: returned, player: players.get(returned.player.toString()) };
+    });
+    if (!result) return null;
+
+    this.emit('wallet_changed', result.player);
+    return result.withdrawal;
+  }
+
+  async describeState(id, expected) {
+    const withdrawal = await Transaction.findOne({ _id: id, type: 'withdrawal' }).select('status');
+    if (!withdrawal) return 'Withdrawal not found';
+    return `Withdrawal is ${withdrawal.status}, expected ${expected}`;
+  }
+}
+
+// Export singleton instance
+const payments = new Payments();
+export default payments;
@@ -0,0 +1,181 @@
+import { getCurrencies, getCurrency } from '../utils/currencies.js';
+import { toUnits } from '../utils/money.js';
+import ledger from './Ledger.js';
+import logger from '../utils/logger.js';
+
+// Lowest multiplier a bet can be cashed out at for a profit
+const MIN_CASHOUT = 1.01;
+
+/**
+ * A bet refused by a risk limit. code tells clients which limit:
+ * BET_BELOW_MINIMUM, BET_ABOVE_MAXIMUM, PAYOUT_LIMIT_EXCEEDED or ROUND_LIABILITY_EXCEEDED.
+ */
+export class RiskError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RiskError';
+    this.code = code;
+  }
+}
+
+function readAmount(name) {
+  const value = parseFloat(process.env[name]);
+  return value > 0 ? value : null;
+}
+
+// Limits from the environment, what runtime settings fall back to when they are reset
+function readDefaults() {
+  return {
+    // USD limits per bet
+    minBet: readAmount('MIN_BET_AMOUNT') || 0.01,
+    maxBet: readAmount('MAX_BET_AMOUNT'),
+    maxPayout: readAmount('MAX_PAYOUT_USD'),
+    // A round can cost the house at most this share of its bankroll, no cap unless both are set.
+    // The bankroll is the capital put in outside the ledger plus the house ledger account
+    houseBankroll: readAmount('HOUSE_BANKROLL_USD'),
+    maxRoundLiabilityPct: readAmount('MAX_ROUND_LIABILITY_PCT')
+  };
+}
+
+// Floor a multiplier to the 2 decimal places the curve moves in
+function floorMultiplier(multiplier) {
+  return Math.floor(multiplier * 100) / 100;
+}
+
+/**
+ * Limits on what the house takes on: bet size in USD and per currency, the payout of a single bet
+ * and the total a round can cost the house as a share of its bankroll.
+ * Bets over a limit are refused with a RiskError. Bets that reach the maximum payout, and every open bet
+ * once the round reaches its liability cap, are cashed out by the engine.
+ */
+export class RiskManager {
+  constructor() {
+    this.defaults = readDefaults();
+    Object.assign(this, this.defaults);
+    // USD bankroll at the latest check
+    this.bankroll = null;
+  }
+
+  /**
+   * Apply runtime settings. Fields that are left out keep their current value,
+   * null goes back to the environment's value.
+   * @param {Object} settings - minBet, maxBet, maxPayout, houseBankroll, maxRoundLiabilityPct
+   */
+  applySettings(settings) {
+    for (const field of Object.keys(this.defaults)) {
+      if (settings[field] === undefined) continue;
+      this[field] = settings[field] === null ? this.defaults[field] : settings[field];
+    }
+  }
+
+  getConfig() {
+    return {
+      minBet: this.minBet,
+      maxBet: this.maxBet,
+      maxPayout: this.maxPayout,
+      // In the currency's own units, from the currency registry
+      currencyLimits: Object.fromEntries(getCurrencies().map(currency => [
+        currency.symbol,
+        { min: currency.minBet, max: currency.maxBet }
+      ])),
+      houseBankroll: this.houseBankroll,
+      maxRoundLiabilityPct: this.maxRoundLiabilityPct,
+      bankroll: this.bankroll,
+      maxRoundLiability: this.getMaxRoundLiability(this.bankroll)
+    };
+  }
+
+  /**
+   * USD the house can lose: HOUSE_BANKROLL_USD plus the house ledger account valued at the given prices.
+   * A currency without a price is left out. null without a liability cap.
+   * @param {Object} prices - USD price by symbol, the round's locked prices
+   * @param {ClientSession} [session] - Transaction session
+   */
+  async getBankroll(prices, session) {
+    // A bankroll of 0 leaves only the house ledger account
+    if (this.houseBankroll === null || !this.maxRoundLiabilityPct) return null;
+
+    const balances = await ledger.getHouseBalances(session);
+    let bankroll = this.houseBankroll;
+    for (const [currency, balance] of Object.entries(balances)) {
+      if (prices[currency]) bankroll += Number(balance) * prices[currency];
+    }
+
+    this.bankroll = Math.max(0, bankroll);
+    return this.bankroll;
+  }
+
+  /**
+   * Most a round may cost the house in USD, null without a cap
+   * @param {number|null} bankroll - From getBankroll
+   */
+  getMaxRoundLiability(bankroll) {
+    if (bankroll === null || bankroll === undefined || !this.maxRoundLiabilityPct) return null;
+    return bankroll * this.maxRoundLiabilityPct / 100;
+  }
+
+  /**
+   * Multiplier at which open bets with a total stake would cost the house its maximum round liability.
+   * The engine cashes out every open bet there.
+   * @param {number} totalStake - USD staked on the round
+   * @param {number|null} bankroll - From getBankroll
+   * @returns {number|null} Multiplier floored to 2 decimal places, null without a cap
+   */
+  getLiabilityCap(totalStake, bankroll) {
+    const maxLiability = this.getMaxRoundLiability(bankroll);
+    if (maxLiability === null || totalStake <= 0) return null;
+    return floorMultiplier(1 + maxLiability / totalStake);
+  }
+
+  /**
+   * Multiplier at which a bet reaches the maximum payout, null without one
+   */
+  getMaxCashout(usdAmount) {
+    if (!this.maxPayout) return null;
+    return floorMultiplier(this.maxPayout / usdAmount);
+  }
+
+  /**
+   * Refuse a bet that breaks a risk limit
+   * @param {GameRound} round - Round taking the bet
+   * @param {number} usdAmount - Stake in USD
+   * @param {bigint} stake - Stake in the bet currency's smallest units
+   * @param {string} currency - Currency of the bet
+   * @param {number|null} bankroll - From getBankroll
+   * @returns {{maxCashout: number|null}} Multiplier the bet is cashed out at by the maximum payout
+   * @throws {RiskError} Naming the limit
+   */
+  checkBet(round, usdAmount, stake, currency, bankroll) {
+    if (usdAmount < this.minBet) {
+      throw new RiskError('BET_BELOW_MINIMUM', `Minimum bet is $${this.minBet}`);
+    }
+    if (this.maxBet && usdAmount > this.maxBet) {
+      throw new RiskError('BET_ABOVE_MAXIMUM', `Maximum bet is $${this.maxBet}`);
+    }
+
+    const { minBet, maxBet } = getCurrency(currency) || {};
+    if (stake <= 0n) {
+      throw new RiskError('BET_BELOW_MINIMUM', `Bet is worth less than the smallest unit of ${currency}`);
+    }
+    if (minBet && stake < toUnits(minBet, currency)) {
+      throw new RiskError('BET_BELOW_MINIMUM', `Minimum bet is ${minBet} ${currency}`);
+    }
+    if (maxBet && stake > toUnits(maxBet, currency)) {
+      throw new RiskError('BET_ABOVE_MAXIMUM', `Maximum bet is ${maxBet} ${currency}`);
+    }
+
+    const maxCashout = this.getMaxCashout(usdAmount);
+    if (maxCashout !== null && maxCashout < MIN_CASHOUT) {
+      throw new RiskError('PAYOUT_LIMIT_EXCEEDED', `Maximum payout is $${this.maxPayout}, bet at most $${floorMultiplier(this.maxPayout / MIN_CASHOUT)}`);
+    }
+
+    // A round must be able to pay every bet the lowest cashout
+    const liabilityCap = this.getLiabilityCap(round.getTotalBetAmount() + usdAmount, bankroll);
+    if (liabilityCap !== null && liabilityCap < MIN_CASHOUT) {
+      logger.warn(`Round ${round.roundNumber} refused a $${usdAmount} bet over its liability limit`);
+      throw new RiskError('ROUND_LIABILITY_EXCEEDED', 'This round has reached its betting limit, try the next round');
+    }
+
+    return { maxCashout };
+  }
+}
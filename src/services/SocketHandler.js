@@ -1,22 +1,71 @@
+import Player from '../models/Player.js';
+import PlayerPresence from '../models/PlayerPresence.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { authenticateSocketToken } from '../middleware/auth.js';
+import accountLimits from './AccountLimits.js';
+import priceFetcher from '../utils/priceFetcher.js';
+import { playerRoom } from '../utils/broadcast.js';
+import { schemas } from '../utils/validation.js';
 import logger from '../utils/logger.js';
 
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2147483647;
+
+// Access token from the handshake auth payload or an Authorization header
+function getHandshakeToken(socket) {
+  const { auth, headers } = socket.handshake;
+  if (auth && auth.token) return auth.token;
+  const authHeader = headers && headers.authorization;
+  return authHeader ? authHeader.split(' ')[1] : null;
+}
+
 export class SocketHandler {
-  constructor(io, gameEngine) {
+  /**
+   * @param {Server} io - Socket.IO server of this instance
+   * @param {GameCoordinator} game - Game entry point, forwards to the leader when this instance isn't it
+   * @param {AutoBetRunner} autoBetRunner - Auto-bet plans
+   * @param {Object} [emitter] - Emitter for player and broadcast events, the cluster bridge's reaches every instance
+   */
+  constructor(io, game, autoBetRunner, emitter = io) {
     this.io = io;
-    this.gameEngine = gameEngine;
+    this.game = game;
+    this.autoBetRunner = autoBetRunner;
+    this.emitter = emitter;
+    // Keyed by player ID, a player with several tabs has one entry with several sockets
     this.connectedPlayers = new Map();
+    this.playerCheckTimer = null;
+    this.playerCheckInterval = parseInt(process.env.SOCKET_PLAYER_CHECK_MS) || 30000; // 30 seconds
+    // Connected players are recorded in MongoDB so the online count covers every instance.
+    // Entries are refreshed on this interval and expire after three missed refreshes
+    this.presenceTimer = null;
+    this.presenceInterval = parseInt(process.env.PRESENCE_REFRESH_MS) || 10000; // 10 seconds
+    // Write presence changes one at a time so a quick reconnect can't be overtaken by its disconnect
+    this.presenceQueue = Promise.resolve();
+    this.lastOnlineCount = null;
   }
 
   /**
    * Initialize socket event handlers
    */
   initialize() {
+    // Every socket must present a valid access token in the handshake
+    this.io.use((socket, next) => this.authenticateSocket(socket, next));
+
     this.io.on('connection', (socket) => {
-      logger.info(`Client connected: ${socket.id}`);
+      logger.info(`Player connected: ${socket.playerName} (${socket.playerId}) on ${socket.id}`);
 
-      // Handle player authentication/identification
-      socket.on('authenticate', (data) => {
-        this.handleAuthentication(socket, data);
+      this.addConnectedSocket(socket);
+      this.scheduleExpiry(socket);
+
+      socket.emit('authenticated', {
+        success: true,
+        playerId: socket.playerId,
+        playerName: socket.playerName
+      });
+
+      // Handle a fresh access token before the current one expires
+      socket.on('reauthenticate', (data) => {
+        this.handleReauthentication(socket, data);
       });
 
       // Handle bet placement
@@ -29,14 +78,31 @@ export class SocketHandler {
         this.handleCashoutRequest(socket, data);
       });
 
-      // Handle game state request
+      // Handle game state request, sync is the name reconnecting clients use
       socket.on('get_game_state', () => {
         this.handleGameStateRequest(socket);
       });
 
+      socket.on('sync', () => {
+        this.handleGameStateRequest(socket);
+      });
+
       // Handle player wallet request
-      socket.on('get_wallet', (data) => {
-        this.handleWalletRequest(socket, data);
+      socket.on('get_wallet', () => {
+        this.handleWalletRequest(socket);
+      });
+
+      // Handle auto-bet plans
+      socket.on('autobet_start', (data) => {
+        this.handleAutoBetStart(socket, data);
+      });
+
+      socket.on('autobet_stop', () => {
+        this.handleAutoBetStop(socket);
+      });
+
+      socket.on('autobet_status', () => {
+        this.handleAutoBetStatus(socket);
       });
 
       // Handle disconnection
@@ -48,67 +114,193 @@ export class SocketHandler {
       this.sendGameState(socket);
     });
 
+    // Forward auto-bet progress to the plan owner
+    this.autoBetRunner.on('progress', (playerId, progress) => {
+      this.emitToPlayer(playerId, 'autobet_progress', progress);
+    });
+
+    // Push balance changes to the player's sockets
+    this.game.on('wallet_changed', (player) => {
+      this.pushWalletUpdate(player);
+    });
+
+    // Kick sockets whose player was deleted, suspended or logged out
+    this.playerCheckTimer = setInterval(() => this.checkConnectedPlayers(), this.playerCheckInterval);
+
+    // Entries left by a previous process with the same instance ID are stale
+    this.updatePresence(() => PlayerPresence.clearInstance(this.game.instanceId));
+    this.presenceTimer = setInterval(() => this.refreshPresence(), this.presenceInterval);
+
     logger.info('Socket handlers initialized');
   }
 
   /**
-   * Handle player authentication
+   * Stop background checks and take this instance's players out of the online count
+   */
+  stop() {
+    if (this.playerCheckTimer) {
+      clearInterval(this.playerCheckTimer);
+      this.playerCheckTimer = null;
+    }
+    if (this.presenceTimer) {
+      clearInterval(this.presenceTimer);
+      this.presenceTimer = null;
+    }
+    return this.updatePresence(() => PlayerPresence.clearInstance(this.game.instanceId));
+  }
+
+  /**
+   * Socket.IO middleware: reject the handshake unless it carries a valid access token,
+   * and bind the socket to the token's player
    */
-  handleAuthentication(socket, data) {
+  async authenticateSocket(socket, next) {
     try {
-      const { playerId, playerName } = data;
-      
-      if (!playerId) {
-        socket.emit('error', { message: 'Player ID is required' });
+      const token = getHandshakeToken(socket);
+      if (!token) {
+        return next(new Error('Access token required'));
+      }
+
+      const { decoded, player } = await authenticateSocketToken(token);
+      this.bindIdentity(socket, decoded, player);
+      next();
+
+    } catch (error) {
+      logger.warn(`Socket authentication failed: ${error.message}`);
+      next(new Error(error.message));
+    }
+  }
+
+  /**
+   * Bind a socket to the player and token it authenticated with
+   */
+  bindIdentity(socket, decoded, player) {
+    socket.playerId = player._id.toString();
+    socket.playerName = player.name;
+    socket.tokenId = decoded.jti;
+    socket.tokenVersion = decoded.tokenVersion;
+    socket.tokenExpiresAt = decoded.exp * 1000;
+  }
+
+  /**
+   * Disconnect the socket when its access token expires
+   */
+  scheduleExpiry(socket) {
+    clearTimeout(socket.expiryTimer);
+    const delay = Math.min(Math.max(0, socket.tokenExpiresAt - Date.now()), MAX_TIMEOUT_MS);
+    socket.expiryTimer = setTimeout(() => this.kickSocket(socket, 'Session expired'), delay);
+  }
+
+  /**
+   * Handle a new access token for an already connected socket, it must belong to the same player
+   */
+  async handleReauthentication(socket, data) {
+    try {
+      const { token } = data || {};
+      if (!token) {
+        socket.emit('error', { message: 'Access token required' });
+        return;
+      }
+
+      const { decoded, player } = await authenticateSocketToken(token);
+      if (player._id.toString() !== socket.playerId) {
+        socket.emit('error', { message: 'Token belongs to another player' });
         return;
       }
 
-      // Store player info for this socket
-      this.connectedPlayers.set(socket.id, { playerId, playerName });
-      socket.playerId = playerId;
-      socket.playerName = playerName;
+      this.bindIdentity(socket, decoded, player);
+      this.scheduleExpiry(socket);
 
-      socket.emit('authenticated', { 
-        success: true, 
-        playerId, 
-        playerName 
+      socket.emit('authenticated', {
+        success: true,
+        playerId: socket.playerId,
+        playerName: socket.playerName
       });
 
-      logger.info(`Player authenticated: ${playerName} (${playerId})`);
-
     } catch (error) {
-      logger.error('Authentication error:', error);
-      socket.emit('error', { message: 'Authentication failed' });
+      logger.warn(`Socket reauthentication failed: ${error.message}`);
+      socket.emit('error', { message: error.message });
     }
   }
 
   /**
-   * Handle bet placement through socket
+   * Tell a socket why its session ended and disconnect it
    */
-  async handlePlaceBet(socket, data) {
+  kickSocket(socket, reason) {
+    logger.info(`Disconnecting ${socket.playerName} (${socket.playerId}) on ${socket.id}: ${reason}`);
+    socket.emit('session_ended', { reason });
+    socket.disconnect(true);
+  }
+
+  /**
+   * Disconnect every socket of a player
+   */
+  kickPlayer(playerId, reason) {
+    const playerInfo = this.connectedPlayers.get(playerId.toString());
+    if (!playerInfo) return;
+
+    for (const socketId of [...playerInfo.sockets]) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket) this.kickSocket(socket, reason);
+    }
+  }
+
+  /**
+   * Re-check every connected player against the database: account state, revoked sessions and session time limits
+   */
+  async checkConnectedPlayers() {
     try {
-      if (!socket.playerId) {
-        socket.emit('error', { message: 'Not authenticated' });
-        return;
+      const sockets = Array.from(this.io.sockets.sockets.values()).filter(socket => socket.playerId);
+      if (sockets.length === 0) return;
+
+      const playerIds = [...new Set(sockets.map(socket => socket.playerId))];
+      const players = await Player.find({ _id: { $in: playerIds } }).select('status selfExcludedUntil tokenVersion limits sessionStartedAt');
+      const playersById = new Map(players.map(player => [player._id.toString(), player]));
+
+      const revoked = await RevokedToken.find({ jti: { $in: sockets.map(socket => socket.tokenId) } }).select('jti');
+      const revokedIds = new Set(revoked.map(token => token.jti));
+
+      for (const socket of sockets) {
+        const player = playersById.get(socket.playerId);
+        if (!player) {
+          this.kickSocket(socket, 'Account deleted');
+        } else if (!player.canPlay()) {
+          this.kickSocket(socket, player.getBlockReason());
+        } else if (player.tokenVersion !== socket.tokenVersion || revokedIds.has(socket.tokenId)) {
+          this.kickSocket(socket, 'Session revoked');
+        } else if (accountLimits.isSessionOver(player)) {
+          this.kickSocket(socket, 'Session time limit reached');
+        }
       }
 
-      const { usdAmount, currency } = data;
+    } catch (error) {
+      logger.error('Failed to check connected players:', error);
+    }
+  }
 
-      if (!usdAmount || !currency) {
-        socket.emit('error', { message: 'USD amount and currency are required' });
+  /**
+   * Handle bet placement through socket
+   */
+  async handlePlaceBet(socket, data) {
+    try {
+      // Same rules as POST /api/game/bet
+      const { error, value } = schemas.placeBet.validate(data || {});
+      if (error) {
+        this.emitToPlayer(socket.playerId, 'error', { message: error.details[0].message });
         return;
       }
+      const { usdAmount, currency, autoCashout } = value;
 
-      const result = await this.gameEngine.placeBet(socket.playerId, usdAmount, currency);
+      const result = await this.game.placeBet(socket.playerId, usdAmount, currency, autoCashout);
       
-      socket.emit('bet_placed_success', {
-        ...result,
-        roundNumber: this.gameEngine.roundNumber
-      });
+      this.emitToPlayer(socket.playerId, 'bet_placed_success', result);
 
     } catch (error) {
       logger.error('Socket bet placement error:', error);
-      socket.emit('bet_placed_error', { message: error.message });
+      this.emitToPlayer(socket.playerId, 'bet_placed_error', {
+        message: error.message,
+        // Set when a risk limit refused the bet, or the round has no price to convert it at
+        code: typeof error.code === 'string' ? error.code : undefined
+      });
     }
   }
 
@@ -116,22 +308,64 @@ export class SocketHandler {
    * Handle cashout request through socket
    */
   async handleCashoutRequest(socket, data) {
+    const requestedAt = Date.now();
+
     try {
-      if (!socket.playerId) {
-        socket.emit('error', { message: 'Not authenticated' });
+      const result = await this.game.cashOut(socket.playerId, requestedAt);
+      
+      this.emitToPlayer(socket.playerId, 'cashout_success', result);
+
+    } catch (error) {
+      logger.error('Socket cashout error:', error);
+      this.emitToPlayer(socket.playerId, 'cashout_error', { message: error.message });
+    }
+  }
+
+  /**
+   * Handle auto-bet plan start
+   */
+  async handleAutoBetStart(socket, data) {
+    try {
+      const { error, value } = schemas.autoBet.validate(data || {});
+      if (error) {
+        this.emitToPlayer(socket.playerId, 'autobet_error', { message: error.details[0].message });
         return;
       }
 
-      const result = await this.gameEngine.cashOut(socket.playerId);
-      
-      socket.emit('cashout_success', {
-        ...result,
-        roundNumber: this.gameEngine.roundNumber
-      });
+      const plan = await this.autoBetRunner.startPlan(socket.playerId, value);
+      this.emitToPlayer(socket.playerId, 'autobet_started', plan.toProgress());
 
     } catch (error) {
-      logger.error('Socket cashout error:', error);
-      socket.emit('cashout_error', { message: error.message });
+      logger.error('Socket auto-bet start error:', error);
+      this.emitToPlayer(socket.playerId, 'autobet_error', { message: error.message });
+    }
+  }
+
+  /**
+   * Handle auto-bet plan stop
+   */
+  async handleAutoBetStop(socket) {
+    try {
+      const plan = await this.autoBetRunner.stopPlan(socket.playerId);
+      this.emitToPlayer(socket.playerId, 'autobet_stopped', plan.toProgress());
+
+    } catch (error) {
+      logger.error('Socket auto-bet stop error:', error);
+      this.emitToPlayer(socket.playerId, 'autobet_error', { message: error.message });
+    }
+  }
+
+  /**
+   * Handle auto-bet status request
+   */
+  async handleAutoBetStatus(socket) {
+    try {
+      const plan = await this.autoBetRunner.getPlan(socket.playerId);
+      this.emitToPlayer(socket.playerId, 'autobet_progress', plan ? plan.toProgress() : null);
+
+    } catch (error) {
+      logger.error('Socket auto-bet status error:', error);
+      this.emitToPlayer(socket.playerId, 'autobet_error', { message: error.message });
     }
   }
 
@@ -143,24 +377,18 @@ export class SocketHandler {
   }
 
   /**
-   * Handle wallet request
+   * Handle wallet request for the socket's player
    */
-  async handleWalletRequest(socket, data) {
+  async handleWalletRequest(socket) {
     try {
-      const { playerId } = data;
-      
-      if (!playerId) {
-        socket.emit('error', { message: 'Player ID is required' });
+      const player = await Player.findById(socket.playerId);
+      if (!player) {
+        socket.emit('error', { message: 'Player not found' });
         return;
       }
 
-      // This would typically fetch from database and calculate USD values
-      // For now, just emit a placeholder response
-      socket.emit('wallet_data', {
-        playerId,
-        wallet: { BTC: 0, ETH: 0 },
-        usdValue: 0
-      });
+      const prices = await priceFetcher.getPrices();
+      socket.emit('wallet_data', await player.getWalletView(prices));
 
     } catch (error) {
       logger.error('Wallet request error:', error);
@@ -168,47 +396,156 @@ export class SocketHandler {
     }
   }
 
+  /**
+   * Send a player's new balance to all of their sockets
+   */
+  async pushWalletUpdate(player) {
+    try {
+      const prices = await priceFetcher.getPrices();
+      this.emitToPlayer(player._id, 'wallet_update', await player.getWalletView(prices));
+
+    } catch (error) {
+      logger.error('Failed to push wallet update:', error);
+    }
+  }
+
   /**
    * Handle client disconnection
    */
   handleDisconnection(socket) {
-    const playerInfo = this.connectedPlayers.get(socket.id);
-    
-    if (playerInfo) {
-      logger.info(`Player disconnected: ${playerInfo.playerName} (${playerInfo.playerId})`);
-      this.connectedPlayers.delete(socket.id);
+    clearTimeout(socket.expiryTimer);
+    logger.info(`Player disconnected: ${socket.playerName} (${socket.playerId}) on ${socket.id}`);
+    this.removeConnectedSocket(socket);
+  }
+
+  /**
+   * Join the socket to its player's room and track the player as online
+   */
+  addConnectedSocket(socket) {
+    socket.join(playerRoom(socket.playerId));
+
+    let playerInfo = this.connectedPlayers.get(socket.playerId);
+    if (!playerInfo) {
+      playerInfo = {
+        playerId: socket.playerId,
+        playerName: socket.playerName,
+        connectedAt: new Date(),
+        sockets: new Set()
+      };
+      this.connectedPlayers.set(socket.playerId, playerInfo);
+    }
+    playerInfo.sockets.add(socket.id);
+
+    const cameOnline = playerInfo.sockets.size === 1;
+    this.updatePresence(() => PlayerPresence.track(this.game.instanceId, [this.toPresence(playerInfo)], this.getPresenceTtl()))
+      .then(() => cameOnline && this.broadcastOnlineCount());
+  }
+
+  /**
+   * Forget a disconnected socket, the player goes offline with their last socket
+   */
+  removeConnectedSocket(socket) {
+    const playerInfo = this.connectedPlayers.get(socket.playerId);
+    if (!playerInfo) return;
+
+    playerInfo.sockets.delete(socket.id);
+    if (playerInfo.sockets.size === 0) {
+      this.connectedPlayers.delete(socket.playerId);
+      this.updatePresence(() => PlayerPresence.untrack(this.game.instanceId, socket.playerId))
+        .then(() => this.broadcastOnlineCount());
     } else {
-      logger.info(`Client disconnected: ${socket.id}`);
+      this.updatePresence(() => PlayerPresence.track(this.game.instanceId, [this.toPresence(playerInfo)], this.getPresenceTtl()));
+    }
+  }
+
+  toPresence({ playerId, playerName, connectedAt, sockets }) {
+    return { playerId, playerName, connectedAt, sockets: sockets.size };
+  }
+
+  getPresenceTtl() {
+    return 3 * this.presenceInterval;
+  }
+
+  /**
+   * Queue a presence write after the ones before it, failures are logged
+   */
+  updatePresence(write) {
+    this.presenceQueue = this.presenceQueue
+      .then(write)
+      .catch(error => logger.error('Failed to update player presence:', error));
+    return this.presenceQueue;
+  }
+
+  /**
+   * Keep this instance's players online and tell clients when the cluster-wide count moved,
+   * e.g. because another instance died and its players expired
+   */
+  async refreshPresence() {
+    const players = Array.from(this.connectedPlayers.values(), playerInfo => this.toPresence(playerInfo));
+    await this.updatePresence(() => PlayerPresence.track(this.game.instanceId, players, this.getPresenceTtl()));
+
+    try {
+      if (await this.getOnlineCount() !== this.lastOnlineCount) {
+        await this.broadcastOnlineCount();
+      }
+    } catch (error) {
+      logger.error('Failed to count online players:', error);
+    }
+  }
+
+  /**
+   * Broadcast the number of unique players online across the cluster to every client
+   */
+  async broadcastOnlineCount() {
+    try {
+      const count = await this.getOnlineCount();
+      this.lastOnlineCount = count;
+      this.emitter.emit('online_count', { count });
+    } catch (error) {
+      logger.error('Failed to broadcast the online count:', error);
+    }
+  }
+
+  /**
+   * Send a snapshot of the current round, with the socket's player's own bet, to a socket
+   */
+  async sendGameState(socket) {
+    try {
+      const snapshot = await this.game.getSnapshot(socket.playerId);
+      socket.emit('game_state', snapshot);
+
+    } catch (error) {
+      logger.error('Failed to send game state:', error);
+      socket.emit('error', { message: 'Failed to get game state' });
     }
   }
 
   /**
-   * Send current game state to a socket
+   * Send an event to every socket of a player
    */
-  sendGameState(socket) {
-    const gameState = this.gameEngine.getCurrentState();
-    socket.emit('game_state', gameState);
+  emitToPlayer(playerId, event, data) {
+    this.emitter.to(playerRoom(playerId)).emit(event, data);
   }
 
   /**
    * Broadcast game state to all connected clients
    */
-  broadcastGameState() {
-    const gameState = this.gameEngine.getCurrentState();
-    this.io.emit('game_state', gameState);
+  async broadcastGameState() {
+    const gameState = await this.game.getCurrentState();
+    this.emitter.emit('game_state', gameState);
   }
 
   /**
-   * Get connected players count
+   * Get the number of unique players online on any instance
    */
-  getConnectedPlayersCount() {
-    return this.connectedPlayers.size;
+  getOnlineCount() {
+    return PlayerPresence.countOnline();
   }
 
   /**
-   * Get list of connected players
+   * Get the players online on any instance
    */
-  getConnectedPlayersList() {
-    return Array.from(this.connectedPlayers.values());
+  getOnlinePlayers() {
+    return PlayerPresence.listOnline();
   }
 }
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Socket.IO room every socket of a player joins, for events only that player should see
+ * @param {string} playerId - Player ID
+ * @returns {string} Room name
+ */
+export function playerRoom(playerId) {
+  return `player:${playerId}`;
+}
+
+/**
+ * Read the public feed privacy mode from the environment
+ * @returns {string} 'public' shows who bet and cashed out, 'anonymous' hides it
+ */
+export function getFeedPrivacy() {
+  return process.env.FEED_PRIVACY_MODE === 'anonymous' ? 'anonymous' : 'public';
+}
+
+/**
+ * Player fields for a public bet or cashout feed entry
+ * @param {string} playerId - Player ID
+ * @param {string} playerName - Display name
+ * @param {string} privacy - Feed privacy mode
+ * @returns {Object} { playerId, playerName }, with the player hidden in anonymous mode
+ */
+export function toFeedPlayer(playerId, playerName, privacy) {
+  if (privacy === 'anonymous') {
+    return { playerId: null, playerName: 'Anonymous' };
+  }
+  return { playerId, playerName };
+}
@@ -1,33 +1,91 @@
 import crypto from 'crypto';
 
 /**
- * Generate a provably fair crash point using SHA256
- * @param {string} seed - Random seed for the round
- * @param {number} roundNumber - Current round number
- * @returns {number} Crash point between 1.0 and 13.0
+ * SHA256 hex digest of a string
+ * @param {string} value - Value to hash
+ * @returns {string} Hex digest
  */
-export function generateCrashPoint(seed, roundNumber) {
+export function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Read the crash point distribution settings from the environment
+ * @returns {{houseEdge: number, minMultiplier: number, maxMultiplier: number}} Distribution config
+ */
+export function getCrashPointConfig() {
+  const houseEdge = parseFloat(process.env.HOUSE_EDGE);
+  return {
+    houseEdge: houseEdge >= 0 && houseEdge < 1 ? houseEdge : 0.01,
+    minMultiplier: parseFloat(process.env.MIN_MULTIPLIER) || 1.0,
+    maxMultiplier: parseFloat(process.env.MAX_MULTIPLIER) || 100.0
+  };
+}
+
+/**
+ * Derive a crash point and every intermediate value used to produce it.
+ *
+ * The first 52 bits of the HMAC are turned into a uniform U in [0, 1) and mapped
+ * through the inverse distribution (1 - edge) / (1 - U). That gives
+ * P(crash >= x) = (1 - edge) / x, so every cashout target returns (1 - edge) on
+ * average. Results below the minimum multiplier are instant busts, which happens
+ * with probability equal to the house edge, and results are capped at the maximum.
+ * @param {string} serverSeed - Server seed taken from the hash chain
+ * @param {string} clientSeed - Client seed mixed into the round
+ * @param {number} nonce - Round nonce (the round number)
+ * @param {Object} [config] - Distribution config, defaults to the environment
+ * @returns {Object} Input string, HMAC hash, extracted values and crash point
+ */
+export function deriveCrashPoint(serverSeed, clientSeed, nonce, config = getCrashPointConfig()) {
+  const { houseEdge, minMultiplier, maxMultiplier } = config;
+  const input = `${clientSeed}:${nonce}`;
+  const hash = crypto.createHmac('sha256', serverSeed).update(input).digest('hex');
+
+  // Use first 13 hex characters (52 bits) of hash for randomness
+  const randomValue = parseInt(hash.slice(0, 13), 16);
+  const uniform = randomValue / 2 ** 52;
+
+  // Floor to 2 decimal places so the edge is never rounded in the player's favour
+  const rawCrashPoint = (1 - houseEdge) / (1 - uniform);
+  let crashPoint = Math.floor(rawCrashPoint * 100) / 100;
+  if (crashPoint < minMultiplier) {
+    crashPoint = minMultiplier;
+  }
+  if (crashPoint > maxMultiplier) {
+    crashPoint = maxMultiplier;
+  }
+
+  return {
+    input,
+    hash,
+    randomValue,
+    uniform,
+    houseEdge,
+    maxMultiplier,
+    instantBust: rawCrashPoint < minMultiplier,
+    crashPoint
+  };
+}
+
+/**
+ * Generate a provably fair crash point from a server seed and a client seed
+ * @param {string} serverSeed - Server seed taken from the hash chain
+ * @param {string} clientSeed - Client seed mixed into the round
+ * @param {number} nonce - Round nonce (the round number)
+ * @param {Object} [config] - Distribution config, defaults to the environment
+ * @returns {number} Crash point between the configured minimum and maximum multiplier
+ */
+export function generateCrashPoint(serverSeed, clientSeed, nonce, config) {
   try {
-    const input = `${seed}-${roundNumber}`;
-    const hash = crypto.createHash('sha256').update(input).digest('hex');
-    
-    // Use first 6 characters of hash for randomness
-    const randomValue = parseInt(hash.slice(0, 6), 16);
-    
-    // Generate crash point between 1.0 and 13.0
-    const maxCrashPoint = parseFloat(process.env.MAX_CRASH_POINT) || 13.0;
-    const crashPoint = (randomValue % (maxCrashPoint * 10 - 10)) / 10 + 1.0;
-    
-    // Round to 2 decimal places
-    return Math.round(crashPoint * 100) / 100;
+    return deriveCrashPoint(serverSeed, clientSeed, nonce, config).crashPoint;
   } catch (error) {
     console.error('Error generating crash point:', error);
-    return 2.0; // Fallback crash point
+    return 1.0; // Fallback crash point (instant bust)
   }
 }
 
 /**
- * Generate a random seed for a game round
+ * Generate a random seed
  * @returns {string} Random seed
  */
 export function generateSeed() {
@@ -35,13 +93,123 @@ export function generateSeed() {
 }
 
 /**
- * Verify crash point using seed and round number
- * @param {string} seed - The seed used
- * @param {number} roundNumber - Round number
+ * Generate a random client seed for a player
+ * @returns {string} Random client seed
+ */
+export function generateClientSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Derive a server seed from a reverse hash chain.
+ * The chain is built by hashing the root seed repeatedly: the seed at index
+ * `length` is the root and every seed is the hash of the one after it, so the
+ * seed at index 0 is the terminal hash that gets published up front.
+ * @param {string} rootSeed - Secret seed at the end of the chain
+ * @param {number} length - Number of playable seeds in the chain
+ * @param {number} index - Index of the seed to derive (1 = first round)
+ * @returns {string} Server seed
+ */
+export function deriveChainSeed(rootSeed, length, index) {
+  if (index < 0 || index > length) {
+    throw new Error(`Chain index ${index} is out of range`);
+  }
+
+  let seed = rootSeed;
+  for (let i = length; i > index; i--) {
+    seed = sha256(seed);
+  }
+  return seed;
+}
+
+/**
+ * Combine the client seeds contributed by players into a single round seed, with the inputs it came from.
+ * Entries are sorted so the result does not depend on bet order.
+ * @param {Array<{clientSeed: string, nonce: number}>} entries - Player contributions
+ * @param {string} fallbackSeed - Seed used when nobody contributed
+ * @returns {{fallbackSeed: string, contributions: string[], clientSeed: string}} Sorted clientSeed:nonce
+ *   contributions and the combined client seed, sha256 of fallbackSeed|contribution|contribution...
+ */
+export function describeClientSeed(entries, fallbackSeed) {
+  const contributions = (entries || [])
+    .map(entry => `${entry.clientSeed}:${entry.nonce}`)
+    .sort();
+  const clientSeed = contributions.length === 0
+    ? fallbackSeed
+    : sha256(`${fallbackSeed}|${contributions.join('|')}`);
+  return { fallbackSeed, contributions, clientSeed };
+}
+
+/**
+ * Combine the client seeds contributed by players into a single round seed
+ * @param {Array<{clientSeed: string, nonce: number}>} entries - Player contributions
+ * @param {string} fallbackSeed - Seed used when nobody contributed
+ * @returns {string} Combined client seed
+ */
+export function combineClientSeeds(entries, fallbackSeed) {
+  return describeClientSeed(entries, fallbackSeed).clientSeed;
+}
+
+/**
+ * Verify that a revealed server seed belongs to the chain
+ * @param {string} serverSeed - Revealed seed
+ * @param {string} previousHash - Seed of the previous round, or the terminal hash
+ * @returns {boolean} True if the seed hashes to the previous link
+ */
+export function verifyChainLink(serverSeed, previousHash) {
+  return sha256(serverSeed) === previousHash;
+}
+
+/**
+ * Verify crash point using the revealed seeds
+ * @param {string} serverSeed - The server seed used
+ * @param {string} clientSeed - The client seed used
+ * @param {number} nonce - Round nonce
  * @param {number} crashPoint - Claimed crash point
+ * @param {Object} [config] - Distribution config the round was played with
  * @returns {boolean} True if crash point is valid
  */
-export function verifyCrashPoint(seed, roundNumber, crashPoint) {
-  const calculatedCrashPoint = generateCrashPoint(seed, roundNumber);
+export function verifyCrashPoint(serverSeed, clientSeed, nonce, crashPoint, config) {
+  const calculatedCrashPoint = generateCrashPoint(serverSeed, clientSeed, nonce, config);
   return Math.abs(calculatedCrashPoint - crashPoint) < 0.01;
-}
\ No newline at end of file
+}
+
+/**
+ * Verify a completed round end to end
+ * @param {Object} round - Round with roundNumber, seed, seedHash, clientSeed, nonce and crashPoint,
+ *   plus the houseEdge and maxMultiplier it was played with
+ * @param {string} [previousHash] - Previous seed in the chain (or terminal hash) to check the link against
+ * @param {Object} [seedInputs] - What the client seed must be combined from: previousBets, the stored bets
+ *   of the round before, and chainClientSeed, the chain's public client seed. Without them the server could
+ *   store any client seed that gives the crash point it wants
+ * @returns {Object} Derivation and the result of every check
+ */
+export function verifyRound(round, previousHash, seedInputs) {
+  const config = getCrashPointConfig();
+  if (round.houseEdge !== undefined && round.houseEdge !== null) config.houseEdge = round.houseEdge;
+  if (round.maxMultiplier) config.maxMultiplier = round.maxMultiplier;
+
+  const derivation = deriveCrashPoint(round.seed, round.clientSeed, round.nonce, config);
+  const checks = {
+    crashPoint: Math.abs(derivation.crashPoint - round.crashPoint) < 0.01,
+    seedHash: sha256(round.seed) === round.seedHash,
+    nonce: round.nonce === round.roundNumber
+  };
+  if (previousHash) {
+    checks.chainLink = verifyChainLink(round.seed, previousHash);
+  }
+  let clientSeedDerivation = null;
+  if (seedInputs) {
+    clientSeedDerivation = describeClientSeed(seedInputs.previousBets, seedInputs.chainClientSeed);
+    checks.clientSeed = clientSeedDerivation.clientSeed === round.clientSeed;
+  }
+
+  return {
+    roundNumber: round.roundNumber,
+    derivation,
+    clientSeedDerivation,
+    storedCrashPoint: round.crashPoint,
+    checks,
+    valid: Object.values(checks).every(Boolean)
+  };
+}
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import logger from './logger.js';
+
+/**
+ * Currencies the game knows about.
+ * priceFeedId is the CoinGecko coin id, binanceSymbol and krakenPair the markets the other price sources
+ * quote it on (<SYMBOL>USDT and <SYMBOL>USD when left out, null when there is none),
+ * decimals the smallest unit the currency can be split into,
+ * displayDecimals how many of those decimals to show people (see formatAmount in money.js),
+ * minBet and maxBet limit a bet in the currency's own units (null for no limit)
+ * and startingBalance is credited on registration.
+ * depositConfirmations is how many confirmations a deposit needs before it is credited and a withdrawal
+ * before it is final, withdrawalFee the flat fee charged on a withdrawal and minWithdrawal the smallest one.
+ */
+const BUILT_IN_CURRENCIES = [
+  {
+    symbol: 'BTC', name: 'Bitcoin', priceFeedId: 'bitcoin', krakenPair: 'XBTUSD', decimals: 8, displayDecimals: 8,
+    minBet: null, maxBet: null, startingBalance: 0.01,
+    depositConfirmations: 2, withdrawalFee: 0.0001, minWithdrawal: 0.0005
+  },
+  {
+    symbol: 'ETH', name: 'Ethereum', priceFeedId: 'ethereum', decimals: 18, displayDecimals: 6,
+    minBet: null, maxBet: null, startingBalance: 0.1,
+    depositConfirmations: 12, withdrawalFee: 0.002, minWithdrawal: 0.01
+  },
+  {
+    symbol: 'USDT', name: 'Tether', priceFeedId: 'tether', binanceSymbol: null, decimals: 6, displayDecimals: 2,
+    minBet: null, maxBet: null, startingBalance: 0,
+    depositConfirmations: 12, withdrawalFee: 5, minWithdrawal: 20
+  },
+  {
+    symbol: 'SOL', name: 'Solana', priceFeedId: 'solana', decimals: 9, displayDecimals: 4,
+    minBet: null, maxBet: null, startingBalance: 0,
+    depositConfirmations: 32, withdrawalFee: 0.01, minWithdrawal: 0.1
+  },
+  {
+    symbol: 'LTC', name: 'Litecoin', priceFeedId: 'litecoin', decimals: 8, displayDecimals: 8,
+    minBet: null, maxBet: null, startingBalance: 0,
+    depositConfirmations: 6, withdrawalFee: 0.001, minWithdrawal: 0.01
+  }
+];
+
+const DEFAULT_ENABLED = ['BTC', 'ETH'];
+
+let registry = null;
+
+function readAmount(name) {
+  const value = parseFloat(process.env[name]);
+  return value > 0 ? value : null;
+}
+
+/**
+ * Build the registry from the built-in definitions, the JSON file in CURRENCY_CONFIG (an array of
+ * definitions, added or merged by symbol) and the CURRENCIES list of enabled symbols.
+ * MIN_BET_<SYMBOL> and MAX_BET_<SYMBOL> override a currency's bet limits, DEPOSIT_CONFIRMATIONS_<SYMBOL>,
+ * WITHDRAWAL_FEE_<SYMBOL> and MIN_WITHDRAWAL_<SYMBOL> its deposit and withdrawal settings.
+ */
+function loadRegistry() {
+  const definitions = new Map(BUILT_IN_CURRENCIES.map(currency => [currency.symbol, { ...currency }]));
+
+  if (process.env.CURRENCY_CONFIG) {
+    const custom = JSON.parse(fs.readFileSync(process.env.CURRENCY_CONFIG, 'utf8'));
+    for (const currency of custom) {
+      const symbol = currency.symbol.toUpperCase();
+      definitions.set(symbol, { ...definitions.get(symbol), ...currency, symbol });
+    }
+  }
+
+  const enabled = process.env.CURRENCIES
+    ? process.env.CURRENCIES.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean)
+    : DEFAULT_ENABLED;
+
+  const currencies = new Map();
+  for (const symbol of enabled) {
+    const currency = definitions.get(symbol);
+    if (!currency || !currency.priceFeedId || !Number.isInteger(currency.decimals)) {
+      throw new Error(`Currency ${symbol} needs a definition with a priceFeedId and decimals`);
+    }
+    currency.minBet = readAmount(`MIN_BET_${symbol}`) || currency.minBet || null;
+    currency.maxBet = readAmount(`MAX_BET_${symbol}`) || currency.maxBet || null;
+    currency.depositConfirmations = readAmount(`DEPOSIT_CONFIRMATIONS_${symbol}`) || currency.depositConfirmations || 1;
+    currency.withdrawalFee = readAmount(`WITHDRAWAL_FEE_${symbol}`) || currency.withdrawalFee || 0;
+    currency.minWithdrawal = readAmount(`MIN_WITHDRAWAL_${symbol}`) || currency.minWithdrawal || null;
+    currencies.set(symbol, Object.freeze(currency));
+  }
+
+  logger.info(`Currencies enabled: ${[...currencies.keys()].join(', ')}`);
+  return currencies;
+}
+
+function getRegistry() {
+  if (!registry) registry = loadRegistry();
+  return registry;
+}
+
+/**
+ * Every enabled currency
+ * @returns {Array<Object>} Currency definitions in configured order
+ */
+export function getCurrencies() {
+  return [...getRegistry().values()];
+}
+
+/**
+ * Symbols of the enabled currencies, e.g. ['BTC', 'ETH']
+ */
+export function getCurrencySymbols() {
+  return [...getRegistry().keys()];
+}
+
+/**
+ * Definition of an enabled currency
+ * @param {string} symbol - Currency symbol
+ * @returns {Object|null} Currency definition, null if it isn't enabled
+ */
+export function getCurrency(symbol) {
+  return getRegistry().get(symbol) || null;
+}
+
+/**
+ * Check that a currency is enabled, used by the schemas to validate currency fields
+ */
+export function isSupportedCurrency(symbol) {
+  return typeof symbol === 'string' && getRegistry().has(symbol);
+}
+
+/**
+ * Error message for a currency that isn't enabled
+ */
+export function unsupportedCurrencyMessage() {
+  return `Invalid currency. Must be one of ${getCurrencySymbols().join(', ')}`;
+}
+
+/**
+ * Balance every new player is credited with, per currency
+ */
+export function getStartingBalance() {
+  const balance = {};
+  for (const currency of getCurrencies()) {
+    if (currency.startingBalance > 0) balance[currency.symbol] = currency.startingBalance;
+  }
+  return balance;
+}
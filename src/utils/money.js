@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import { getCurrency } from './currencies.js';
+
+/**
+ * Exact crypto amounts. Amounts are held as BigInt counts of a currency's smallest unit
+ * (satoshi for BTC, wei for ETH) and stored as Decimal128 in the currency's own units.
+ * Floats only appear for USD values and prices, which are rounded to cents.
+ *
+ * Rounding rules: stakes converted from USD and payouts are rounded down, so the house never
+ * pays out a fraction of a unit it doesn't have. Amounts parsed from config or old float data
+ * are rounded to the nearest unit.
+ */
+
+// Prices are scaled to this many decimal places for integer conversion
+const PRICE_DECIMALS = 8;
+
+function decimalsOf(currency) {
+  const definition = getCurrency(currency);
+  if (!definition) {
+    throw new Error(`Unknown currency ${currency}`);
+  }
+  return definition.decimals;
+}
+
+function pow10(exponent) {
+  return 10n ** BigInt(exponent);
+}
+
+/**
+ * Parse a decimal number into an integer and a scale, value = digits / 10^scale.
+ * Accepts plain and exponent notation, as Decimal128 prints small values like 1E-8.
+ */
+function parseDecimal(value) {
+  const match = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(String(value).trim());
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  const [, sign, whole = '', fraction = '', exponent = '0'] = match;
+
+  let digits = BigInt(`${whole}${fraction}` || '0');
+  let scale = fraction.length - parseInt(exponent, 10);
+  if (scale < 0) {
+    digits *= pow10(-scale);
+    scale = 0;
+  }
+  return { digits: sign === '-' ? -digits : digits, scale };
+}
+
+// Divide rounding down (toward negative infinity) or to the nearest, half away from zero
+function divide(numerator, denominator, rounding) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  if (rounding === 'down') {
+    return numerator < 0n ? quotient - 1n : quotient;
+  }
+  const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+  if (twice >= denominator) {
+    return numerator < 0n ? quotient - 1n : quotient + 1n;
+  }
+  return quotient;
+}
+
+/**
+ * Amount in a currency's smallest units
+ * @param {bigint|string|number|Decimal128} amount - BigInt units are returned as they are, anything else is in currency units
+ * @param {string} currency - Currency symbol
+ * @param {string} [rounding] - 'nearest' or 'down' when the amount has more decimals than the currency
+ * @returns {bigint} Smallest units
+ */
+export function toUnits(amount, currency, rounding = 'nearest') {
+  if (typeof amount === 'bigint') return amount;
+  if (amount === null || amount === undefined) return 0n;
+
+  const decimals = decimalsOf(currency);
+  const { digits, scale } = parseDecimal(amount);
+  if (scale <= decimals) {
+    return digits * pow10(decimals - scale);
+  }
+  return divide(digits, pow10(scale - decimals), rounding);
+}
+
+/**
+ * Plain decimal string in currency units, without trailing zeros: 1000000n BTC is '0.01'
+ */
+export function fromUnits(units, currency) {
+  return unitsToString(units, decimalsOf(currency));
+}
+
+function unitsToString(units, decimals) {
+  const negative = units < 0n;
+  const padded = (negative ? -units : units).toString().padStart(decimals + 1, '0');
+  const whole = padded.slice(0, padded.length - decimals);
+  const fraction = padded.slice(padded.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Decimal128 to store for an amount in smallest units
+ */
+export function toDecimal128(units, currency) {
+  return mongoose.Types.Decimal128.fromString(fromUnits(units, currency));
+}
+
+/**
+ * Plain decimal string of a stored amount, used as the getter of Decimal128 paths
+ * so documents read and serialize amounts as strings like '0.00000001' rather than '1E-8'
+ */
+export function decimalToString(value) {
+  if (value === null || value === undefined) return value;
+  const { digits, scale } = parseDecimal(value.toString());
+  return unitsToString(digits, scale);
+}
+
+/**
+ * Approximate number for display and USD maths, never for balances
+ */
+export function toNumber(amount, currency) {
+  return Number(typeof amount === 'bigint' ? fromUnits(amount, currency) : decimalToString(amount));
+}
+
+/**
+ * Convert a USD amount to the currency at a price, rounded down
+ * @param {number} usd - USD amount, cents precision
+ * @param {number} price - USD price of one unit of the currency
+ * @returns {bigint} Smallest units
+ */
+export function usdToUnits(usd, price, currency) {
+  const decimals = decimalsOf(currency);
+  const cents = BigInt(Math.round(usd * 100));
+  const scaledPrice = BigInt(Math.round(price * 10 ** PRICE_DECIMALS));
+  if (scaledPrice <= 0n) {
+    throw new Error(`No price for ${currency}`);
+  }
+  return divide(cents * pow10(decimals + PRICE_DECIMALS), scaledPrice * 100n, 'down');
+}
+
+/**
+ * USD value of an amount at a price, rounded to the nearest cent
+ * @returns {number} USD
+ */
+export function unitsToUsd(units, price, currency) {
+  const decimals = decimalsOf(currency);
+  const scaledPrice = BigInt(Math.round(price * 10 ** PRICE_DECIMALS));
+  const cents = divide(units * scaledPrice * 100n, pow10(decimals + PRICE_DECIMALS), 'nearest');
+  return Number(cents) / 100;
+}
+
+/**
+ * Amount times a multiplier on the 2 decimal place curve, rounded down
+ * @param {bigint} units - Smallest units
+ * @param {number} multiplier - e.g. 2.35
+ * @returns {bigint} Smallest units
+ */
+export function multiplyUnits(units, multiplier) {
+  return divide(units * BigInt(Math.round(multiplier * 100)), 100n, 'down');
+}
+
+/**
+ * Amount for people: rounded to the currency's display decimals, with its symbol
+ * @returns {string} e.g. '0.00123457 BTC'
+ */
+export function formatAmount(units, currency) {
+  const definition = getCurrency(currency);
+  const decimals = definition ? definition.decimals : 0;
+  const display = Math.min(definition && definition.displayDecimals !== undefined ? definition.displayDecimals : decimals, decimals);
+  const rounded = divide(units, pow10(decimals - display), 'nearest');
+  const text = unitsToString(rounded, display);
+  const [whole, fraction = ''] = text.split('.');
+  return `${whole}${display > 0 ? `.${fraction.padEnd(display, '0')}` : ''} ${currency}`;
+}
@@ -0,0 +1,30 @@
+/**
+ * Read the multiplier growth rate from the environment
+ * @returns {number} Growth rate k per millisecond in multiplier = e^(k·t)
+ */
+export function getGrowthRate() {
+  const growthRate = parseFloat(process.env.MULTIPLIER_GROWTH_RATE);
+  return growthRate > 0 ? growthRate : 0.00006; // 2x after ~11.5s, 10x after ~38s
+}
+
+/**
+ * Multiplier after a given time since the round started
+ * @param {number} elapsedMs - Milliseconds since the multiplier started
+ * @param {number} growthRate - Growth rate per millisecond
+ * @returns {number} Multiplier floored to 2 decimal places
+ */
+export function multiplierAt(elapsedMs, growthRate) {
+  if (elapsedMs <= 0) return 1.0;
+  return Math.floor(Math.exp(growthRate * elapsedMs) * 100) / 100;
+}
+
+/**
+ * Time it takes the curve to reach a multiplier
+ * @param {number} multiplier - Target multiplier
+ * @param {number} growthRate - Growth rate per millisecond
+ * @returns {number} Milliseconds since the multiplier started
+ */
+export function elapsedForMultiplier(multiplier, growthRate) {
+  if (multiplier <= 1) return 0;
+  return Math.ceil(Math.log(multiplier) / growthRate);
+}
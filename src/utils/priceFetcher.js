@@ -1,83 +1,242 @@
-import axios from 'axios';
+import { getCurrencies } from './currencies.js';
+import { createPriceSources } from './priceSources.js';
 import logger from './logger.js';
 
+/**
+ * No usable price for a currency. code is PRICE_UNAVAILABLE when none was ever fetched,
+ * PRICE_STALE when the last one is older than PRICE_MAX_AGE_MS.
+ */
+export class PriceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PriceError';
+    this.code = code;
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Price oracle: asks every configured source (see priceSources.js) for USD prices and takes the
+ * median per currency, leaving out quotes further than PRICE_MAX_DEVIATION_PCT from it. A currency
+ * keeps its last price when fewer than PRICE_MIN_SOURCES quotes agree, and that price goes stale
+ * after PRICE_MAX_AGE_MS. There are no made up fallback prices: getPrice refuses a stale price.
+ */
 class PriceFetcher {
   constructor() {
-    this.cache = new Map();
+    this.sources = null;
+    // symbol -> { price, updatedAt, sources }
+    this.prices = new Map();
+    // source name -> health, updated by fetchFrom
+    this.health = new Map();
     this.cacheTimeout = parseInt(process.env.PRICE_CACHE_DURATION_MS) || 10000; // 10 seconds
-    this.apiUrl = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
-    
-    // Fallback prices in case API fails
-    this.fallbackPrices = {
-      BTC: 45000,
-      ETH: 2500
-    };
+    this.maxAge = parseInt(process.env.PRICE_MAX_AGE_MS) || 60000;
+    this.maxDeviation = parseFloat(process.env.PRICE_MAX_DEVIATION_PCT) || 2;
+    this.minSources = parseInt(process.env.PRICE_MIN_SOURCES) || 1;
+    this.lastRefreshAt = 0;
+    this.refreshing = null;
+    this.timer = null;
+  }
+
+  getSources() {
+    if (!this.sources) {
+      this.sources = createPriceSources();
+      for (const source of this.sources) {
+        this.health.set(source.name, {
+          source: source.name,
+          lastSuccessAt: null,
+          lastFailureAt: null,
+          lastError: null,
+          consecutiveFailures: 0,
+          latencyMs: null,
+          rejectedQuotes: 0,
+          lastRejected: null
+        });
+      }
+    }
+    return this.sources;
   }
 
   /**
-   * Get current crypto prices with caching
-   * @returns {Promise<Object>} Prices object with BTC and ETH
+   * Refresh prices every PRICE_CACHE_DURATION_MS in the background, so requests don't wait on the sources
    */
-  async getPrices() {
-    const cacheKey = 'crypto_prices';
-    const cached = this.cache.get(cacheKey);
-    
-    // Return cached prices if still valid
-    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-      logger.debug('Returning cached prices');
-      return cached.data;
+  start() {
+    if (this.timer) return;
+    this.refresh();
+    this.timer = setInterval(() => this.refresh(), this.cacheTimeout);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Fetch from every source and update the prices. One refresh runs at a time, callers during one share it.
+   * Never throws, failures show in the source health and as prices getting stale.
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.fetchAll()
+        .catch(error => logger.error('Price refresh failed:', error))
+        .finally(() => {
+          this.lastRefreshAt = Date.now();
+          this.refreshing = null;
+        });
     }
+    return this.refreshing;
+  }
 
-    try {
-      logger.debug('Fetching fresh prices from CoinGecko');
-      const response = await axios.get(`${this.apiUrl}/simple/price`, {
-        params: {
-          ids: 'bitcoin,ethereum',
-          vs_currencies: 'usd'
-        },
-        timeout: 5000
+  async fetchAll() {
+    const currencies = getCurrencies();
+    const sources = this.getSources();
+    const results = await Promise.all(sources.map(source => this.fetchFrom(source, currencies)));
+
+    const now = Date.now();
+    for (const currency of currencies) {
+      const quotes = [];
+      results.forEach((prices, i) => {
+        if (prices && prices[currency.symbol]) {
+          quotes.push({ source: sources[i].name, price: prices[currency.symbol] });
+        }
       });
+      if (quotes.length === 0) continue;
 
-      const prices = {
-        BTC: response.data.bitcoin?.usd || this.fallbackPrices.BTC,
-        ETH: response.data.ethereum?.usd || this.fallbackPrices.ETH
-      };
+      // Quotes far from the median are wrong or from a market that moved away, leave them out
+      const middle = median(quotes.map(quote => quote.price));
+      const accepted = [];
+      for (const quote of quotes) {
+        const deviation = Math.abs(quote.price - middle) / middle * 100;
+        if (deviation <= this.maxDeviation) {
+          accepted.push(quote);
+        } else {
+          const health = this.health.get(quote.source);
+          health.rejectedQuotes += 1;
+          health.lastRejected = { currency: currency.symbol, price: quote.price, median: middle, at: new Date(now) };
+          logger.warn(`Price source ${quote.source} quoted ${currency.symbol} at ${quote.price}, ${deviation.toFixed(2)}% from the median ${middle}, left out`);
+        }
+      }
 
-      // Cache the prices
-      this.cache.set(cacheKey, {
-        data: prices,
-        timestamp: Date.now()
+      if (accepted.length < this.minSources) {
+        logger.warn(`Only ${accepted.length} price sources agree on ${currency.symbol}, ${this.minSources} needed, keeping the last price`);
+        continue;
+      }
+
+      this.prices.set(currency.symbol, {
+        price: median(accepted.map(quote => quote.price)),
+        updatedAt: now,
+        sources: accepted.map(quote => quote.source)
       });
+    }
 
-      logger.info('Updated crypto prices:', prices);
-      return prices;
+    logger.debug('Updated crypto prices:', this.getPricesNow());
+  }
 
+  // Prices from one source, null when it failed
+  async fetchFrom(source, currencies) {
+    const health = this.health.get(source.name);
+    const startedAt = Date.now();
+    try {
+      const prices = await source.fetchPrices(currencies);
+      health.lastSuccessAt = new Date();
+      health.latencyMs = Date.now() - startedAt;
+      health.consecutiveFailures = 0;
+      health.lastError = null;
+      return prices;
     } catch (error) {
-      logger.warn('Failed to fetch prices from CoinGecko, using fallback or cached:', error.message);
-      
-      // Return cached data even if expired, or fallback prices
-      if (cached) {
-        return cached.data;
-      }
-      
-      return this.fallbackPrices;
+      health.lastFailureAt = new Date();
+      health.latencyMs = Date.now() - startedAt;
+      health.consecutiveFailures += 1;
+      health.lastError = error.message;
+      logger.warn(`Failed to fetch prices from ${source.name}: ${error.message}`);
+      return null;
     }
   }
 
+  // Refresh first when the background refresh isn't running or fell behind
+  async ensureFresh() {
+    if (Date.now() - this.lastRefreshAt >= this.cacheTimeout) {
+      await this.refresh();
+    }
+  }
+
+  getPricesNow() {
+    return Object.fromEntries([...this.prices].map(([symbol, { price }]) => [symbol, price]));
+  }
+
   /**
-   * Get price for a specific currency
-   * @param {string} currency - BTC or ETH
+   * Last known prices, for showing values. Stale prices are included, a currency without any is left out.
+   * @returns {Promise<Object>} USD price by currency symbol
+   */
+  async getPrices() {
+    await this.ensureFresh();
+    return this.getPricesNow();
+  }
+
+  /**
+   * Get a price to convert money at
+   * @param {string} currency - Currency symbol, e.g. BTC
+   * @param {Object} [options] - allowStale to accept a price older than PRICE_MAX_AGE_MS
    * @returns {Promise<number>} Price in USD
+   * @throws {PriceError} When there is no price, or only a stale one
    */
-  async getPrice(currency) {
-    const prices = await this.getPrices();
-    return prices[currency] || this.fallbackPrices[currency];
+  async getPrice(currency, { allowStale = false } = {}) {
+    await this.ensureFresh();
+    const info = this.getPriceInfo(currency);
+
+    if (info.price === null) {
+      throw new PriceError('PRICE_UNAVAILABLE', `No ${currency} price available, try again later`);
+    }
+    if (info.stale && !allowStale) {
+      throw new PriceError('PRICE_STALE', `${currency} price is ${Math.round(info.ageMs / 1000)}s old, try again later`);
+    }
+    return info.price;
+  }
+
+  /**
+   * Price of a currency with its age and the sources it came from
+   */
+  getPriceInfo(currency) {
+    const known = this.prices.get(currency);
+    if (!known) {
+      return { currency, price: null, updatedAt: null, ageMs: null, stale: true, sources: [] };
+    }
+
+    const ageMs = Date.now() - known.updatedAt;
+    return {
+      currency,
+      price: known.price,
+      updatedAt: new Date(known.updatedAt),
+      ageMs,
+      stale: ageMs > this.maxAge,
+      sources: known.sources
+    };
+  }
+
+  /**
+   * Prices and source health for the health endpoint. healthy when every enabled currency has a fresh price.
+   */
+  getStatus() {
+    this.getSources();
+    const currencies = getCurrencies().map(currency => this.getPriceInfo(currency.symbol));
+    return {
+      healthy: currencies.every(info => !info.stale),
+      maxAgeMs: this.maxAge,
+      maxDeviationPct: this.maxDeviation,
+      minSources: this.minSources,
+      currencies,
+      sources: [...this.health.values()]
+    };
   }
 
   /**
    * Convert USD to crypto amount
    * @param {number} usdAmount - Amount in USD
-   * @param {string} currency - BTC or ETH
+   * @param {string} currency - Currency symbol, e.g. BTC
    * @returns {Promise<number>} Crypto amount
    */
   async usdToCrypto(usdAmount, currency) {
@@ -88,7 +247,7 @@ class PriceFetcher {
   /**
    * Convert crypto amount to USD
    * @param {number} cryptoAmount - Amount in crypto
-   * @param {string} currency - BTC or ETH
+   * @param {string} currency - Currency symbol, e.g. BTC
    * @returns {Promise<number>} USD amount
    */
   async cryptoToUsd(cryptoAmount, currency) {
@@ -97,14 +256,15 @@ class PriceFetcher {
   }
 
   /**
-   * Clear price cache (useful for testing)
+   * Forget every price (useful for testing)
    */
   clearCache() {
-    this.cache.clear();
+    this.prices.clear();
+    this.lastRefreshAt = 0;
     logger.debug('Price cache cleared');
   }
 }
 
 // Export singleton instance
 const priceFetcher = new PriceFetcher();
-export default priceFetcher;
\ No newline at end of file
+export default priceFetcher;
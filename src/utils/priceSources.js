@@ -0,0 +1,158 @@
+import axios from 'axios';
+import fs from 'fs';
+
+/**
+ * Price sources for the price oracle (see priceFetcher.js). A source fetches USD prices for the
+ * currencies it knows and leaves out the rest; it throws when the whole request fails.
+ * Which market a currency maps to comes from its registry entry: priceFeedId for CoinGecko,
+ * binanceSymbol and krakenPair for the exchanges (null opts a currency out of a source).
+ */
+
+function requestTimeout() {
+  return parseInt(process.env.PRICE_SOURCE_TIMEOUT_MS) || 5000;
+}
+
+// Keep positive finite prices only, a source reporting 0 or garbage is as good as silent
+function toPrice(value) {
+  const price = parseFloat(value);
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+export class CoinGeckoSource {
+  constructor() {
+    this.name = 'coingecko';
+    this.apiUrl = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
+  }
+
+  async fetchPrices(currencies) {
+    const listed = currencies.filter(currency => currency.priceFeedId);
+    const response = await axios.get(`${this.apiUrl}/simple/price`, {
+      params: { ids: listed.map(currency => currency.priceFeedId).join(','), vs_currencies: 'usd' },
+      timeout: requestTimeout()
+    });
+
+    const prices = {};
+    for (const currency of listed) {
+      const price = toPrice(response.data[currency.priceFeedId]?.usd);
+      if (price) prices[currency.symbol] = price;
+    }
+    return prices;
+  }
+}
+
+// Binance quotes in USDT, taken as USD
+export class BinanceSource {
+  constructor() {
+    this.name = 'binance';
+    this.apiUrl = process.env.BINANCE_API_URL || 'https://api.binance.com/api/v3';
+  }
+
+  marketOf(currency) {
+    return currency.binanceSymbol === undefined ? `${currency.symbol}USDT` : currency.binanceSymbol;
+  }
+
+  async fetchPrices(currencies) {
+    const listed = currencies.filter(currency => this.marketOf(currency));
+    if (listed.length === 0) return {};
+
+    const response = await axios.get(`${this.apiUrl}/ticker/price`, {
+      params: { symbols: JSON.stringify(listed.map(currency => this.marketOf(currency))) },
+      timeout: requestTimeout()
+    });
+
+    const byMarket = new Map(response.data.map(ticker => [ticker.symbol, toPrice(ticker.price)]));
+    const prices = {};
+    for (const currency of listed) {
+      const price = byMarket.get(this.marketOf(currency));
+      if (price) prices[currency.symbol] = price;
+    }
+    return prices;
+  }
+}
+
+// Kraken names pairs in its own way in responses, so each pair is asked for on its own
+export class KrakenSource {
+  constructor() {
+    this.name = 'kraken';
+    this.apiUrl = process.env.KRAKEN_API_URL || 'https://api.kraken.com/0/public';
+  }
+
+  marketOf(currency) {
+    return currency.krakenPair === undefined ? `${currency.symbol}USD` : currency.krakenPair;
+  }
+
+  async fetchPrices(currencies) {
+    const listed = currencies.filter(currency => this.marketOf(currency));
+    const results = await Promise.allSettled(listed.map(async (currency) => {
+      const response = await axios.get(`${this.apiUrl}/Ticker`, {
+        params: { pair: this.marketOf(currency) },
+        timeout: requestTimeout()
+      });
+      if (response.data.error && response.data.error.length > 0) {
+        throw new Error(response.data.error.join(', '));
+      }
+      // Last trade price of the only pair in the result
+      const [ticker] = Object.values(response.data.result || {});
+      return [currency.symbol, toPrice(ticker && ticker.c && ticker.c[0])];
+    }));
+
+    if (listed.length > 0 && results.every(result => result.status === 'rejected')) {
+      throw results[0].reason;
+    }
+
+    const prices = {};
+    for (const result of results) {
+      if (result.status === 'fulfilled' && result.value[1]) {
+        prices[result.value[0]] = result.value[1];
+      }
+    }
+    return prices;
+  }
+}
+
+/**
+ * Fixed prices from a JSON file of USD price by symbol, e.g. { "BTC": 45000, "ETH": 2500 }.
+ * For development and tests. The file is read on every fetch, so a test can move prices by rewriting it.
+ */
+export class StaticSource {
+  constructor() {
+    this.name = 'static';
+    this.file = process.env.PRICE_STATIC_FILE;
+  }
+
+  async fetchPrices(currencies) {
+    if (!this.file) {
+      throw new Error('PRICE_STATIC_FILE is not set');
+    }
+    const configured = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+
+    const prices = {};
+    for (const currency of currencies) {
+      const price = toPrice(configured[currency.symbol]);
+      if (price) prices[currency.symbol] = price;
+    }
+    return prices;
+  }
+}
+
+const SOURCES = {
+  coingecko: CoinGeckoSource,
+  binance: BinanceSource,
+  kraken: KrakenSource,
+  static: StaticSource
+};
+
+/**
+ * Sources named by PRICE_SOURCES, comma separated, CoinGecko, Binance and Kraken by default
+ */
+export function createPriceSources() {
+  const names = (process.env.PRICE_SOURCES || 'coingecko,binance,kraken')
+    .split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+  return names.map(name => {
+    if (!SOURCES[name]) {
+      throw new Error(`Unknown price source ${name}, must be one of ${Object.keys(SOURCES).join(', ')}`);
+    }
+    return new SOURCES[name]();
+  });
+}
@@ -0,0 +1,70 @@
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Read token lifetimes and secrets from the environment
+ * @returns {Object} Token configuration
+ */
+export function getTokenConfig() {
+  return {
+    accessSecret: process.env.JWT_SECRET,
+    refreshSecret: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    accessExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+  };
+}
+
+function signToken(player, type, secret, expiresIn) {
+  return jwt.sign(
+    {
+      userId: player._id.toString(),
+      username: player.username,
+      tokenVersion: player.tokenVersion,
+      type
+    },
+    secret,
+    { expiresIn, jwtid: uuidv4() }
+  );
+}
+
+/**
+ * Issue an access and refresh token pair for a player
+ * @param {Player} player - Player the tokens identify
+ * @returns {Object} { accessToken, refreshToken, expiresIn }
+ */
+export function issueTokens(player) {
+  const config = getTokenConfig();
+  return {
+    accessToken: signToken(player, 'access', config.accessSecret, config.accessExpiresIn),
+    refreshToken: signToken(player, 'refresh', config.refreshSecret, config.refreshExpiresIn),
+    expiresIn: config.accessExpiresIn
+  };
+}
+
+/**
+ * Verify an access token
+ * @param {string} token - Signed token
+ * @returns {Object} Decoded payload
+ * @throws {Error} If the token is invalid, expired or not an access token
+ */
+export function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, getTokenConfig().accessSecret);
+  if (decoded.type !== 'access') {
+    throw new Error('Not an access token');
+  }
+  return decoded;
+}
+
+/**
+ * Verify a refresh token
+ * @param {string} token - Signed token
+ * @returns {Object} Decoded payload
+ * @throws {Error} If the token is invalid, expired or not a refresh token
+ */
+export function verifyRefreshToken(token) {
+  const decoded = jwt.verify(token, getTokenConfig().refreshSecret);
+  if (decoded.type !== 'refresh') {
+    throw new Error('Not a refresh token');
+  }
+  return decoded;
+}
@@ -1,4 +1,22 @@
 import Joi from 'joi';
+import { isSupportedCurrency, unsupportedCurrencyMessage } from './currencies.js';
+
+// Currency symbol enabled in the currency registry
+const currency = Joi.string().custom((value, helpers) =>
+  isSupportedCurrency(value) ? value : helpers.message(unsupportedCurrencyMessage())
+);
+
+// Crypto amount, decimal strings keep their precision and numbers are accepted too
+const cryptoAmount = Joi.alternatives(
+  Joi.string().pattern(/^\d+(\.\d+)?$/, 'decimal amount'),
+  Joi.number().positive()
+);
+
+// What an auto-bet plan does with its bet size after a win or a loss
+const betAdjustment = Joi.object({
+  action: Joi.string().valid('reset', 'multiply').required(),
+  factor: Joi.number().min(0).max(10)
+});
 
 export const schemas = {
   register: Joi.object({
@@ -38,34 +56,122 @@ export const schemas = {
     password: Joi.string().required()
   }),
 
+  refresh: Joi.object({
+    refreshToken: Joi.string().required()
+  }),
+
+  // Bet limits are enforced by the game engine's risk limits
   placeBet: Joi.object({
-    amount: Joi.number()
+    // Whole cents, the stake is converted from cents so more decimals would be recorded but not staked
+    usdAmount: Joi.number()
       .positive()
-      .min(0.01)
-      .max(10000)
       .precision(2)
+      .prefs({ convert: false })
       .required()
       .messages({
-        'number.positive': 'Bet amount must be positive',
-        'number.min': 'Minimum bet amount is 0.01',
-        'number.max': 'Maximum bet amount is 10,000',
-        'any.required': 'Bet amount is required'
-      })
+        'number.base': 'USD amount must be a positive number',
+        'number.positive': 'USD amount must be a positive number',
+        'number.precision': 'USD amount must be in whole cents',
+        'any.required': 'USD amount is required'
+      }),
+    currency: currency.required(),
+    autoCashout: Joi.number().allow(null)
+  }),
+
+  // Auto-bet plan, amounts in USD. 0 turns maxRounds, stopLoss and takeProfit off
+  autoBet: Joi.object({
+    baseBet: Joi.number().min(0.01).max(1000000).precision(2).prefs({ convert: false }).required(),
+    currency: currency.required(),
+    targetMultiplier: Joi.number().min(1.01).max(1000000).required(),
+    onWin: betAdjustment,
+    onLoss: betAdjustment,
+    maxRounds: Joi.number().integer().min(0).max(100000),
+    stopLoss: Joi.number().min(0).max(1000000),
+    takeProfit: Joi.number().min(0).max(1000000)
   }),
 
   updateProfile: Joi.object({
     email: Joi.string().email().optional()
   }),
 
+  gameConfig: Joi.object({
+    bettingPhaseMs: Joi.number().integer().min(1000).max(600000),
+    crashedPhaseMs: Joi.number().integer().min(0).max(600000),
+    // null puts a risk limit back to the environment's value
+    minBet: Joi.number().min(0.01).allow(null),
+    maxBet: Joi.number().min(0.01).allow(null),
+    maxPayout: Joi.number().min(0.01).allow(null),
+    houseBankroll: Joi.number().min(0).allow(null),
+    maxRoundLiabilityPct: Joi.number().greater(0).max(100).allow(null),
+    maxMultiplier: Joi.number().min(1.01).max(1000000)
+  }).min(1),
+
+  voidRound: Joi.object({
+    reason: Joi.string().trim().max(200)
+  }),
+
+  // null removes a limit, after the cooldown
+  limits: Joi.object({
+    depositDaily: Joi.number().min(0).allow(null),
+    depositWeekly: Joi.number().min(0).allow(null),
+    lossDaily: Joi.number().min(0).allow(null),
+    lossWeekly: Joi.number().min(0).allow(null),
+    wagerDaily: Joi.number().min(0).allow(null),
+    wagerWeekly: Joi.number().min(0).allow(null),
+    sessionMinutes: Joi.number().integer().min(1).max(1440).allow(null)
+  }).min(1),
+
+  selfExclusion: Joi.object({
+    days: Joi.number().integer().min(1).max(3650).required(),
+    reason: Joi.string().trim().max(200)
+  }),
+
+  closeAccount: Joi.object({
+    password: Joi.string().required(),
+    reason: Joi.string().trim().max(200)
+  }),
+
+  playerStatus: Joi.object({
+    status: Joi.string().valid('active', 'suspended', 'closed').required(),
+    reason: Joi.string().trim().max(200)
+  }),
+
+  depositAddress: Joi.object({
+    currency: currency.required()
+  }),
+
+  withdrawal: Joi.object({
+    currency: currency.required(),
+    amount: cryptoAmount.required(),
+    address: Joi.string().trim().max(128).required()
+  }),
+
+  rejectWithdrawal: Joi.object({
+    reason: Joi.string().trim().max(200)
+  }),
+
+  mockDeposit: Joi.object({
+    address: Joi.string().required(),
+    amount: cryptoAmount.required()
+  }),
+
+  mockMine: Joi.object({
+    blocks: Joi.number().integer().min(1).max(1000)
+  }),
+
   changePassword: Joi.object({
     currentPassword: Joi.string().required(),
     newPassword: Joi.string().min(6).max(128).required()
   })
 };
 
+/**
+ * Validate the request body and replace it with the validated value,
+ * so handlers get numbers rather than the numeric strings Joi accepts
+ */
 export function validate(schema) {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body);
+    const { error, value } = schema.validate(req.body);
     if (error) {
       return res.status(400).json({
         error: 'Validation failed',
@@ -75,6 +181,7 @@ export function validate(schema) {
         }))
       });
     }
+    req.body = value;
     next();
   };
 }
\ No newline at end of file